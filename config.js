@@ -8,6 +8,29 @@ const HOST = 'localhost';           // or '0.0.0.0' for external access
 const PORT = 6400;                  // Port number for the server
 const SSL_KEY_PATH = './ssl/server.key'; // SSL key path
 const SSL_CERT_PATH = './ssl/server.crt'; // SSL cert path
+const TELNET_ENABLED = true;        // Accept classic MUD clients (Mudlet, TinTin++) over raw TCP
+const TELNET_PORT = 6401;           // Port number for the telnet gateway
+const TELNET_DEFAULT_WIDTH = 80;    // Line width used until the client reports its window size
+const TELNET_MAX_LINE_LENGTH = 4096; // Longest input line accepted from a telnet client
+const API_ENABLED = true;           // Serve the read-only JSON API under /api
+const API_KEYS = [];                // Keys accepted by the JSON API in the X-API-Key header, e.g. ['community-site-key']
+// Flood Protection Configuration
+const MAX_MESSAGE_SIZE = 4096;      // Longest message, in characters, accepted from a client
+const RATE_LIMITS = {               // Token bucket per connection and event class: burst size and tokens refilled per second
+  movement: { capacity: 10, refillRate: 4 },
+  chat: { capacity: 5, refillRate: 1 },
+  combat: { capacity: 5, refillRate: 2 },
+  auth: { capacity: 5, refillRate: 0.2 },
+  general: { capacity: 20, refillRate: 5 }
+};
+const RATE_LIMIT_WARN_STRIKES = 1;  // Violations that get a warning before messages are dropped silently
+const RATE_LIMIT_MUTE_STRIKES = 5;  // Violations before the connection is muted
+const RATE_LIMIT_DISCONNECT_STRIKES = 10; // Violations before the connection is dropped
+const RATE_LIMIT_MUTE_DURATION = 30000; // 1000ms = 1 second, * 30 = 30 seconds of ignored input
+const RATE_LIMIT_STRIKE_DECAY = 60000; // Violations are forgotten after 1 minute without another one
+// Message Protocol Configuration
+const PROTOCOL_VERSION = 1;         // Current version of the client/server message envelope
+const MIN_PROTOCOL_VERSION = 1;     // Oldest client protocol version the server still accepts
 // Log Configuration
 const LOG_LEVEL = 'DEBUG'; // Set the default log level. Options: 'DEBUG', 'INFO', 'WARN', 'ERROR'
 const LOG_FILE_PATH = './server logs'; // Path for log files
@@ -17,19 +40,46 @@ const PLAYER_DATA_PATH = './source code/world data/players';
 const LOCATIONS_DATA_PATH = './source code/world data/locations';
 const NPCS_DATA_PATH = './source code/world data/npcs';
 const ITEMS_DATA_PATH = './source code/world data/items';
-const GAME_DATA_PATH = './source code/world data/game data.json';
+const WORLD_STATE_PATH = './source code/world data/world state.json'; // Snapshot of room contents and NPC positions saved on shutdown
+const STORAGE_BACKEND = 'json';      // Where accounts, characters and the world snapshot are kept: 'json' for one file per record, or 'sqlite'
+const SQLITE_DATABASE_PATH = './source code/world data/wulin.db'; // Database file used when STORAGE_BACKEND is 'sqlite', needs the better-sqlite3 package
+const JOURNAL_PATH = './source code/world data/journal.log'; // Changes made since the last save, replayed on startup after a crash
+const BACKUP_PATH = './backups';     // Directory compressed backups of the saves and zone files are written to
 // Game Configuration
 const PASSWORD_SALT_ROUNDS = 10;     // Number of salt rounds for password hashing
-const ITEM_UID_SALT_ROUNDS = 1;     // Number of salt rounds for item UIDs
-const SESSION_SECRET = 'your-secret-key'; // Secret key for session
+const MAX_LOGIN_ATTEMPTS = 5;       // Failed logins in a row before the account is locked
+const LOGIN_LOCKOUT_DURATION = 900000; // 1000ms = 1 second, * 900 = 15 minutes locked after too many failed logins
+const MAX_CHARACTERS_PER_ACCOUNT = 5; // Characters one account may own, counting deleted ones still recoverable
+const RESERVED_NAMES = ['admin', 'administrator', 'implementor', 'builder', 'gamemaster', 'staff', 'system', 'server', 'someone', 'self', 'all', 'everyone', 'nobody', 'guest']; // Names no character may take, compared without case or tone marks
+const BLOCKED_NAME_WORDS = [];       // Offensive words that may not appear anywhere in a character name, e.g. ['badword']
+const CHARACTER_RECOVERY_PERIOD = 604800000; // 1000ms = 1 second, * 604800 = 7 days a deleted character can be restored
+const CHARACTER_PURGE_INTERVAL = 3600000; // 1000ms = 1 second, * 3600 = 1 hour between removals of expired deleted characters
+const IMPLEMENTOR_ACCOUNTS = [];     // Accounts that are always implementors, used to appoint the first staff, e.g. ['Laozi']
+const SESSION_SECRET = 'your-secret-key'; // Secret key that signs session tokens, change it before going live
+const PREVIOUS_SESSION_SECRETS = [];  // Retired secrets whose tokens are still accepted until they expire, e.g. ['old-secret']
+const SESSION_TOKEN_LIFETIME = 604800000; // 1000ms = 1 second, * 604800 = 7 days a session token stays valid
+const TWO_FACTOR_ISSUER = 'Silk Road Legends of Wulin'; // Name authenticator apps show next to the account
+const TWO_FACTOR_LOGIN_TIMEOUT = 300000; // 1000ms = 1 second, * 300 = 5 minutes to enter the code after the password
+const LINK_DEAD_GRACE_PERIOD = 300000; // 1000ms = 1 second, * 300 = 5 minutes a disconnected player stays in the world
+const SESSION_OUTPUT_BUFFER_SIZE = 100; // Messages kept for a link-dead player to read on reconnect
 const SESSION_RESAVE = false;       // Don't save session if unmodified
 const SESSION_SAVE_UNINITIALIZED = false; // Don't create session until something stored
 const COOKIE_SECURE = true;         // Use secure cookies in production
 const COOKIE_HTTP_ONLY = true;      // Use HTTP-only cookies
 const COOKIE_SAME_SITE = 'strict';  // CSRF protection
-const TICK_RATE = 60000;       // 1000ms = 1 second, * 60 = 1 minute
+const TICK_RATE = 60000;       // Milliseconds between world updates, 1000ms = 1 second, * 60 = 1 minute
+const REPLICATION_INTERVAL = 100; // Milliseconds between world changes being sent to clients
 const WORLD_EVENT_INTERVAL = 1440;  // 1440 minutes = 1 day
 const NPC_MOVEMENT_INTERVAL = 15000;  // 1000ms = 1 second, * 60 = 1 minute
+const STARTING_LOCATION = '100';     // Location new characters enter the world at
+const JAIL_LOCATION = '0';           // Location jailed players are held in, created as Limbo if the zone files lack it
+const SANCTION_CHECK_INTERVAL = 60000; // 1000ms = 1 second, * 60 = 1 minute between checks for expired bans, mutes and jail terms
+const AUTOSAVE_INTERVAL = 300000;    // 1000ms = 1 second, * 300 = 5 minutes for every character with unsaved changes and the world to be saved
+const AUTOSAVE_SLICES = 5;           // Groups the characters are split into for autosaving, one group at a time, so saves are spread over the interval
+const BACKUP_INTERVAL = 3600000;     // 1000ms = 1 second, * 3600 = 1 hour between backups
+const BACKUP_KEEP_HOURLY = 24;       // Hours, counting back from the newest backup, that keep their latest backup
+const BACKUP_KEEP_DAILY = 7;         // Days that keep their latest backup
+const BACKUP_KEEP_WEEKLY = 4;        // Weeks that keep their latest backup, older backups are removed
 const INITIAL_HEALTH = 100;
 const INITIAL_ATTACK_POWER = 10;
 const REGEN_INTERVAL = 60000;  // 1000ms = 1 second, * 60 = 1 minute
@@ -43,7 +93,6 @@ const REGEN_RATES = new Map([
 ]);
 const LEVEL_UP_XP = 100; // Experience points required to level up
 const INVENTORY_CAPACITY = 20; // Inventory capacity for players
-const COMBAT_INTERVAL = 1500; // Combat tick interval in milliseconds
 // Export configuration settings
 const CONFIG = {
   RESET,
@@ -54,6 +103,21 @@ const CONFIG = {
   PORT,
   SSL_KEY_PATH,
   SSL_CERT_PATH,
+  TELNET_ENABLED,
+  TELNET_PORT,
+  TELNET_DEFAULT_WIDTH,
+  TELNET_MAX_LINE_LENGTH,
+  API_ENABLED,
+  API_KEYS,
+  MAX_MESSAGE_SIZE,
+  RATE_LIMITS,
+  RATE_LIMIT_WARN_STRIKES,
+  RATE_LIMIT_MUTE_STRIKES,
+  RATE_LIMIT_DISCONNECT_STRIKES,
+  RATE_LIMIT_MUTE_DURATION,
+  RATE_LIMIT_STRIKE_DECAY,
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
   LOG_LEVEL,
   LOG_FILE_PATH,
   LOG_MAX_FILE_SIZE,
@@ -61,24 +125,50 @@ const CONFIG = {
   LOCATIONS_DATA_PATH,
   NPCS_DATA_PATH,
   ITEMS_DATA_PATH,
-  GAME_DATA_PATH,
+  WORLD_STATE_PATH,
+  STORAGE_BACKEND,
+  SQLITE_DATABASE_PATH,
+  JOURNAL_PATH,
+  BACKUP_PATH,
   PASSWORD_SALT_ROUNDS,
-  ITEM_UID_SALT_ROUNDS,
+  MAX_LOGIN_ATTEMPTS,
+  LOGIN_LOCKOUT_DURATION,
+  MAX_CHARACTERS_PER_ACCOUNT,
+  RESERVED_NAMES,
+  BLOCKED_NAME_WORDS,
+  CHARACTER_RECOVERY_PERIOD,
+  CHARACTER_PURGE_INTERVAL,
+  IMPLEMENTOR_ACCOUNTS,
   SESSION_SECRET,
+  PREVIOUS_SESSION_SECRETS,
+  SESSION_TOKEN_LIFETIME,
+  TWO_FACTOR_ISSUER,
+  TWO_FACTOR_LOGIN_TIMEOUT,
+  LINK_DEAD_GRACE_PERIOD,
+  SESSION_OUTPUT_BUFFER_SIZE,
   SESSION_RESAVE,
   SESSION_SAVE_UNINITIALIZED,
   COOKIE_SECURE,
   COOKIE_HTTP_ONLY,
   COOKIE_SAME_SITE,
   TICK_RATE,
+  REPLICATION_INTERVAL,
   WORLD_EVENT_INTERVAL,
   NPC_MOVEMENT_INTERVAL,
+  STARTING_LOCATION,
+  JAIL_LOCATION,
+  SANCTION_CHECK_INTERVAL,
+  AUTOSAVE_INTERVAL,
+  AUTOSAVE_SLICES,
+  BACKUP_INTERVAL,
+  BACKUP_KEEP_HOURLY,
+  BACKUP_KEEP_DAILY,
+  BACKUP_KEEP_WEEKLY,
   INITIAL_HEALTH,
   INITIAL_ATTACK_POWER,
   REGEN_INTERVAL,
   REGEN_RATES,
   LEVEL_UP_XP,
-  INVENTORY_CAPACITY,
-  COMBAT_INTERVAL
+  INVENTORY_CAPACITY
 };
 export default CONFIG;
@@ -6,10 +6,19 @@ import { Server as SocketIOServer } from 'socket.io';
 import express from 'express';
 import http from 'http';
 import https from 'https';
-import { promises as fs } from 'fs';
+import { promises as fs, readFileSync, existsSync, mkdtempSync, cpSync, rmSync } from 'fs';
 import path from 'path';
+import os from 'os';
+import net from 'net';
+import crypto from 'crypto';
 import bcrypt from 'bcrypt';
+import { spawn } from 'child_process';
 import { exit } from 'process';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import zlib from 'zlib';
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
 /**************************************************************************************************
 Configuration System Class
 ***************************************************************************************************/
@@ -34,6 +43,8 @@ class ConfigurationSystem {
           this.config[key] = Number(process.env[key]);
         } else if (typeof this.config[key] === 'boolean') {
           this.config[key] = process.env[key].toLowerCase() === 'true';
+        } else if (Array.isArray(this.config[key])) {
+          this.config[key] = process.env[key].split(',').map(value => value.trim()).filter(Boolean);
         } else if (key === 'REGEN_RATES') {
           try {
             this.config[key] = new Map(Object.entries(JSON.parse(process.env[key])));
@@ -51,7 +62,7 @@ class ConfigurationSystem {
       'HOST', 'PORT', 'LOG_LEVEL', 'SESSION_SECRET',
       'SSL_KEY_PATH', 'SSL_CERT_PATH', 'LOG_FILE_PATH',
       'PLAYER_DATA_PATH', 'LOCATIONS_DATA_PATH', 'NPCS_DATA_PATH',
-      'ITEMS_DATA_PATH', 'GAME_DATA_PATH'
+      'ITEMS_DATA_PATH', 'WORLD_STATE_PATH', 'JOURNAL_PATH', 'BACKUP_PATH'
     ];
     requiredKeys.forEach(key => {
       if (this.config[key] === undefined) {
@@ -59,22 +70,50 @@ class ConfigurationSystem {
       }
     });
     const numericKeys = [
-      'PORT', 'LOG_MAX_FILE_SIZE', 'PASSWORD_SALT_ROUNDS',
-      'ITEM_UID_SALT_ROUNDS', 'TICK_RATE', 'WORLD_EVENT_INTERVAL',
-      'NPC_MOVEMENT_INTERVAL', 'INITIAL_HEALTH', 'INITIAL_ATTACK_POWER',
-      'REGEN_INTERVAL', 'LEVEL_UP_XP', 'INVENTORY_CAPACITY', 'COMBAT_INTERVAL'
+      'PORT', 'TELNET_PORT', 'TELNET_DEFAULT_WIDTH', 'TELNET_MAX_LINE_LENGTH', 'MAX_MESSAGE_SIZE', 'RATE_LIMIT_WARN_STRIKES', 'RATE_LIMIT_MUTE_STRIKES',
+      'RATE_LIMIT_DISCONNECT_STRIKES', 'RATE_LIMIT_MUTE_DURATION', 'RATE_LIMIT_STRIKE_DECAY', 'PROTOCOL_VERSION', 'MIN_PROTOCOL_VERSION', 'LOG_MAX_FILE_SIZE', 'PASSWORD_SALT_ROUNDS',
+      'MAX_LOGIN_ATTEMPTS', 'LOGIN_LOCKOUT_DURATION', 'MAX_CHARACTERS_PER_ACCOUNT', 'CHARACTER_RECOVERY_PERIOD', 'CHARACTER_PURGE_INTERVAL',
+      'SESSION_TOKEN_LIFETIME', 'TWO_FACTOR_LOGIN_TIMEOUT', 'LINK_DEAD_GRACE_PERIOD', 'SESSION_OUTPUT_BUFFER_SIZE', 'TICK_RATE', 'REPLICATION_INTERVAL', 'WORLD_EVENT_INTERVAL',
+      'NPC_MOVEMENT_INTERVAL', 'SANCTION_CHECK_INTERVAL', 'AUTOSAVE_INTERVAL', 'AUTOSAVE_SLICES',
+      'BACKUP_INTERVAL', 'BACKUP_KEEP_HOURLY', 'BACKUP_KEEP_DAILY', 'BACKUP_KEEP_WEEKLY', 'INITIAL_HEALTH', 'INITIAL_ATTACK_POWER',
+      'REGEN_INTERVAL', 'LEVEL_UP_XP', 'INVENTORY_CAPACITY'
     ];
     numericKeys.forEach(key => {
       if (typeof this.config[key] !== 'number' || isNaN(this.config[key])) {
         this.logger.error(`Invalid numeric value for ${key}: ${this.config[key]}`);
       }
     });
-    const booleanKeys = ['SESSION_RESAVE', 'SESSION_SAVE_UNINITIALIZED', 'COOKIE_SECURE', 'COOKIE_HTTP_ONLY'];
+    const booleanKeys = ['TELNET_ENABLED', 'API_ENABLED', 'SESSION_RESAVE', 'SESSION_SAVE_UNINITIALIZED', 'COOKIE_SECURE', 'COOKIE_HTTP_ONLY'];
     booleanKeys.forEach(key => {
       if (typeof this.config[key] !== 'boolean') {
         this.logger.error(`Invalid boolean value for ${key}: ${this.config[key]}`);
       }
     });
+    Object.entries(this.config.RATE_LIMITS || {}).forEach(([eventClass, { capacity, refillRate } = {}]) => {
+      if (typeof capacity !== 'number' || capacity < 1 || typeof refillRate !== 'number' || refillRate <= 0) {
+        this.logger.error(`Invalid RATE_LIMITS entry for ${eventClass}`);
+      }
+    });
+    if (!this.config.RATE_LIMITS || !this.config.RATE_LIMITS.general) {
+      this.logger.error('RATE_LIMITS must define a general budget');
+    }
+    if (!Array.isArray(this.config.API_KEYS)) {
+      this.logger.error('API_KEYS must be an array');
+    }
+    ['RESERVED_NAMES', 'BLOCKED_NAME_WORDS'].forEach(key => {
+      if (!Array.isArray(this.config[key])) {
+        this.logger.error(`${key} must be an array`);
+      }
+    });
+    if (!Array.isArray(this.config.IMPLEMENTOR_ACCOUNTS)) {
+      this.logger.error('IMPLEMENTOR_ACCOUNTS must be an array');
+    }
+    if (!Array.isArray(this.config.PREVIOUS_SESSION_SECRETS)) {
+      this.logger.error('PREVIOUS_SESSION_SECRETS must be an array');
+    }
+    if (this.config.SESSION_SECRET === 'your-secret-key') {
+      this.logger.warn('SESSION_SECRET is still the default, so anyone can forge session tokens');
+    }
     if (!(this.config.REGEN_RATES instanceof Map)) {
       this.logger.error('REGEN_RATES must be a Map');
     } else {
@@ -88,6 +127,12 @@ class ConfigurationSystem {
     if (!validLogLevels.includes(this.config.LOG_LEVEL)) {
       this.logger.error(`Invalid LOG_LEVEL: ${this.config.LOG_LEVEL}`);
     }
+    if (!['json', 'sqlite'].includes(this.config.STORAGE_BACKEND)) {
+      this.logger.error(`Invalid STORAGE_BACKEND: ${this.config.STORAGE_BACKEND}`);
+    }
+    if (!Number.isInteger(this.config.AUTOSAVE_SLICES) || this.config.AUTOSAVE_SLICES < 1) {
+      this.logger.error(`AUTOSAVE_SLICES must be a whole number of at least 1: ${this.config.AUTOSAVE_SLICES}`);
+    }
     const validSameSiteValues = ['strict', 'lax', 'none'];
     if (!validSameSiteValues.includes(this.config.COOKIE_SAME_SITE.toLowerCase())) {
       this.logger.error(`Invalid COOKIE_SAME_SITE value: ${this.config.COOKIE_SAME_SITE}`);
@@ -177,18 +222,44 @@ class LogSystem {
 Core Server System Class
 ***************************************************************************************************/
 class CoreServerSystem {
-  constructor(config) {
+  static DIRECTION_ALIASES = { n: 'north', e: 'east', w: 'west', s: 'south', u: 'up', d: 'down' };
+  static AUTH_MESSAGE_TYPES = new Set([
+    'login', 'verifyTwoFactor', 'createAccount', 'restoreSession', 'changePassword', 'deleteCharacter',
+    'beginTwoFactorSetup', 'confirmTwoFactorSetup', 'regenerateBackupCodes', 'disableTwoFactor'
+  ]);
+  static SHUTDOWN_WARNINGS = [3600, 1800, 900, 600, 300, 240, 180, 120, 60, 30, 10, 5, 4, 3, 2, 1]; // Seconds remaining when the countdown is announced
+  constructor(config, { clock = new SystemClock(), random = new RandomSource() } = {}) {
     this.configSystem = new ConfigurationSystem(config);
+    this.clock = clock;
+    this.random = random;
     this.express = express();
     this.http = null;
     this.https = null;
     this.io = null;
-    this.gameLoop = null;
+    this.telnetGateway = null;
+    this.scheduler = new GameScheduler(clock);
+    this.startedAt = null;
+    this.acceptingCommands = true;
+    this.shuttingDown = false;
+    this.pendingShutdown = null;
     this.socketEventSystem = new SocketEventSystem();
-    this.clientManager = new ClientManager();
-    this.databaseManager = new DatabaseManager(this.configSystem);
-    this.gameDataManager = new GameDataManager(this.configSystem, this.databaseManager);
-    this.worldManager = new WorldManager(this.gameDataManager);
+    this.clientManager = new ClientManager(this.configSystem, clock);
+    this.sessionManager = new SessionManager(this.configSystem, clock);
+    this.antiCheatSystem = new AntiCheatSystem(this.configSystem, clock);
+    this.commandParser = new CommandParser();
+    this.databaseManager = new DatabaseManager(this.configSystem, random);
+    this.authenticationSystem = new AuthenticationSystem(this.databaseManager, this.configSystem, clock);
+    this.gameDataManager = new GameDataManager(this.configSystem, this.databaseManager, random);
+    this.nameRegistry = new NameRegistry(this.configSystem, this.gameDataManager);
+    this.accountManager = new AccountManager(this.databaseManager, this.configSystem, this.nameRegistry, clock);
+    this.worldManager = new WorldManager(this.gameDataManager, this.clientManager, random, clock);
+    this.replicationManager = new ReplicationManager(this.worldManager, this.clientManager);
+    this.sanctionManager = new SanctionManager(this.databaseManager, clock);
+    this.stateJournal = new StateJournal(this.configSystem, clock);
+    this.backupManager = new BackupManager(this.configSystem, this.databaseManager, clock);
+    this.autosaveSlice = 0;
+    this.persistenceSuspended = false;
+    this.adminTools = new AdminTools(this);
     this.logger = new LogSystem();
   }
   async initialize() {
@@ -197,10 +268,16 @@ class CoreServerSystem {
     try {
       await this.databaseManager.initialize();
       this.logger.info('Database system initialized successfully');
+      await this.accountManager.purgeDeletedCharacters();
+      await this.sanctionManager.initialize();
+      await this.recoverFromJournal();
       await this.gameDataManager.loadGameData();
       this.logger.info('Game data loaded successfully');
+      await this.checkWorldData();
       this.worldManager.initialize();
+      this.ensureJailLocation();
       this.logger.info('World initialized successfully');
+      await this.restoreWorldState();
     } catch (error) {
       this.logger.error(`Failed to initialize server: ${error.message}`);
       throw error;
@@ -208,28 +285,219 @@ class CoreServerSystem {
   }
   start() {
     // Start the server and game loop
+    this.startedAt = this.clock.now();
+    this.registerSocketEvents();
+    this.registerCommands();
     this.setupExpress();
     this.setupSocketIO();
+    this.setupTelnet();
     this.startGameLoop();
     this.logger.info('Server started successfully');
   }
-  stop() {
+  async stop() {
     // Gracefully stop the server and game loop
     this.stopGameLoop();
-    this.io.close();
-    this.http.close();
-    this.https.close();
-    this.databaseManager.disconnect();
+    this.cancelShutdown();
+    // Ending the sessions first makes the disconnects below remove players instead of leaving them link-dead
+    this.sessionManager.endAllSessions();
+    if (this.telnetGateway) {
+      this.telnetGateway.close();
+    }
+    if (this.io) {
+      // Socket.IO also closes the HTTP(S) server it is attached to
+      await new Promise(resolve => this.io.close(() => resolve()));
+    }
+    const servers = [this.http, this.https].filter(server => server && server.listening);
+    await Promise.all(servers.map(server => new Promise(resolve => server.close(() => resolve()))));
+    // Saves, backups and the like that jobs had already started still need the storage
+    await this.scheduler.whenIdle();
+    await this.backupManager.close();
+    await this.stateJournal.close();
+    await this.databaseManager.disconnect();
     this.logger.info('Server stopped successfully');
   }
+  async checkWorldData() {
+    const report = await new WorldValidator(this.configSystem).validateFiles();
+    // Zone file problems were already logged while loading
+    report.problems.filter(problem => problem.check !== 'zoneFile').forEach(problem => {
+      const message = problem.file ? `${problem.message} in "${problem.file}"` : problem.message;
+      if (problem.severity === 'error') {
+        this.logger.error(message);
+      } else {
+        this.logger.warn(message);
+      }
+    });
+    this.logger.info(`World check found ${report.errors} error(s) and ${report.warnings} warning(s)`);
+  }
+  ensureJailLocation() {
+    const jailLocation = this.configSystem.get('JAIL_LOCATION');
+    if (this.worldManager.locations.getLocation(jailLocation)) return;
+    // Limbo from the room notes, which no exit leads to or from
+    this.worldManager.locations.addLocation({
+      id: jailLocation,
+      name: 'Limbo',
+      description: 'A grey stillness stretches away in every direction, without sound, wind or horizon. No road leads here and none leads out. Only the will of the immortals can bring you back to the Wulin.',
+      exits: {},
+      items: [],
+      npcs: [],
+      zone: ['Limbo']
+    });
+  }
+  async restoreWorldState() {
+    const snapshot = await this.databaseManager.getWorldState();
+    if (!snapshot) {
+      this.logger.info('No world snapshot found, starting from the zone files');
+      return;
+    }
+    this.worldManager.restoreSnapshot(snapshot);
+    this.logger.info(`World state restored from snapshot saved at ${snapshot.savedAt}`);
+  }
+  async recoverFromJournal() {
+    const entries = await this.stateJournal.open();
+    if (entries.length === 0) return;
+    // The journal is emptied whenever the characters in it are saved, so anything left means a crash
+    this.logger.warn(`The server did not stop cleanly, replaying ${entries.length} journal entries`);
+    const states = new Map();
+    entries.sort((a, b) => a.sequence - b.sequence).forEach(entry => {
+      // Entries written before an upgrade are brought up to date like saved characters, keeping only their own fields
+      const { migrated } = DatabaseManager.migrateDocument('players', { ...entry.state, id: entry.playerId, schemaVersion: entry.schemaVersion || 0 }, this.random);
+      const state = Object.fromEntries(Object.keys(entry.state).map(field => [field, migrated[field]]));
+      states.set(entry.playerId, { ...states.get(entry.playerId), ...state });
+    });
+    for (const [playerId, state] of states) {
+      const record = await this.databaseManager.updatePlayerRecord(playerId, state);
+      if (!record) {
+        this.logger.warn(`Journal entries for character ${playerId} were skipped, since the character no longer exists`);
+      }
+    }
+    await this.stateJournal.clear();
+    this.logger.info(`Recovered changes to ${states.size} character(s) from the journal`);
+  }
+  async savePlayers(players) {
+    if (this.persistenceSuspended) return;
+    // Anything journaled up to now is part of these saves
+    const sequence = this.stateJournal.sequence;
+    players.forEach(player => {
+      player.unsaved = false;
+    });
+    try {
+      await this.databaseManager.savePlayers(players);
+    } catch (error) {
+      players.forEach(player => player.markUnsaved());
+      throw error;
+    }
+    await this.stateJournal.checkpoint(players.map(player => player.id), sequence);
+  }
+  async saveGameState() {
+    if (this.persistenceSuspended) return;
+    await this.savePlayers(this.clientManager.getPlayers());
+    await this.databaseManager.saveWorldState(this.worldManager.createSnapshot());
+  }
+  getAutosaveSlice(player) {
+    // Spread characters evenly over the slices, and keep each one in the same slice from save to save
+    return crypto.createHash('sha1').update(player.id).digest().readUInt32BE(0) % this.configSystem.get('AUTOSAVE_SLICES');
+  }
+  async autosave() {
+    const slices = this.configSystem.get('AUTOSAVE_SLICES');
+    const slice = this.autosaveSlice;
+    // The world snapshot takes the turn after the last slice of characters
+    this.autosaveSlice = (slice + 1) % (slices + 1);
+    if (this.persistenceSuspended) return;
+    if (slice === slices) {
+      await this.databaseManager.saveWorldState(this.worldManager.createSnapshot());
+      return;
+    }
+    const players = this.clientManager.getPlayers().filter(player => player.unsaved && this.getAutosaveSlice(player) === slice);
+    if (players.length > 0) {
+      await this.savePlayers(players);
+    }
+  }
+  scheduleShutdown({ minutes = 0, reboot = false, reason = 'Shutdown requested' } = {}) {
+    this.cancelShutdown();
+    const seconds = Math.max(0, Math.round(minutes * 60));
+    if (seconds === 0) {
+      this.shutdown({ reboot, reason }).catch(error => {
+        this.logger.error(`Shutdown failed: ${error.message}`);
+      });
+      return;
+    }
+    this.logger.info(`${reason}: ${reboot ? 'reboot' : 'shutdown'} in ${this.formatCountdown(seconds)}`);
+    // The countdown keeps running while the world is paused
+    const jobs = CoreServerSystem.SHUTDOWN_WARNINGS
+      .filter(remaining => remaining < seconds)
+      .map(remaining => this.scheduler.scheduleOnce(`shutdownWarning:${remaining}`, (seconds - remaining) * 1000, () => {
+        this.announceShutdown(remaining, reboot);
+      }, { pausable: false }));
+    jobs.push(this.scheduler.scheduleOnce('shutdown', seconds * 1000, () => {
+      this.pendingShutdown = null;
+      // Not returned to the scheduler, since stopping waits for the work of jobs that have run
+      this.shutdown({ reboot, reason }).catch(error => {
+        this.logger.error(`Shutdown failed: ${error.message}`);
+      });
+    }, { pausable: false }));
+    this.pendingShutdown = { reboot, reason, shutdownAt: this.clock.now() + seconds * 1000, jobs };
+    this.announceShutdown(seconds, reboot);
+  }
+  cancelShutdown() {
+    if (!this.pendingShutdown) return false;
+    this.pendingShutdown.jobs.forEach(job => this.scheduler.cancel(job));
+    this.pendingShutdown = null;
+    return true;
+  }
+  announceShutdown(seconds, reboot) {
+    this.clientManager.broadcastToAll('displayMessage', {
+      type: 'error',
+      content: `The server will ${reboot ? 'reboot' : 'shut down'} in ${this.formatCountdown(seconds)}.`
+    });
+  }
+  formatCountdown(seconds) {
+    if (seconds >= 60 && seconds % 60 === 0) {
+      const minutes = seconds / 60;
+      return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  async shutdown({ reboot = false, reason = 'Shutdown requested' } = {}) {
+    if (this.shuttingDown) return;
+    this.shuttingDown = true;
+    this.acceptingCommands = false;
+    this.cancelShutdown();
+    this.logger.info(`${reboot ? 'Rebooting' : 'Shutting down'}: ${reason}`);
+    this.clientManager.broadcastToAll('displayMessage', {
+      type: 'error',
+      content: reboot
+        ? 'The server is rebooting now. Please reconnect in a moment.'
+        : 'The server is shutting down now. Farewell, until we meet again in the Wulin.'
+    });
+    this.worldManager.endAllCombat();
+    try {
+      await this.saveGameState();
+    } catch (error) {
+      this.logger.error(`Failed to save game state during shutdown: ${error.message}`);
+    }
+    await this.stop();
+    this.exitProcess(reboot);
+  }
+  exitProcess(reboot) {
+    if (reboot) {
+      // The listening ports are already closed, so the replacement server can bind them right away
+      const child = spawn(process.execPath, process.argv.slice(1), { detached: true, stdio: 'inherit' });
+      child.unref();
+    }
+    exit(0);
+  }
   setupExpress() {
     const { HOST, PORT, SSL_KEY_PATH, SSL_CERT_PATH } = this.configSystem.getAll();
     this.express.use(express.json());
+    if (this.configSystem.get('API_ENABLED')) {
+      this.express.use('/api', new RestApi(this, this.configSystem).createRouter());
+    }
+    this.express.use('/session', this.createSessionRouter());
     this.express.use(express.static('public'));
     if (SSL_KEY_PATH && SSL_CERT_PATH) {
       const httpsOptions = {
-        key: fs.readFileSync(SSL_KEY_PATH),
-        cert: fs.readFileSync(SSL_CERT_PATH)
+        key: readFileSync(SSL_KEY_PATH),
+        cert: readFileSync(SSL_CERT_PATH)
       };
       this.https = https.createServer(httpsOptions, this.express);
       this.http = http.createServer((req, res) => {
@@ -249,224 +517,3832 @@ class CoreServerSystem {
       });
     }
   }
+  createSessionRouter() {
+    const router = express.Router();
+    router.use(this.authenticationSystem.requireSession());
+    router.get('/', (req, res) => {
+      const { accountId, accountName, issuedAt, expiresAt } = req.account;
+      res.json({ accountId, accountName, issuedAt: new Date(issuedAt).toISOString(), expiresAt: new Date(expiresAt).toISOString() });
+    });
+    router.delete('/', (req, res, next) => {
+      this.revokeAccountSessions(req.account.accountId).then(() => res.status(204).end()).catch(next);
+    });
+    router.use((error, req, res, next) => {
+      this.logger.error(`Session route error on ${req.method} ${req.originalUrl}: ${error.message}`);
+      res.status(500).json({ error: 'Internal server error' });
+    });
+    return router;
+  }
   setupSocketIO() {
     this.io = new SocketIOServer(this.https || this.http);
+    this.io.use((socket, next) => this.negotiateProtocol(socket, next));
     this.io.on('connection', (socket) => {
+      socket.use((packet, next) => this.limitRate(socket, packet, next));
       this.handleNewConnection(socket);
+      socket.on(MessageProtocol.EVENT, (data) => {
+        this.handleClientMessage(socket, data);
+      });
       socket.on('disconnect', () => {
         this.handleDisconnection(socket);
       });
-      // Add more socket event listeners here
     });
   }
+  setupTelnet() {
+    const { HOST, TELNET_ENABLED, TELNET_PORT } = this.configSystem.getAll();
+    if (!TELNET_ENABLED) return;
+    this.telnetGateway = new TelnetGateway(this, this.configSystem);
+    this.telnetGateway.listen(TELNET_PORT, HOST);
+  }
+  negotiateProtocol(socket, next) {
+    const result = MessageProtocol.negotiateVersion(socket.handshake.auth);
+    if (!result.success) {
+      this.logger.warn(`Rejected client ${socket.id}: ${result.message}`);
+      const error = new Error(result.message);
+      error.data = {
+        type: 'protocolError',
+        minProtocolVersion: MessageProtocol.MIN_VERSION,
+        protocolVersion: MessageProtocol.VERSION
+      };
+      return next(error);
+    }
+    socket.data.protocolVersion = result.version;
+    next();
+  }
+  limitRate(socket, [event, data], next) {
+    const maxMessageSize = this.configSystem.get('MAX_MESSAGE_SIZE');
+    let action;
+    if (typeof data === 'string' && data.length > maxMessageSize) {
+      action = this.antiCheatSystem.penalize(socket.id);
+    } else {
+      action = this.antiCheatSystem.applyRateLimit(socket.id, event === MessageProtocol.EVENT ? this.getRateLimitClass(data) : 'general');
+    }
+    if (action === RateLimiter.ACTIONS.ALLOW) {
+      next();
+      return true;
+    }
+    // Not calling next drops the message
+    this.handleRateLimitViolation(socket, action);
+    return false;
+  }
+  getRateLimitClass(data) {
+    let message;
+    try {
+      message = MessageProtocol.decode(data);
+    } catch (error) {
+      // handleClientMessage reports malformed messages
+      return 'general';
+    }
+    if (CoreServerSystem.AUTH_MESSAGE_TYPES.has(message.type)) return 'auth';
+    if (message.type !== 'command') return 'general';
+    const parsed = this.commandParser.parse(String(message.payload.action ?? ''));
+    return parsed && parsed.command ? parsed.command.rateLimitClass : 'general';
+  }
+  handleRateLimitViolation(socket, action) {
+    const client = this.clientManager.getClient(socket.id);
+    const player = client && client.player;
+    const { ACTIONS } = RateLimiter;
+    switch (action) {
+      case ACTIONS.WARN:
+        this.clientManager.sendToClient(socket, 'displayMessage', {
+          type: 'error',
+          content: 'You are sending commands too quickly. Slow down or they will be ignored.'
+        });
+        break;
+      case ACTIONS.MUTE: {
+        const seconds = Math.round(this.configSystem.get('RATE_LIMIT_MUTE_DURATION') / 1000);
+        this.antiCheatSystem.reportSuspiciousActivity(player, `Muted for flooding from ${socket.id}`);
+        this.clientManager.sendToClient(socket, 'displayMessage', {
+          type: 'error',
+          content: `You have been muted for ${seconds} seconds for flooding.`
+        });
+        break;
+      }
+      case ACTIONS.DISCONNECT:
+        this.antiCheatSystem.reportSuspiciousActivity(player, `Disconnected for flooding from ${socket.id}`);
+        this.clientManager.sendToClient(socket, 'displayMessage', {
+          type: 'error',
+          content: 'You have been disconnected for flooding.'
+        });
+        if (player) {
+          // Flooding is not a lost link, so don't keep the character around to be resumed
+          this.sessionManager.endSession(player.id);
+        }
+        socket.disconnect();
+        break;
+    }
+  }
+  handleClientMessage(socket, data) {
+    let message;
+    try {
+      message = MessageProtocol.decode(data);
+    } catch (error) {
+      this.logger.warn(`Invalid message from ${socket.id}: ${error.message}`);
+      this.clientManager.sendToClient(socket, 'protocolError', { message: error.message });
+      return;
+    }
+    if (message.v !== socket.data.protocolVersion) {
+      this.clientManager.sendToClient(socket, 'protocolError', {
+        message: `Message uses protocol version ${message.v} but version ${socket.data.protocolVersion} was negotiated.`
+      });
+      return;
+    }
+    if (!this.socketEventSystem.hasListeners(message.type)) {
+      this.clientManager.sendToClient(socket, 'protocolError', { message: `Unknown message type: ${message.type}` });
+      return;
+    }
+    this.socketEventSystem.emit(message.type, socket, message.payload);
+  }
   startGameLoop() {
-    const TICK_RATE = this.configSystem.get('TICK_RATE');
-    const TICK_INTERVAL = 1000 / TICK_RATE;
-    let lastUpdate = Date.now();
-    this.gameLoop = setInterval(() => {
-      const now = Date.now();
-      const deltaTime = (now - lastUpdate) / 1000;
-      this.tick(deltaTime);
-      lastUpdate = now;
-    }, TICK_INTERVAL);
-    this.logger.info(`Game loop started with tick rate: ${TICK_RATE} Hz`);
+    const {
+      TICK_RATE, REPLICATION_INTERVAL, NPC_MOVEMENT_INTERVAL, REGEN_INTERVAL, WORLD_EVENT_INTERVAL, CHARACTER_PURGE_INTERVAL,
+      SANCTION_CHECK_INTERVAL, AUTOSAVE_INTERVAL, AUTOSAVE_SLICES, BACKUP_INTERVAL
+    } = this.configSystem.getAll();
+    this.scheduler.schedulePeriodic('worldUpdate', TICK_RATE, deltaTime => this.worldManager.updateWorld(deltaTime));
+    // Send each client only the changes inside its area of interest, even while the world is paused
+    this.scheduler.schedulePeriodic('replication', REPLICATION_INTERVAL, () => this.replicationManager.replicate(), { pausable: false });
+    this.scheduler.schedulePeriodic('npcMovement', NPC_MOVEMENT_INTERVAL, () => this.worldManager.npcManager.moveMobileNPCs());
+    this.scheduler.schedulePeriodic('regen', REGEN_INTERVAL, deltaTime => this.worldManager.regenerateCharacters(deltaTime));
+    this.scheduler.schedulePeriodic('worldEvents', WORLD_EVENT_INTERVAL * 60000, () => this.worldManager.updateWorldEvents());
+    this.scheduler.schedulePeriodic('characterPurge', CHARACTER_PURGE_INTERVAL, () => (
+      this.accountManager.purgeDeletedCharacters().catch(error => {
+        this.logger.error(`Failed to remove expired deleted characters: ${error.message}`);
+      })
+    ), { pausable: false });
+    this.scheduler.schedulePeriodic('sanctionExpiry', SANCTION_CHECK_INTERVAL, () => (
+      this.expireSanctions().catch(error => {
+        this.logger.error(`Failed to expire sanctions: ${error.message}`);
+      })
+    ), { pausable: false });
+    // Each run saves one slice of the characters with unsaved changes, or the world, so saves never pile up
+    this.scheduler.schedulePeriodic('autosave', AUTOSAVE_INTERVAL / (AUTOSAVE_SLICES + 1), () => (
+      this.autosave().catch(error => {
+        this.logger.error(`Autosave failed: ${error.message}`);
+      })
+    ), { pausable: false });
+    this.scheduler.schedulePeriodic('backup', BACKUP_INTERVAL, () => (
+      this.backupManager.runScheduledBackup().catch(error => {
+        this.logger.error(`Backup failed: ${error.message}`);
+      })
+    ), { pausable: false });
+    this.scheduler.start();
+    this.logger.info(`Game loop started with a world update every ${TICK_RATE} ms`);
+  }
+  async expireSanctions() {
+    const expired = await this.sanctionManager.expireSanctions();
+    expired.forEach(sanction => this.adminTools.handleSanctionLifted(sanction));
   }
   stopGameLoop() {
-    if (this.gameLoop) {
-      clearInterval(this.gameLoop);
-      this.gameLoop = null;
+    if (this.scheduler.running) {
+      this.scheduler.stop();
       this.logger.info('Game loop stopped');
     }
   }
   handleNewConnection(socket) {
     this.logger.info(`New client connected: ${socket.id}`);
-    // Add authentication logic here
-    // For now, we'll create a dummy player
-    const dummyPlayer = new Player(socket.id, `Player_${socket.id}`, 'A new player');
-    this.clientManager.addClient(socket, dummyPlayer);
-    socket.emit('connectionEstablished', { playerId: dummyPlayer.id });
+    // The connection has no character until it logs in or resumes a session
+    this.clientManager.addClient(socket, null);
+    this.clientManager.sendToClient(socket, 'connectionEstablished', {
+      protocolVersion: socket.data.protocolVersion
+    });
   }
-  handleDisconnection(socket) {
-    this.logger.info(`Client disconnected: ${socket.id}`);
-    this.clientManager.removeClient(socket);
+  async handleLogin(socket, { accountName, password } = {}) {
+    const client = this.clientManager.getClient(socket.id);
+    if (!client) return;
+    if (client.accountId) {
+      this.clientManager.sendToClient(socket, 'loginResult', { success: false, message: 'You are already logged in.' });
+      return;
+    }
+    const addressBan = this.findBan(socket);
+    if (addressBan) {
+      this.clientManager.sendToClient(socket, 'loginResult', { success: false, message: SanctionManager.describe(addressBan) });
+      return;
+    }
+    const result = await this.authenticationSystem.authenticateUser(accountName, password);
+    if (!result.success) {
+      this.logger.info(`Failed login to account ${accountName} from ${socket.handshake.address}`);
+      this.clientManager.sendToClient(socket, 'loginResult', { success: false, message: result.message });
+      return;
+    }
+    // The connection may have closed while the password was being checked
+    if (!this.clientManager.getClient(socket.id)) return;
+    const { account } = result;
+    const ban = this.findBan(socket, account.id);
+    if (ban) {
+      this.logger.info(`Refused login to banned account ${account.name} from ${socket.handshake.address}`);
+      this.clientManager.sendToClient(socket, 'loginResult', { success: false, message: SanctionManager.describe(ban) });
+      return;
+    }
+    if (result.twoFactorRequired) {
+      this.clientManager.setPendingLogin(socket, {
+        accountId: account.id, expiresAt: this.clock.now() + this.configSystem.get('TWO_FACTOR_LOGIN_TIMEOUT')
+      });
+      this.clientManager.sendToClient(socket, 'twoFactorRequired', {
+        accountName: account.name, message: 'Enter the code from your authenticator app, or one of your backup codes.'
+      });
+      return;
+    }
+    await this.completeLogin(socket, account);
+  }
+  async handleVerifyTwoFactor(socket, { code } = {}) {
+    const client = this.clientManager.getClient(socket.id);
+    if (!client) return;
+    const { pendingLogin } = client;
+    if (!pendingLogin || pendingLogin.expiresAt <= this.clock.now()) {
+      this.clientManager.setPendingLogin(socket, null);
+      this.clientManager.sendToClient(socket, 'loginResult', { success: false, message: 'Your login has timed out. Please log in again.' });
+      return;
+    }
+    const result = await this.authenticationSystem.verifySecondFactor(pendingLogin.accountId, code);
+    if (!this.clientManager.getClient(socket.id)) return;
+    if (!result.success) {
+      this.logger.info(`Failed two-factor code for account ${pendingLogin.accountId} from ${socket.handshake.address}`);
+      if (result.locked) {
+        this.clientManager.setPendingLogin(socket, null);
+        this.clientManager.sendToClient(socket, 'loginResult', { success: false, message: result.message });
+      } else {
+        this.clientManager.sendToClient(socket, 'twoFactorRequired', { message: result.message });
+      }
+      return;
+    }
+    this.clientManager.setPendingLogin(socket, null);
+    const message = result.remainingBackupCodes === null
+      ? null
+      : `You used a backup code. You have ${result.remainingBackupCodes} left.`;
+    await this.completeLogin(socket, result.account, message);
+  }
+  async completeLogin(socket, account, message = null) {
+    this.clientManager.setAccount(socket, account.id);
+    this.logger.info(`Account ${account.name} logged in from ${socket.handshake.address}`);
+    this.clientManager.sendToClient(socket, 'loginResult', {
+      success: true, accountName: account.name, sessionToken: this.authenticationSystem.generateToken(account), message
+    });
+    await this.sendAccountMenu(socket, account.id);
   }
-  tick(deltaTime) {
-    this.worldManager.updateWorld(deltaTime);
-    // Update all connected clients with the new world state
-    const worldState = this.worldManager.getWorldState();
-    this.clientManager.broadcastToAll('worldUpdate', worldState);
+  findBan(socket, accountId = null) {
+    return this.sanctionManager.getAddressBan(socket.handshake.address) ||
+      (accountId && this.sanctionManager.getAccountSanction(accountId, SanctionManager.TYPES.BAN));
   }
-}
-/**************************************************************************************************
-Socket Event System Class
-***************************************************************************************************/
-class SocketEventSystem {
-  constructor() {
-    this.listeners = new Map();
+  needsTwoFactorSetup(account) {
+    return this.accountManager.getRole(account) !== Roles.PLAYER && !this.authenticationSystem.hasTwoFactor(account);
   }
-  on(eventName, listener) {
-    if (!this.listeners.has(eventName)) {
-      this.listeners.set(eventName, new Set());
+  async handleCreateAccount(socket, { data } = {}) {
+    const ban = this.findBan(socket);
+    if (ban) {
+      this.clientManager.sendToClient(socket, 'accountCreationResult', { success: false, message: SanctionManager.describe(ban), errors: [] });
+      return;
     }
-    this.listeners.get(eventName).add(listener);
-  }
-  emit(eventName, ...args) {
-    const listeners = this.listeners.get(eventName);
-    if (listeners) {
-      listeners.forEach(listener => listener(...args));
+    const result = await this.authenticationSystem.registerAccount(data);
+    if (!result.success) {
+      this.clientManager.sendToClient(socket, 'accountCreationResult', {
+        success: false, message: result.message, errors: result.errors || []
+      });
+      return;
     }
+    this.logger.info(`New account ${result.account.name} created from ${socket.handshake.address}`);
+    this.clientManager.sendToClient(socket, 'accountCreationResult', {
+      success: true, message: `The account ${result.account.name} has been created. You may now log in.`
+    });
   }
-  removeListener(eventName, listener) {
-    const listeners = this.listeners.get(eventName);
-    if (listeners) {
-      listeners.delete(listener);
-    }
+  async sendAccountMenu(socket, accountId) {
+    const account = await this.databaseManager.getAccount(accountId);
+    const characters = await this.accountManager.listCharacters(accountId);
+    this.clientManager.sendToClient(socket, 'accountMenu', {
+      accountName: account ? account.name : null,
+      maxCharacters: this.configSystem.get('MAX_CHARACTERS_PER_ACCOUNT'),
+      twoFactorEnabled: this.authenticationSystem.hasTwoFactor(account),
+      twoFactorRequired: this.needsTwoFactorSetup(account),
+      characters: characters.map(character => ({
+        ...character, online: Boolean(this.clientManager.getClientByPlayerId(character.id))
+      }))
+    });
   }
-  removeAllListeners(eventName) {
-    if (eventName) {
-      this.listeners.delete(eventName);
-    } else {
-      this.listeners.clear();
+  async handleMenuRequest(socket, resultType, operation) {
+    const client = this.clientManager.getClient(socket.id);
+    if (!client) return;
+    if (!client.accountId || client.player) {
+      this.clientManager.sendToClient(socket, resultType, {
+        success: false, message: client.player ? 'Quit to the account menu first.' : 'You need to log in first.'
+      });
+      return;
+    }
+    const result = await operation(client.accountId);
+    if (!result) return;
+    this.clientManager.sendToClient(socket, resultType, {
+      success: result.success, message: result.message, errors: result.errors || [], ...result.details
+    });
+    if (result.success) {
+      await this.sendAccountMenu(socket, client.accountId);
     }
   }
-  createCustomEvent(name, data) {
-    this.emit(name, data);
+  characterIsOnline(characterId) {
+    return Boolean(this.clientManager.getClientByPlayerId(characterId));
   }
-}
-/**************************************************************************************************
-Client Manager Class
-***************************************************************************************************/
-class ClientManager {
-  constructor() {
-    this.clients = new Map();
+  handleCreateCharacter(socket, { data } = {}) {
+    return this.handleMenuRequest(socket, 'characterCreationResult', async accountId => {
+      const result = await this.accountManager.createCharacter(accountId, data);
+      if (result.success) {
+        this.logger.info(`New character ${result.playerData.name} created from ${socket.handshake.address}`);
+      }
+      return result;
+    });
   }
-  addClient(socket, player) {
-    this.clients.set(socket.id, { socket, player });
+  handleEditCharacter(socket, { characterId, changes } = {}) {
+    return this.handleMenuRequest(socket, 'characterEditResult', async accountId => {
+      if (this.characterIsOnline(characterId)) {
+        return { success: false, message: 'That character is in the world right now.' };
+      }
+      return await this.accountManager.editCharacter(accountId, characterId, changes);
+    });
   }
-  removeClient(socket) {
-    this.clients.delete(socket.id);
+  handleDeleteCharacter(socket, { characterId, password } = {}) {
+    return this.handleMenuRequest(socket, 'characterDeletionResult', async accountId => {
+      const passwordCheck = await this.authenticationSystem.verifyPassword(accountId, password, 'Password incorrect. The character was not deleted.');
+      if (!passwordCheck.success) {
+        return passwordCheck;
+      }
+      if (this.characterIsOnline(characterId)) {
+        return { success: false, message: 'That character is in the world right now.' };
+      }
+      return await this.accountManager.deleteCharacter(accountId, characterId);
+    });
   }
-  broadcastToAll(event, data) {
-    for (const client of this.clients.values()) {
-      client.socket.emit(event, data);
+  handleRestoreCharacter(socket, { characterId } = {}) {
+    return this.handleMenuRequest(socket, 'characterRestorationResult', accountId => (
+      this.accountManager.restoreCharacter(accountId, characterId)
+    ));
+  }
+  handleChangePassword(socket, payload = {}) {
+    return this.handleMenuRequest(socket, 'passwordChangeResult', async accountId => {
+      const result = await this.authenticationSystem.changePassword(accountId, payload);
+      if (result.success) {
+        // Anyone holding an old token or still connected elsewhere has to log in with the new password
+        const account = await this.revokeAccountSessions(accountId, { exceptSocket: socket });
+        this.clientManager.sendToClient(socket, 'sessionToken', { sessionToken: this.authenticationSystem.generateToken(account) });
+      }
+      return result;
+    });
+  }
+  handleBeginTwoFactorSetup(socket, { password } = {}) {
+    return this.handleMenuRequest(socket, 'twoFactorSetup', accountId => (
+      this.authenticationSystem.beginTwoFactorSetup(accountId, password)
+    ));
+  }
+  handleConfirmTwoFactorSetup(socket, { code } = {}) {
+    return this.handleMenuRequest(socket, 'twoFactorSetupResult', async accountId => {
+      const result = await this.authenticationSystem.confirmTwoFactorSetup(accountId, code);
+      if (result.success) {
+        // Sessions started with only the password should not outlive turning the second step on
+        const account = await this.revokeAccountSessions(accountId, { exceptSocket: socket });
+        this.clientManager.sendToClient(socket, 'sessionToken', { sessionToken: this.authenticationSystem.generateToken(account) });
+      }
+      return result;
+    });
+  }
+  handleRegenerateBackupCodes(socket, { code } = {}) {
+    return this.handleMenuRequest(socket, 'backupCodesResult', accountId => (
+      this.authenticationSystem.regenerateBackupCodes(accountId, code)
+    ));
+  }
+  handleDisableTwoFactor(socket, payload = {}) {
+    return this.handleMenuRequest(socket, 'twoFactorDisableResult', async accountId => {
+      const account = await this.databaseManager.getAccount(accountId);
+      if (this.accountManager.getRole(account) !== Roles.PLAYER) {
+        return { success: false, message: 'Staff accounts must keep two-factor authentication on.' };
+      }
+      return await this.authenticationSystem.disableTwoFactor(accountId, payload);
+    });
+  }
+  async revokeAccountSessions(accountId, { exceptSocket = null, reason = 'Your account was logged out everywhere.' } = {}) {
+    const account = await this.authenticationSystem.revokeSessions(accountId);
+    this.clientManager.getClients()
+      .filter(client => client.accountId === accountId && (!exceptSocket || client.socket.id !== exceptSocket.id))
+      .forEach(client => {
+        const { socket, player, linkDead } = client;
+        if (player) {
+          this.sessionManager.endSession(player.id);
+          this.removePlayerFromWorld(player);
+        }
+        if (!linkDead) {
+          this.clientManager.sendToClient(socket, 'sessionExpired', { message: reason });
+        }
+        // Forget the client first so the disconnect is not treated as a lost link
+        this.clientManager.removeClient(socket);
+        if (!linkDead) {
+          socket.disconnect();
+        }
+      });
+    return account;
+  }
+  handleSelectCharacter(socket, { characterId } = {}) {
+    return this.handleMenuRequest(socket, 'characterSelected', async accountId => {
+      const playerData = await this.accountManager.getCharacter(accountId, characterId);
+      if (!playerData) {
+        return { success: false, message: 'You have no such character.' };
+      }
+      const account = await this.databaseManager.getAccount(accountId);
+      if (this.needsTwoFactorSetup(account)) {
+        return { success: false, message: 'Staff accounts must turn on two-factor authentication before entering the world.' };
+      }
+      await this.databaseManager.updatePlayerRecord(playerData.id, { lastPlayedAt: new Date(this.clock.now()).toISOString() });
+      // The connection may have closed while the character was being loaded
+      if (!this.clientManager.getClient(socket.id)) return null;
+      this.enterAsCharacter(socket, playerData, account);
+      return null;
+    });
+  }
+  enterAsCharacter(socket, playerData, account) {
+    const previousClient = this.clientManager.getClientByPlayerId(playerData.id);
+    if (previousClient) {
+      // The character is still in the world, link-dead or on another connection, so take it over
+      const { player } = previousClient;
+      const existingSession = this.sessionManager.getSessionByPlayerId(player.id);
+      const session = existingSession
+        ? this.sessionManager.resumeSession(existingSession.token)
+        : this.sessionManager.createSession(player, this.authenticationSystem.generateToken(account));
+      this.logger.info(`${player.name} was taken over on ${socket.id}`);
+      this.resumePlayer(socket, player, 'characterSelected', {
+        success: true, playerId: player.id, playerName: player.name, sessionToken: session.token
+      });
+      return;
+    }
+    const player = Player.fromData(playerData, this.gameDataManager);
+    player.role = this.accountManager.getRole(account);
+    player.journal = this.stateJournal;
+    this.clientManager.assignPlayer(socket, player);
+    const session = this.sessionManager.createSession(player, this.authenticationSystem.generateToken(account));
+    this.logger.info(`${player.name} entered the world from ${socket.handshake.address}`);
+    this.clientManager.sendToClient(socket, 'characterSelected', {
+      success: true, playerId: player.id, playerName: player.name, sessionToken: session.token
+    });
+    this.enterWorld(player);
+  }
+  async handleRestoreSession(socket, { token } = {}) {
+    const verified = await this.authenticationSystem.verifyToken(token);
+    const session = verified && this.sessionManager.getSession(token);
+    if (!verified || (session && session.player.accountId !== verified.accountId)) {
+      this.clientManager.sendToClient(socket, 'sessionExpired', { message: 'Your session has expired. Please log in again.' });
+      return;
+    }
+    const ban = this.findBan(socket, verified.accountId);
+    if (ban) {
+      this.clientManager.sendToClient(socket, 'sessionExpired', { message: SanctionManager.describe(ban) });
+      return;
+    }
+    // The connection may have closed while the token was being checked
+    const client = this.clientManager.getClient(socket.id);
+    if (!client) return;
+    if (!session) {
+      // The character has left the world since the token was issued, so go back to the account menu
+      if (client.accountId && client.accountId !== verified.accountId) {
+        this.clientManager.sendToClient(socket, 'loginResult', { success: false, message: 'You are already logged in.' });
+        return;
+      }
+      this.clientManager.setAccount(socket, verified.accountId);
+      this.logger.info(`Account ${verified.accountName} resumed on ${socket.id}`);
+      this.clientManager.sendToClient(socket, 'loginResult', {
+        success: true, accountName: verified.accountName, sessionToken: this.authenticationSystem.generateToken(verified.account)
+      });
+      await this.sendAccountMenu(socket, verified.accountId);
+      return;
     }
+    const { player } = session;
+    const currentClient = this.clientManager.getClient(socket.id);
+    if (currentClient && currentClient.player && currentClient.player.id !== player.id) {
+      // The connection is already playing another character, which leaves the world
+      this.sessionManager.endSession(currentClient.player.id);
+      this.removePlayerFromWorld(currentClient.player);
+      this.clientManager.removeClient(socket);
+    }
+    this.sessionManager.resumeSession(token);
+    this.logger.info(`Session resumed for ${player.name} on ${socket.id}`);
+    this.resumePlayer(socket, player, 'sessionRestored', {
+      playerId: player.id,
+      playerName: player.name,
+      sessionToken: token
+    });
   }
-}
-/**************************************************************************************************
-Database Manager Class
-***************************************************************************************************/
-class DatabaseManager {
-  constructor(configSystem) {
-    this.configSystem = configSystem;
-    this.logger = new LogSystem();
-    this.dataPath = this.configSystem.get('GAME_DATA_PATH');
+  resumePlayer(socket, player, resultType, result) {
+    const previousClient = this.clientManager.getClientByPlayerId(player.id);
+    const previousSocket = previousClient && !previousClient.linkDead && previousClient.socket.id !== socket.id
+      ? previousClient.socket
+      : null;
+    const missedOutput = this.clientManager.reattachClient(player, socket);
+    this.clientManager.setAccount(socket, player.accountId);
+    if (previousSocket) {
+      this.clientManager.sendToClient(previousSocket, 'displayMessage', {
+        type: 'error',
+        content: 'Your session has been resumed from another connection.'
+      });
+      previousSocket.disconnect();
+    }
+    this.clientManager.sendToClient(socket, resultType, { ...result, missedMessages: missedOutput.length });
+    missedOutput.forEach(({ type, payload }) => this.clientManager.sendToClient(socket, type, payload));
+    this.replicationManager.sendFullState(player);
+    if (player.location) {
+      this.worldManager.broadcastToLocation(player.location, 'displayMessage', {
+        type: 'info',
+        content: `${FormatMessageManager.formatPlayerName(player.name)} has reconnected.`
+      }, { exclude: [player.id] });
+    }
   }
-  async initialize() {
-    // Verify that the data directory exists
-    try {
-      await fs.access(this.dataPath);
-      this.logger.info('JSON file system initialized successfully');
-    } catch (error) {
-      this.logger.error(`Data directory not accessible: ${error.message}`);
-      throw error;
+  handleLogout(socket) {
+    const client = this.clientManager.getClient(socket.id);
+    if (client && client.player) {
+      const { player } = client;
+      this.sessionManager.endSession(player.id);
+      this.removePlayerFromWorld(player);
+      this.clientManager.unassignPlayer(socket);
+    }
+    this.clientManager.setAccount(socket, null);
+    this.clientManager.setPendingLogin(socket, null);
+    this.clientManager.sendToClient(socket, 'logoutConfirmation', {});
+  }
+  expireSession(playerId) {
+    const client = this.clientManager.getClientByPlayerId(playerId);
+    this.sessionManager.endSession(playerId);
+    if (!client || !client.linkDead) return;
+    this.logger.info(`Link-dead grace period expired for ${client.player.name}`);
+    this.removePlayerFromWorld(client.player);
+    this.clientManager.removeClient(client.socket);
+  }
+  removePlayerFromWorld(player) {
+    this.replicationManager.removeView(player.id);
+    this.worldManager.removeEntity(player.id);
+    if (player.location) {
+      this.worldManager.broadcastToLocation(player.location, 'playerLeft', {
+        playerId: player.id, playerName: player.name, direction: null
+      });
     }
+    this.savePlayers([player]).catch(error => {
+      this.logger.error(`Failed to save ${player.name}: ${error.message}`);
+    });
   }
-  async query(dataType, filter = null) {
+  getEntryLocation(player) {
+    const { JAIL_LOCATION, STARTING_LOCATION } = this.configSystem.getAll();
+    if (this.sanctionManager.getAccountSanction(player.accountId, SanctionManager.TYPES.JAIL)) return JAIL_LOCATION;
+    // Characters whose jail term ended while they were away are let out where new characters start
+    if (player.location === JAIL_LOCATION && !Roles.isAtLeast(player.role, Roles.BUILDER)) return STARTING_LOCATION;
+    return player.location || STARTING_LOCATION;
+  }
+  enterWorld(player, locationId = this.getEntryLocation(player)) {
+    this.worldManager.addEntity(player);
+    const result = this.worldManager.placeEntity(player, locationId);
+    if (!result.success) {
+      this.logger.warn(`Could not place ${player.name} in the world: ${result.message}`);
+    } else {
+      this.worldManager.broadcastToLocation(player.location, 'playerEntered', {
+        playerId: player.id, playerName: player.name, direction: null
+      }, { exclude: [player.id] });
+    }
+    this.replicationManager.sendFullState(player);
+  }
+  registerSocketEvents() {
+    const queued = handler => (socket, payload) => this.queueClientTask(socket, () => handler.call(this, socket, payload));
+    this.socketEventSystem.on('login', queued(this.handleLogin));
+    this.socketEventSystem.on('verifyTwoFactor', queued(this.handleVerifyTwoFactor));
+    this.socketEventSystem.on('createAccount', queued(this.handleCreateAccount));
+    this.socketEventSystem.on('createNewCharacter', queued(this.handleCreateCharacter));
+    this.socketEventSystem.on('selectCharacter', queued(this.handleSelectCharacter));
+    this.socketEventSystem.on('editCharacter', queued(this.handleEditCharacter));
+    this.socketEventSystem.on('deleteCharacter', queued(this.handleDeleteCharacter));
+    this.socketEventSystem.on('restoreCharacter', queued(this.handleRestoreCharacter));
+    this.socketEventSystem.on('changePassword', queued(this.handleChangePassword));
+    this.socketEventSystem.on('beginTwoFactorSetup', queued(this.handleBeginTwoFactorSetup));
+    this.socketEventSystem.on('confirmTwoFactorSetup', queued(this.handleConfirmTwoFactorSetup));
+    this.socketEventSystem.on('regenerateBackupCodes', queued(this.handleRegenerateBackupCodes));
+    this.socketEventSystem.on('disableTwoFactor', queued(this.handleDisableTwoFactor));
+    this.socketEventSystem.on('command', (socket, payload) => this.handleCommand(socket, payload));
+    this.socketEventSystem.on('requestFullState', socket => this.handleFullStateRequest(socket));
+    this.socketEventSystem.on('restoreSession', queued(this.handleRestoreSession));
+    this.socketEventSystem.on('logout', socket => this.handleLogout(socket));
+  }
+  handleFullStateRequest(socket) {
+    const client = this.clientManager.getClient(socket.id);
+    if (client && client.player) {
+      this.replicationManager.sendFullState(client.player);
+    }
+  }
+  registerCommands() {
+    Object.entries(CoreServerSystem.DIRECTION_ALIASES).forEach(([alias, direction]) => {
+      this.commandParser.registerCommand(new Command(direction, player => this.handleMoveCommand(player, direction), 0, 0, {
+        aliases: [alias], rateLimitClass: 'movement'
+      }));
+    });
+    this.commandParser.registerCommand(new Command('move', (player, [direction]) => this.handleMoveCommand(player, direction), 1, 1, {
+      usage: 'move <direction>', rateLimitClass: 'movement'
+    }));
+    this.commandParser.registerCommand(new Command('look', player => this.handleLookCommand(player), 0, 0, {
+      aliases: ['l', 'loo']
+    }));
+    this.commandParser.registerCommand(new Command('say', (player, args) => this.handleSayCommand(player, args.join(' ')), 1, Infinity, {
+      usage: 'say <message>', rateLimitClass: 'chat'
+    }));
+    this.commandParser.registerCommand(new Command('who', () => this.handleWhoCommand(), 0, 0));
+    this.commandParser.registerCommand(new Command('help', player => this.handleHelpCommand(player), 0, 0, { aliases: ['commands'] }));
+    this.commandParser.registerCommand(new Command('quit', player => this.handleQuitCommand(player), 0, 0));
+    this.commandParser.registerCommand(new Command('goto', (player, [target]) => this.handleGotoCommand(player, target), 1, 1, {
+      usage: 'goto <location|character>', minRole: Roles.BUILDER
+    }));
+    this.commandParser.registerCommand(new Command('redit', (player, args) => this.handleRoomEditCommand(player, args), 2, Infinity, {
+      usage: 'redit name|description <text> or redit exit <direction> <location|none>', minRole: Roles.BUILDER
+    }));
+    this.commandParser.registerCommand(new Command('transfer', (player, [name, target]) => this.handleTransferCommand(player, name, target), 1, 2, {
+      usage: 'transfer <character> [location|character]', minRole: Roles.GAME_MASTER
+    }));
+    this.commandParser.registerCommand(new Command('kick', (player, [name, ...reason]) => this.handleKickCommand(player, name, reason.join(' ')), 1, Infinity, {
+      usage: 'kick <character> [reason]', minRole: Roles.GAME_MASTER
+    }));
+    [
+      ['mute', 'mutePlayer', Roles.GAME_MASTER],
+      ['jail', 'jailPlayer', Roles.GAME_MASTER],
+      ['ban', 'banPlayer', Roles.ADMINISTRATOR]
+    ].forEach(([name, action, minRole]) => {
+      this.commandParser.registerCommand(new Command(name, (player, [target, duration, ...reason]) => (
+        this.handleSanctionCommand(player, action, target, duration, reason.join(' '))
+      ), 2, Infinity, { usage: `${name} <character> <duration|perm> [reason]`, minRole }));
+    });
+    [
+      ['unmute', 'unmutePlayer', Roles.GAME_MASTER],
+      ['release', 'releasePlayer', Roles.GAME_MASTER],
+      ['unban', 'unbanPlayer', Roles.ADMINISTRATOR]
+    ].forEach(([name, action, minRole]) => {
+      this.commandParser.registerCommand(new Command(name, (player, [target, ...reason]) => (
+        this.handleLiftSanctionCommand(player, action, target, reason.join(' '))
+      ), 1, Infinity, { usage: `${name} <character> [reason]`, minRole }));
+    });
+    this.commandParser.registerCommand(new Command('ipban', (player, [target, duration, ...reason]) => this.handleAddressBanCommand(player, target, duration, reason.join(' ')), 2, Infinity, {
+      usage: 'ipban <character|address> <duration|perm> [reason]', minRole: Roles.ADMINISTRATOR
+    }));
+    this.commandParser.registerCommand(new Command('unipban', (player, [address, ...reason]) => this.adminTools.unbanAddress(player, address, reason.join(' ')), 1, Infinity, {
+      usage: 'unipban <address> [reason]', minRole: Roles.ADMINISTRATOR
+    }));
+    this.commandParser.registerCommand(new Command('audit', (player, [target]) => this.handleAuditCommand(target), 0, 1, {
+      usage: 'audit [character|address]', minRole: Roles.ADMINISTRATOR
+    }));
+    this.commandParser.registerCommand(new Command('rename', (player, [name, newName]) => this.handleRenameCommand(player, name, newName), 2, 2, {
+      usage: 'rename <character> <new name>', minRole: Roles.ADMINISTRATOR
+    }));
+    this.commandParser.registerCommand(new Command('role', (player, [name, role]) => this.handleRoleCommand(player, name, role), 1, 2, {
+      usage: 'role <character> [role]', minRole: Roles.ADMINISTRATOR
+    }));
+    this.commandParser.registerCommand(new Command('shutdown', (player, args) => this.handleShutdownCommand(player, args, false), 0, 1, {
+      usage: 'shutdown [minutes|cancel]', minRole: Roles.ADMINISTRATOR
+    }));
+    this.commandParser.registerCommand(new Command('reboot', (player, args) => this.handleShutdownCommand(player, args, true), 0, 1, {
+      usage: 'reboot [minutes|cancel]', minRole: Roles.ADMINISTRATOR
+    }));
+    this.commandParser.registerCommand(new Command('scheduler', (player, args) => this.handleSchedulerCommand(player, args), 0, 1, {
+      usage: 'scheduler [pause|resume|step]', minRole: Roles.ADMINISTRATOR
+    }));
+    this.commandParser.registerCommand(new Command('backup', (player, args) => this.handleBackupCommand(player, args), 0, 3, {
+      usage: 'backup [list|create|restore <backup> [character]]', minRole: Roles.ADMINISTRATOR
+    }));
+  }
+  handleCommand(socket, payload) {
+    const client = this.clientManager.getClient(socket.id);
+    if (!client) return;
+    if (!client.player) {
+      this.clientManager.sendToClient(socket, 'displayMessage', { type: 'error', content: 'You need to log in first.' });
+      return;
+    }
+    if (!this.acceptingCommands) {
+      this.sendDisplayMessage(client.player, 'The server is shutting down and no longer accepts commands.', 'error');
+      return;
+    }
+    return this.queueClientTask(socket, () => this.processCommand(client, payload));
+  }
+  queueClientTask(socket, task) {
+    const client = this.clientManager.getClient(socket.id);
+    if (!client) return;
+    // Work from one connection runs one at a time so replies arrive in the order they were sent
+    client.commandQueue = (client.commandQueue || Promise.resolve()).then(task).catch(error => {
+      this.logger.error(`Error handling message from ${socket.id}: ${error.message}`);
+    });
+    return client.commandQueue;
+  }
+  async processCommand(client, { action, args = [] } = {}) {
+    const parsed = this.commandParser.parse([action, ...(Array.isArray(args) ? args : [])].join(' '));
+    if (!parsed) return;
+    if (!parsed.command) {
+      this.sendDisplayMessage(client.player, Command.UNKNOWN_COMMAND_MESSAGE, 'error');
+      return;
+    }
     try {
-      const data = await this.loadJSONData(`${dataType}.json`);
-      if (filter) {
-        return data.filter(filter);
+      const result = await parsed.command.execute(client.player, parsed.args);
+      if (result && result.message) {
+        this.sendDisplayMessage(client.player, result.message, result.success === false ? 'error' : 'info');
       }
-      return data;
     } catch (error) {
-      this.logger.error(`Error querying ${dataType} data: ${error.message}`);
-      throw error;
+      this.logger.error(`Error executing command ${parsed.command.name}: ${error.message}`);
+      this.sendDisplayMessage(client.player, 'Something went wrong. Please try again.', 'error');
     }
   }
-  async loadJSONData(filename) {
-    try {
-      const filePath = path.join(this.dataPath, filename);
-      const data = await fs.readFile(filePath, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      throw new Error(`Failed to load JSON data from ${filename}: ${error.message}`);
+  sendDisplayMessage(player, content, type = 'info') {
+    this.clientManager.sendToPlayer(player.id, 'displayMessage', { type, content });
+  }
+  handleMoveCommand(player, direction) {
+    if (this.sanctionManager.getAccountSanction(player.accountId, SanctionManager.TYPES.JAIL)) {
+      return { success: false, message: 'You cannot leave until your jail term is over.' };
+    }
+    const result = player.move(CoreServerSystem.DIRECTION_ALIASES[direction.toLowerCase()] || direction, this.worldManager);
+    if (!result.success) return result;
+    return { success: true, message: `${result.message}<br>${this.describeLocation(player.location, player)}` };
+  }
+  handleLookCommand(player) {
+    const description = this.describeLocation(player.location, player);
+    if (!description) {
+      return { success: false, message: 'You are floating in a formless void.' };
     }
+    return { success: true, message: description };
+  }
+  describeLocation(locationId, viewer = null) {
+    const locationInfo = this.worldManager.getLocationInfo(locationId);
+    if (!locationInfo) return null;
+    return FormatMessageManager.formatLocation({
+      ...locationInfo,
+      items: locationInfo.items.map(item => item.name),
+      npcs: locationInfo.npcs.map(id => this.gameDataManager.getNPC(id)?.name || id),
+      players: locationInfo.players
+        .filter(id => !viewer || id !== viewer.id)
+        .map(id => this.worldManager.entities.get(id)?.name || id)
+    });
   }
-  async saveJSONData(filename, data) {
-    try {
-      const filePath = path.join(this.dataPath, filename);
-      await fs.writeFile(filePath, JSON.stringify(data, null, 2));
-      this.logger.info(`${filename} saved successfully`);
-    } catch (error) {
-      this.logger.error(`Error saving ${filename}:`, error);
-      throw error;
+  handleSayCommand(player, message) {
+    if (!player.location) {
+      return { success: false, message: 'There is no one here to hear you.' };
+    }
+    const mute = this.sanctionManager.getAccountSanction(player.accountId, SanctionManager.TYPES.MUTE);
+    if (mute) {
+      return { success: false, message: SanctionManager.describe(mute) };
+    }
+    this.worldManager.broadcastToLocation(player.location, 'displayMessage', {
+      type: 'tell-room',
+      content: `${FormatMessageManager.formatPlayerName(player.name)} says, "${message}"`
+    }, { exclude: [player.id] });
+    return { success: true, message: `You say, "${message}"` };
+  }
+  handleWhoCommand() {
+    const names = this.clientManager.getClients().filter(client => client.player).map(client => {
+      const name = FormatMessageManager.formatPlayerName(client.player.name);
+      return client.linkDead ? `${name} (link-dead)` : name;
+    });
+    return { success: true, message: `Players online (${names.length}):<br>${names.join('<br>')}` };
+  }
+  handleHelpCommand(player) {
+    return { success: true, message: `Commands: ${this.commandParser.getCommandNames(player).join(', ')}` };
+  }
+  async handleQuitCommand(player) {
+    const client = this.clientManager.getClientByPlayerId(player.id);
+    if (!client) return;
+    this.sendDisplayMessage(player, 'Farewell, until we meet again in the Wulin.');
+    // Quitting on purpose leaves the world right away instead of going link-dead
+    this.sessionManager.endSession(player.id);
+    this.removePlayerFromWorld(player);
+    this.clientManager.unassignPlayer(client.socket);
+    if (!client.accountId) {
+      client.socket.disconnect();
+      return;
     }
+    await this.sendAccountMenu(client.socket, client.accountId);
   }
-  async getPlayer(playerId) {
-    const players = await this.query('players', player => player.id === playerId);
-    return players[0];
+  resolveDestination(target) {
+    if (this.worldManager.locations.getLocation(target)) return target;
+    const character = this.clientManager.getPlayerByName(target);
+    return character ? character.location : null;
   }
-  async savePlayer(player) {
-    const players = await this.query('players');
-    const index = players.findIndex(p => p.id === player.id);
-    if (index !== -1) {
-      players[index] = player;
-    } else {
-      players.push(player);
+  handleGotoCommand(player, target) {
+    if (this.sanctionManager.getAccountSanction(player.accountId, SanctionManager.TYPES.JAIL)) {
+      return { success: false, message: 'You cannot leave until your jail term is over.' };
     }
-    await this.saveJSONData('players.json', players);
-    this.logger.info(`Player ${player.id} saved successfully`);
+    const destination = this.resolveDestination(target);
+    if (!destination) {
+      return { success: false, message: `There is no location or character called ${target}.` };
+    }
+    const result = this.adminTools.teleportPlayer(player, player, destination);
+    if (!result.success) return result;
+    return { success: true, message: this.describeLocation(player.location, player) };
+  }
+  handleTransferCommand(player, name, target) {
+    const character = this.clientManager.getPlayerByName(name);
+    if (!character) {
+      return { success: false, message: `${name} is not in the world.` };
+    }
+    const destination = target === undefined ? player.location : this.resolveDestination(target);
+    if (!destination) {
+      return { success: false, message: `There is no location or character called ${target}.` };
+    }
+    const result = this.adminTools.teleportPlayer(player, character, destination);
+    if (!result.success) return result;
+    if (character.id !== player.id) {
+      this.sendDisplayMessage(character, `${FormatMessageManager.formatPlayerName(player.name)} has transferred you.<br>${this.describeLocation(character.location, character)}`);
+    }
+    return { success: true, message: `${character.name} has been transferred to ${result.location.name}.` };
   }
-  async getWorldState() {
-    return await this.query('world_state');
+  async handleKickCommand(player, name, reason) {
+    const character = this.clientManager.getPlayerByName(name);
+    if (!character) {
+      return { success: false, message: `${name} is not in the world.` };
+    }
+    return await this.adminTools.kickPlayer(player, character, reason);
   }
-  async saveWorldState(worldState) {
-    await this.saveJSONData('world_state.json', worldState);
-    this.logger.info('World state saved successfully');
+  async findCharacterRecord(name) {
+    const record = await this.databaseManager.getPlayerByName(name);
+    return record && !AccountManager.isDeleted(record) ? record : null;
   }
-  async loadGameData(dataType) {
-    return await this.query(dataType);
+  async handleSanctionCommand(player, action, name, durationText, reason) {
+    const duration = SanctionManager.parseDuration(durationText);
+    if (duration === undefined) {
+      return { success: false, message: 'Give a duration such as 30m, 12h, 7d or 2w, or perm to make it permanent.' };
+    }
+    // Sanctions belong to the account, so the character does not have to be in the world
+    const record = await this.findCharacterRecord(name);
+    if (!record) {
+      return { success: false, message: `There is no character named ${name}.` };
+    }
+    return await this.adminTools[action](player, record, reason, duration);
   }
-  async saveGameData(dataType, data) {
-    await this.saveJSONData(`${dataType}.json`, data);
-    this.logger.info(`${dataType} data saved successfully`);
+  async handleLiftSanctionCommand(player, action, name, reason) {
+    const record = await this.findCharacterRecord(name);
+    if (!record) {
+      return { success: false, message: `There is no character named ${name}.` };
+    }
+    return await this.adminTools[action](player, record, reason);
   }
-}
-/**************************************************************************************************
-Game Data Manager Class
-***************************************************************************************************/
-class GameDataManager {
-  constructor(configSystem, databaseManager) {
+  async handleAddressBanCommand(player, target, durationText, reason) {
+    const duration = SanctionManager.parseDuration(durationText);
+    if (duration === undefined) {
+      return { success: false, message: 'Give a duration such as 30m, 12h, 7d or 2w, or perm to make it permanent.' };
+    }
+    if (SanctionManager.isAddressPattern(target)) {
+      return await this.adminTools.banAddress(player, target, reason, duration);
+    }
+    const character = this.clientManager.getPlayerByName(target);
+    if (!character) {
+      return { success: false, message: `${target} is not in the world, so give the address to ban instead.` };
+    }
+    if (!(await this.adminTools.outranks(player, character))) {
+      return { success: false, message: `You cannot ban ${character.name}.` };
+    }
+    const { socket } = this.clientManager.getClientByPlayerId(character.id);
+    return await this.adminTools.banAddress(player, socket.handshake.address, reason, duration);
+  }
+  async handleAuditCommand(target = null) {
+    const entries = await this.sanctionManager.getAuditLog(target);
+    if (entries.length === 0) {
+      return { success: true, message: target ? `The audit log has nothing about ${target}.` : 'The audit log is empty.' };
+    }
+    const lines = entries.map(entry => [
+      new Date(entry.time).toISOString().slice(0, 16).replace('T', ' '),
+      entry.actor,
+      entry.action,
+      entry.target,
+      entry.duration || '',
+      entry.reason ? `(${entry.reason})` : ''
+    ].filter(Boolean).join(' '));
+    return { success: true, message: [`Audit log${target ? ` for ${target}` : ''}:`, ...lines].join('<br>') };
+  }
+  async handleRoomEditCommand(player, args) {
+    const result = this.editRoom(player, args);
+    if (result.success) {
+      // Written back to the room's zone file straight away, so the edit survives a restart
+      await this.gameDataManager.saveGameData();
+    }
+    return result;
+  }
+  editRoom(player, [field, ...values]) {
+    const location = this.worldManager.locations.getLocation(player.location);
+    if (!location) {
+      return { success: false, message: 'You are not in a room you can edit.' };
+    }
+    const usage = { success: false, message: 'Usage: redit name|description <text> or redit exit <direction> <location|none>' };
+    switch (field.toLowerCase()) {
+      case 'name':
+      case 'description': {
+        const key = field.toLowerCase();
+        const result = this.adminTools.editWorldObject(player, location.id, { [key]: values.join(' ') });
+        return result.success ? { success: true, message: `The room ${key} has been changed.` } : result;
+      }
+      case 'exit': {
+        if (values.length !== 2 || !this.worldManager.movementDirections.includes(values[0].toLowerCase())) return usage;
+        const direction = values[0].toLowerCase();
+        const [, target] = values;
+        const exits = { ...location.exits };
+        if (target.toLowerCase() === 'none') {
+          if (!exits[direction]) {
+            return { success: false, message: `There is no exit ${direction} from here.` };
+          }
+          delete exits[direction];
+          this.adminTools.editWorldObject(player, location.id, { exits });
+          return { success: true, message: `The exit ${direction} has been removed.` };
+        }
+        const destination = this.worldManager.locations.getLocation(target);
+        if (!destination) {
+          return { success: false, message: `There is no location ${target}.` };
+        }
+        exits[direction] = destination.id;
+        this.adminTools.editWorldObject(player, location.id, { exits });
+        return { success: true, message: `The exit ${direction} now leads to ${destination.name}.` };
+      }
+      default:
+        return usage;
+    }
+  }
+  async handleRenameCommand(player, name, newName) {
+    const record = await this.databaseManager.getPlayerByName(name);
+    if (!record) {
+      return { success: false, message: `There is no character named ${name}.` };
+    }
+    const account = await this.databaseManager.getAccount(record.accountId);
+    if (account && account.id !== player.accountId && Roles.rank(this.accountManager.getRole(account)) >= Roles.rank(player.role)) {
+      return { success: false, message: `You cannot rename ${record.name}.` };
+    }
+    const oldName = record.name;
+    const result = await this.accountManager.renameCharacter(record.id, newName);
+    if (!result.success) return result;
+    const client = this.clientManager.getClientByPlayerId(record.id);
+    if (client) {
+      client.player.name = result.record.name;
+      client.player.markDirty('name');
+      this.sendDisplayMessage(client.player, `Your name has been changed to ${result.record.name} by the staff.`);
+    }
+    this.logger.info(`${player.name} renamed ${oldName} to ${result.record.name}`);
+    return { success: true, message: `${oldName} is now known as ${result.record.name}.` };
+  }
+  async handleRoleCommand(player, name, roleName) {
+    const record = await this.databaseManager.getPlayerByName(name);
+    const account = record && !AccountManager.isDeleted(record) ? await this.databaseManager.getAccount(record.accountId) : null;
+    if (!account) {
+      return { success: false, message: `There is no character named ${name}.` };
+    }
+    const currentRole = this.accountManager.getRole(account);
+    if (roleName === undefined) {
+      return { success: true, message: `${record.name}'s role is ${Roles.getLabel(currentRole)}.` };
+    }
+    const role = Roles.find(roleName);
+    if (!role) {
+      return { success: false, message: `Roles are ${Roles.ORDER.join(', ')}.` };
+    }
+    if (account.id === player.accountId) {
+      return { success: false, message: 'You cannot change your own role.' };
+    }
+    if (this.accountManager.isConfiguredImplementor(account)) {
+      return { success: false, message: `${record.name}'s role is set in the server configuration.` };
+    }
+    // Staff can only hand out roles below their own, to people below them, except implementors who can do anything
+    const ownRank = Roles.rank(player.role);
+    if (player.role !== Roles.IMPLEMENTOR && (Roles.rank(currentRole) >= ownRank || Roles.rank(role) >= ownRank)) {
+      return { success: false, message: `You cannot give ${record.name} the ${Roles.getLabel(role)} role.` };
+    }
+    if (role === currentRole) {
+      return { success: false, message: `${record.name}'s role is already ${Roles.getLabel(role)}.` };
+    }
+    const updated = await this.accountManager.setRole(account.id, role);
+    // The role belongs to the account, so every character it has in the world changes at once, though
+    // staff powers wait until the account has two-factor authentication
+    const pendingSetup = this.needsTwoFactorSetup(updated);
+    this.clientManager.getPlayers().filter(character => character.accountId === account.id).forEach(character => {
+      character.role = pendingSetup ? Roles.PLAYER : role;
+      this.sendDisplayMessage(character, pendingSetup
+        ? `Your role is now ${Roles.getLabel(role)}. Turn on two-factor authentication from the account menu to use it.`
+        : `Your role is now ${Roles.getLabel(role)}.`);
+    });
+    this.logger.info(`${player.name} changed the role of account ${account.name} from ${currentRole} to ${role}`);
+    return { success: true, message: `${record.name}'s role is now ${Roles.getLabel(role)}.` };
+  }
+  handleSchedulerCommand(player, [action]) {
+    switch (action && action.toLowerCase()) {
+      case undefined:
+        return { success: true, message: this.formatSchedulerStats() };
+      case 'pause':
+        if (!this.scheduler.pause()) {
+          return { success: false, message: 'The world is already paused.' };
+        }
+        this.logger.info(`${player.name} paused the world`);
+        return { success: true, message: 'The world is paused. Use "scheduler step" to advance it one update at a time.' };
+      case 'resume':
+        if (!this.scheduler.resume()) {
+          return { success: false, message: 'The world is not paused.' };
+        }
+        this.logger.info(`${player.name} resumed the world`);
+        return { success: true, message: 'The world is running again.' };
+      case 'step': {
+        const jobs = this.scheduler.step();
+        if (!jobs) {
+          return { success: false, message: 'Pause the world before stepping it.' };
+        }
+        return { success: true, message: `Stepped ${jobs.join(', ')}.` };
+      }
+      default:
+        return { success: false, message: 'Usage: scheduler [pause|resume|step]' };
+    }
+  }
+  formatSchedulerStats() {
+    const formatTime = milliseconds => `${milliseconds.toFixed(2)} ms`;
+    const lines = this.scheduler.getStats().map(job => [
+      `${job.name}: ${job.once ? 'once in' : 'every'} ${job.interval} ms`,
+      `runs ${job.runs}`,
+      `avg ${formatTime(job.averageTime)}`,
+      `max ${formatTime(job.maxTime)}`,
+      `last ${formatTime(job.lastTime)}`,
+      `skipped ${job.skipped}`,
+      `overruns ${job.overruns}`,
+      `errors ${job.errors}`
+    ].join(', '));
+    const state = !this.scheduler.running ? 'stopped' : this.scheduler.paused ? 'paused' : 'running';
+    return [`Scheduler ${state}, ${lines.length} job(s):`, ...lines].join('<br>');
+  }
+  async handleBackupCommand(player, [action = 'list', name, characterName]) {
+    switch (action.toLowerCase()) {
+      case 'list': {
+        const backups = await this.backupManager.listBackups();
+        if (backups.length === 0) {
+          return { success: true, message: 'There are no backups.' };
+        }
+        const lines = backups.map(({ name: backupName, size }) => `${backupName} (${Math.ceil(size / 1024)} KB)`);
+        return { success: true, message: [`${backups.length} backup(s), newest first:`, ...lines].join('<br>') };
+      }
+      case 'create': {
+        const backup = await this.backupManager.createBackup();
+        await this.sanctionManager.audit(player, 'backup', backup.name);
+        return { success: true, message: `Backup ${backup.name} written and verified.` };
+      }
+      case 'restore':
+        if (!name) break;
+        try {
+          return characterName
+            ? await this.restoreCharacterFromBackup(player, name, characterName)
+            : await this.restoreServerFromBackup(player, name);
+        } catch (error) {
+          return { success: false, message: error.message };
+        }
+      default:
+        break;
+    }
+    return { success: false, message: 'Usage: backup [list|create|restore <backup> [character]]' };
+  }
+  async restoreCharacterFromBackup(player, name, characterName) {
+    const result = await this.backupManager.restoreCharacter(name, characterName, {
+      isInWorld: playerId => Boolean(this.clientManager.getClientByPlayerId(playerId))
+    });
+    if (!result.success) return result;
+    // Journaled changes were made to the copy that has just been replaced
+    await this.stateJournal.discard([result.record.id]);
+    await this.sanctionManager.audit(player, 'restore', result.record.name, '', { backup: name });
+    return { success: true, message: `${result.record.name} has been restored from backup ${name}.` };
+  }
+  async restoreServerFromBackup(player, name) {
+    if (!Roles.isAtLeast(player.role, Roles.IMPLEMENTOR)) {
+      return { success: false, message: 'Only implementors can restore the whole server.' };
+    }
+    // Check the backup before anyone is sent away
+    await this.backupManager.readBackup(name);
+    this.restoreFromBackup(player, name).catch(error => {
+      this.logger.error(`Restoring backup ${name} failed: ${error.message}`);
+    });
+    return { success: true, message: `Restoring backup ${name}. The server will reboot when it is done.` };
+  }
+  async restoreFromBackup(player, name) {
+    // Nothing still in memory may be saved over the restored data, including players leaving as the server stops
+    this.shuttingDown = true;
+    this.acceptingCommands = false;
+    this.persistenceSuspended = true;
+    this.cancelShutdown();
+    this.logger.warn(`${player.name} is restoring the server from backup ${name}`);
+    this.clientManager.broadcastToAll('displayMessage', {
+      type: 'error',
+      content: 'The server is being restored from a backup and will reboot. Please reconnect in a moment.'
+    });
+    this.worldManager.endAllCombat();
+    try {
+      await this.backupManager.restoreServer(name);
+      await this.stateJournal.clear();
+      // The audit log was restored too, so the entry goes in after it
+      await this.sanctionManager.audit(player, 'restore', 'server', '', { backup: name });
+    } finally {
+      // Even a partly restored server must reload from storage rather than carry on with what it has in memory
+      await this.stop();
+      this.exitProcess(true);
+    }
+  }
+  handleShutdownCommand(player, [argument], reboot) {
+    const action = reboot ? 'reboot' : 'shutdown';
+    if (argument && argument.toLowerCase() === 'cancel') {
+      if (!this.cancelShutdown()) {
+        return { success: false, message: 'There is no shutdown or reboot scheduled.' };
+      }
+      this.logger.info(`${player.name} cancelled the scheduled ${action}`);
+      this.clientManager.broadcastToAll('displayMessage', { type: 'info', content: `The scheduled ${action} has been cancelled.` });
+      return { success: true };
+    }
+    const minutes = argument === undefined ? 0 : Number(argument);
+    if (!Number.isFinite(minutes) || minutes < 0) {
+      return { success: false, message: `Usage: ${action} [minutes|cancel]` };
+    }
+    // Everyone, including the admin, hears the countdown, so there is nothing extra to reply with
+    this.scheduleShutdown({ minutes, reboot, reason: `${reboot ? 'Reboot' : 'Shutdown'} requested by ${player.name}` });
+    return { success: true };
+  }
+  handleDisconnection(socket) {
+    this.logger.info(`Client disconnected: ${socket.id}`);
+    this.antiCheatSystem.removeConnection(socket.id);
+    const client = this.clientManager.getClient(socket.id);
+    if (client && client.player && this.sessionManager.getSessionByPlayerId(client.player.id)) {
+      const { player } = client;
+      this.clientManager.detachClient(socket);
+      this.sessionManager.startGracePeriod(player.id, () => this.expireSession(player.id));
+      this.logger.info(`${player.name} is link-dead`);
+      if (player.location) {
+        this.worldManager.broadcastToLocation(player.location, 'displayMessage', {
+          type: 'info',
+          content: `${FormatMessageManager.formatPlayerName(player.name)} has lost their link.`
+        }, { exclude: [player.id] });
+      }
+      return;
+    }
+    if (client && client.player) {
+      this.removePlayerFromWorld(client.player);
+    }
+    this.clientManager.removeClient(socket);
+  }
+}
+/**************************************************************************************************
+Game Scheduler Class
+***************************************************************************************************/
+class GameScheduler {
+  constructor(clock = new SystemClock()) {
+    this.clock = clock;
+    this.jobs = new Map();
+    this.timer = null;
+    this.running = false;
+    this.paused = false;
+    this.pausedAt = null;
+    // Work still going on from jobs that returned a promise
+    this.pending = new Set();
+    this.logger = new LogSystem();
+  }
+  schedulePeriodic(name, interval, callback, options = {}) {
+    return this.addJob(name, interval, callback, { ...options, once: false });
+  }
+  scheduleOnce(name, delay, callback, options = {}) {
+    return this.addJob(name, delay, callback, { ...options, once: true });
+  }
+  addJob(name, interval, callback, { once = false, pausable = true } = {}) {
+    if (this.jobs.has(name)) {
+      throw new Error(`A job named ${name} is already scheduled`);
+    }
+    if (typeof interval !== 'number' || isNaN(interval) || interval < 0 || (!once && interval === 0)) {
+      throw new Error(`Invalid interval for job ${name}: ${interval}`);
+    }
+    const now = this.clock.now();
+    this.jobs.set(name, {
+      name,
+      interval,
+      callback,
+      once,
+      pausable,
+      lastRun: now,
+      nextRun: now + interval,
+      stats: { runs: 0, totalTime: 0, maxTime: 0, lastTime: 0, skipped: 0, overruns: 0, errors: 0 }
+    });
+    this.scheduleWake();
+    return name;
+  }
+  cancel(name) {
+    const removed = this.jobs.delete(name);
+    if (removed) {
+      this.scheduleWake();
+    }
+    return removed;
+  }
+  hasJob(name) {
+    return this.jobs.has(name);
+  }
+  start() {
+    if (this.running) return;
+    const now = this.clock.now();
+    // Jobs registered before the start count their first interval from now
+    for (const job of this.jobs.values()) {
+      job.lastRun = now;
+      job.nextRun = now + job.interval;
+    }
+    this.running = true;
+    this.scheduleWake();
+  }
+  stop() {
+    this.running = false;
+    this.paused = false;
+    this.pausedAt = null;
+    this.clock.clearTimeout(this.timer);
+    this.timer = null;
+    this.jobs.clear();
+  }
+  pause() {
+    if (this.paused) return false;
+    this.paused = true;
+    this.pausedAt = this.clock.now();
+    this.scheduleWake();
+    return true;
+  }
+  resume() {
+    if (!this.paused) return false;
+    const pausedFor = this.clock.now() - this.pausedAt;
+    // Push paused jobs back by the length of the pause so they don't all fire at once
+    for (const job of this.jobs.values()) {
+      if (job.pausable) {
+        job.lastRun += pausedFor;
+        job.nextRun += pausedFor;
+      }
+    }
+    this.paused = false;
+    this.pausedAt = null;
+    this.scheduleWake();
+    return true;
+  }
+  step() {
+    if (!this.paused) return null;
+    // Advance the world by exactly one interval of every periodic system
+    const jobs = Array.from(this.jobs.values()).filter(job => job.pausable && !job.once);
+    jobs.forEach(job => this.runJob(job, job.interval / 1000));
+    return jobs.map(job => job.name);
+  }
+  getActiveJobs() {
+    return Array.from(this.jobs.values()).filter(job => !this.paused || !job.pausable);
+  }
+  scheduleWake() {
+    this.clock.clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.running) return;
+    const activeJobs = this.getActiveJobs();
+    if (activeJobs.length === 0) return;
+    const nextRun = Math.min(...activeJobs.map(job => job.nextRun));
+    // Waking for the earliest due job instead of on a fixed beat keeps jobs from drifting
+    const delay = Math.max(0, nextRun - this.clock.now());
+    this.timer = this.clock.setTimeout(() => this.runDueJobs(), delay);
+  }
+  runDueJobs() {
+    const now = this.clock.now();
+    const dueJobs = this.getActiveJobs().filter(job => job.nextRun <= now).sort((a, b) => a.nextRun - b.nextRun);
+    dueJobs.forEach(job => {
+      // An earlier job may have cancelled this one
+      if (this.jobs.get(job.name) !== job) return;
+      this.runJob(job, (now - job.lastRun) / 1000);
+      job.lastRun = now;
+      if (job.once) {
+        this.jobs.delete(job.name);
+        return;
+      }
+      // Schedule from when the job was due, not when it ran, so lateness doesn't accumulate
+      job.nextRun += job.interval;
+      if (job.nextRun <= now) {
+        // More than a whole interval behind, so drop the missed runs instead of running them back to back
+        const missed = Math.floor((now - job.nextRun) / job.interval) + 1;
+        job.stats.skipped += missed;
+        job.nextRun += missed * job.interval;
+      }
+    });
+    this.scheduleWake();
+  }
+  runJob(job, deltaTime) {
+    const startedAt = performance.now();
+    try {
+      const result = job.callback(deltaTime);
+      if (result && typeof result.then === 'function') {
+        this.trackPending(job, result);
+      }
+    } catch (error) {
+      job.stats.errors++;
+      this.logger.error(`Scheduled job ${job.name} failed: ${error.message}`);
+    }
+    const duration = performance.now() - startedAt;
+    job.stats.runs++;
+    job.stats.totalTime += duration;
+    job.stats.lastTime = duration;
+    job.stats.maxTime = Math.max(job.stats.maxTime, duration);
+    if (!job.once && duration > job.interval) {
+      job.stats.overruns++;
+    }
+  }
+  trackPending(job, promise) {
+    const pending = Promise.resolve(promise).catch(error => {
+      job.stats.errors++;
+      this.logger.error(`Scheduled job ${job.name} failed: ${error.message}`);
+    }).finally(() => this.pending.delete(pending));
+    this.pending.add(pending);
+  }
+  async whenIdle() {
+    // Work that finishes may have started more, so wait until none is left
+    while (this.pending.size > 0) {
+      await Promise.all(this.pending);
+    }
+  }
+  getStats() {
+    const now = this.clock.now();
+    return Array.from(this.jobs.values()).map(({ name, interval, once, pausable, nextRun, stats }) => ({
+      name,
+      interval,
+      once,
+      pausable,
+      ...stats,
+      averageTime: stats.runs > 0 ? stats.totalTime / stats.runs : 0,
+      nextRunIn: Math.max(0, nextRun - now)
+    }));
+  }
+}
+/**************************************************************************************************
+System Clock Class
+Wall clock time and timers. Anything that needs the current time or a timer should take a clock
+so simulations can swap in a SimulationClock.
+***************************************************************************************************/
+class SystemClock {
+  static MAX_TIMER_DELAY = 2147483647; // Longest delay setTimeout accepts
+  now() {
+    return Date.now();
+  }
+  setTimeout(callback, delay) {
+    return setTimeout(callback, Math.min(delay, SystemClock.MAX_TIMER_DELAY));
+  }
+  clearTimeout(timer) {
+    clearTimeout(timer);
+  }
+}
+/**************************************************************************************************
+Simulation Clock Class
+A clock that only moves when told to. Timers fire in order, at their due time, while the clock is
+advanced, so a simulated session behaves the same on every run.
+***************************************************************************************************/
+class SimulationClock {
+  constructor(startTime = 0) {
+    this.currentTime = startTime;
+    this.timers = new Map();
+    this.nextTimerId = 1;
+  }
+  now() {
+    return this.currentTime;
+  }
+  setTimeout(callback, delay = 0) {
+    const id = this.nextTimerId++;
+    this.timers.set(id, { id, time: this.currentTime + Math.max(0, delay), callback });
+    return id;
+  }
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+  getNextTimer(until) {
+    let next = null;
+    for (const timer of this.timers.values()) {
+      if (timer.time <= until && (!next || timer.time < next.time || (timer.time === next.time && timer.id < next.id))) {
+        next = timer;
+      }
+    }
+    return next;
+  }
+  advance(milliseconds) {
+    const target = this.currentTime + milliseconds;
+    let timer;
+    // Timers set by a firing timer still run if they fall due before the target time
+    while ((timer = this.getNextTimer(target))) {
+      this.timers.delete(timer.id);
+      this.currentTime = timer.time;
+      timer.callback();
+    }
+    this.currentTime = target;
+  }
+}
+/**************************************************************************************************
+Random Source Class
+***************************************************************************************************/
+class RandomSource {
+  next() {
+    return Math.random();
+  }
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+  chance(probability) {
+    return this.next() < probability;
+  }
+  pick(array) {
+    return array.length > 0 ? array[this.nextInt(array.length)] : undefined;
+  }
+  rollDie(sides = 20) {
+    return this.nextInt(sides) + 1;
+  }
+  uuid() {
+    return crypto.randomUUID();
+  }
+}
+/**************************************************************************************************
+Seeded Random Class
+Mulberry32 generator. The same seed always produces the same sequence.
+***************************************************************************************************/
+class SeededRandom extends RandomSource {
+  constructor(seed = 1) {
+    super();
+    this.state = seed >>> 0;
+  }
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  uuid() {
+    // Laid out like a version 4 UUID, but drawn from the seeded sequence
+    const bytes = Buffer.from(Array.from({ length: 16 }, () => this.nextInt(256)));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = bytes.toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+}
+/**************************************************************************************************
+Socket Event System Class
+***************************************************************************************************/
+class SocketEventSystem {
+  constructor() {
+    this.listeners = new Map();
+  }
+  on(eventName, listener) {
+    if (!this.listeners.has(eventName)) {
+      this.listeners.set(eventName, new Set());
+    }
+    this.listeners.get(eventName).add(listener);
+  }
+  emit(eventName, ...args) {
+    const listeners = this.listeners.get(eventName);
+    if (listeners) {
+      listeners.forEach(listener => listener(...args));
+    }
+  }
+  hasListeners(eventName) {
+    const listeners = this.listeners.get(eventName);
+    return Boolean(listeners && listeners.size > 0);
+  }
+  removeListener(eventName, listener) {
+    const listeners = this.listeners.get(eventName);
+    if (listeners) {
+      listeners.delete(listener);
+    }
+  }
+  removeAllListeners(eventName) {
+    if (eventName) {
+      this.listeners.delete(eventName);
+    } else {
+      this.listeners.clear();
+    }
+  }
+  createCustomEvent(name, data) {
+    this.emit(name, data);
+  }
+}
+/**************************************************************************************************
+Client Manager Class
+***************************************************************************************************/
+class ClientManager {
+  // Replication is resent in full on reconnect, so it is not worth keeping for link-dead players
+  static UNBUFFERED_TYPES = new Set(['worldDelta', 'fullStateSync']);
+  constructor(configSystem, clock = new SystemClock()) {
+    this.configSystem = configSystem;
+    this.clock = clock;
+    this.clients = new Map();
+    this.playerSockets = new Map();
+    this.rooms = new Map();
+  }
+  static getLocationRoom(locationId) {
+    return `location:${locationId}`;
+  }
+  addClient(socket, player) {
+    this.clients.set(socket.id, {
+      socket, player, accountId: player ? player.accountId : null, pendingLogin: null, linkDead: false, missedOutput: []
+    });
+    if (player) {
+      this.playerSockets.set(player.id, socket.id);
+    }
+  }
+  removeClient(socket) {
+    const client = this.clients.get(socket.id);
+    if (client && client.player && this.playerSockets.get(client.player.id) === socket.id) {
+      this.playerSockets.delete(client.player.id);
+    }
+    for (const room of Array.from(this.rooms.keys())) {
+      this.leaveRoom(socket, room);
+    }
+    this.clients.delete(socket.id);
+  }
+  getClient(socketId) {
+    return this.clients.get(socketId);
+  }
+  getClients() {
+    return Array.from(this.clients.values());
+  }
+  detachClient(socket) {
+    const client = this.clients.get(socket.id);
+    if (client) {
+      client.linkDead = true;
+    }
+  }
+  reattachClient(player, socket) {
+    const client = this.getClientByPlayerId(player.id);
+    if (!client) {
+      this.addClient(socket, player);
+      return [];
+    }
+    const oldSocket = client.socket;
+    if (oldSocket.id !== socket.id) {
+      for (const [room, members] of this.rooms) {
+        if (members.delete(oldSocket.id)) {
+          members.add(socket.id);
+          oldSocket.leave(room);
+          socket.join(room);
+        }
+      }
+      this.clients.delete(oldSocket.id);
+      this.clients.set(socket.id, client);
+    }
+    client.socket = socket;
+    client.linkDead = false;
+    this.playerSockets.set(player.id, socket.id);
+    return client.missedOutput.splice(0);
+  }
+  setAccount(socket, accountId) {
+    const client = this.clients.get(socket.id);
+    if (client) {
+      client.accountId = accountId;
+    }
+  }
+  setPendingLogin(socket, pendingLogin) {
+    const client = this.clients.get(socket.id);
+    if (client) {
+      client.pendingLogin = pendingLogin;
+    }
+  }
+  assignPlayer(socket, player) {
+    const client = this.clients.get(socket.id);
+    if (!client) return;
+    client.player = player;
+    this.playerSockets.set(player.id, socket.id);
+  }
+  unassignPlayer(socket) {
+    const client = this.clients.get(socket.id);
+    if (!client || !client.player) return;
+    this.playerSockets.delete(client.player.id);
+    client.player = null;
+  }
+  getClientByPlayerId(playerId) {
+    const socketId = this.playerSockets.get(playerId);
+    return socketId ? this.clients.get(socketId) || null : null;
+  }
+  getPlayers() {
+    return Array.from(this.clients.values()).map(client => client.player).filter(Boolean);
+  }
+  getPlayerByName(name) {
+    const key = String(name ?? '').toLowerCase();
+    return this.getPlayers().find(player => player.name.toLowerCase() === key) || null;
+  }
+  joinRoom(socket, room) {
+    if (!this.rooms.has(room)) {
+      this.rooms.set(room, new Set());
+    }
+    this.rooms.get(room).add(socket.id);
+    socket.join(room);
+  }
+  leaveRoom(socket, room) {
+    const members = this.rooms.get(room);
+    if (!members || !members.delete(socket.id)) return;
+    if (members.size === 0) {
+      this.rooms.delete(room);
+    }
+    socket.leave(room);
+  }
+  movePlayerToRoom(playerId, fromRoom, toRoom) {
+    const client = this.getClientByPlayerId(playerId);
+    if (!client) return;
+    if (fromRoom) {
+      this.leaveRoom(client.socket, fromRoom);
+    }
+    if (toRoom) {
+      this.joinRoom(client.socket, toRoom);
+    }
+  }
+  sendToPlayer(playerId, type, payload) {
+    const client = this.getClientByPlayerId(playerId);
+    if (client) {
+      this.deliver(client, type, payload);
+    }
+  }
+  deliver(client, type, payload) {
+    if (!client.linkDead) {
+      this.sendToClient(client.socket, type, payload);
+      return;
+    }
+    if (ClientManager.UNBUFFERED_TYPES.has(type)) return;
+    client.missedOutput.push({ type, payload });
+    const maxBuffered = this.configSystem.get('SESSION_OUTPUT_BUFFER_SIZE');
+    if (client.missedOutput.length > maxBuffered) {
+      client.missedOutput.splice(0, client.missedOutput.length - maxBuffered);
+    }
+  }
+  sendToClient(socket, type, payload) {
+    const message = MessageProtocol.createMessage(type, payload, socket.data.protocolVersion, this.clock.now());
+    socket.emit(MessageProtocol.EVENT, MessageProtocol.encode(message));
+  }
+  broadcastToRoom(room, type, payload, { exclude = [] } = {}) {
+    const members = this.rooms.get(room);
+    if (!members) return;
+    for (const socketId of members) {
+      const client = this.clients.get(socketId);
+      if (client && !(client.player && exclude.includes(client.player.id))) {
+        this.deliver(client, type, payload);
+      }
+    }
+  }
+  broadcastToAll(type, payload, { exclude = [] } = {}) {
+    for (const client of this.clients.values()) {
+      if (!(client.player && exclude.includes(client.player.id))) {
+        this.deliver(client, type, payload);
+      }
+    }
+  }
+}
+/**************************************************************************************************
+Session Manager Class
+***************************************************************************************************/
+class SessionManager {
+  constructor(configSystem, clock = new SystemClock()) {
+    this.configSystem = configSystem;
+    this.clock = clock;
+    this.sessions = new Map();
+    this.playerSessions = new Map();
+    this.logger = new LogSystem();
+  }
+  createSession(player, token) {
+    this.endSession(player.id);
+    const session = {
+      token,
+      player,
+      createdAt: this.clock.now(),
+      linkDeadSince: null,
+      graceTimer: null
+    };
+    this.sessions.set(session.token, session);
+    this.playerSessions.set(player.id, session.token);
+    return session;
+  }
+  getSession(token) {
+    return typeof token === 'string' ? this.sessions.get(token) || null : null;
+  }
+  getSessionByPlayerId(playerId) {
+    return this.getSession(this.playerSessions.get(playerId));
+  }
+  startGracePeriod(playerId, onExpire) {
+    const session = this.getSessionByPlayerId(playerId);
+    if (!session) return;
+    this.clock.clearTimeout(session.graceTimer);
+    session.linkDeadSince = this.clock.now();
+    session.graceTimer = this.clock.setTimeout(onExpire, this.configSystem.get('LINK_DEAD_GRACE_PERIOD'));
+  }
+  resumeSession(token) {
+    const session = this.getSession(token);
+    if (!session) return null;
+    this.clock.clearTimeout(session.graceTimer);
+    session.graceTimer = null;
+    session.linkDeadSince = null;
+    return session;
+  }
+  endSession(playerId) {
+    const session = this.getSessionByPlayerId(playerId);
+    if (!session) return;
+    this.clock.clearTimeout(session.graceTimer);
+    this.sessions.delete(session.token);
+    this.playerSessions.delete(playerId);
+  }
+  endAllSessions() {
+    for (const session of this.sessions.values()) {
+      this.clock.clearTimeout(session.graceTimer);
+    }
+    this.sessions.clear();
+    this.playerSessions.clear();
+  }
+}
+/**************************************************************************************************
+Telnet Gateway Class
+***************************************************************************************************/
+class TelnetGateway {
+  static EDIT_CHOICES = ['title', 'profession', 'reputation', 'description'];
+  constructor(server, configSystem) {
+    this.server = server;
+    this.configSystem = configSystem;
+    this.connections = new Map();
+    this.tcpServer = null;
+    this.nextConnectionId = 1;
+    this.logger = new LogSystem();
+  }
+  listen(port, host) {
+    this.tcpServer = net.createServer(netSocket => this.handleConnection(netSocket));
+    this.tcpServer.on('error', error => {
+      this.logger.error(`Telnet gateway error: ${error.message}`);
+    });
+    this.tcpServer.listen(port, host, () => {
+      this.logger.info(`Telnet gateway running on telnet://${host}:${port}`);
+    });
+  }
+  close() {
+    for (const connection of this.connections.values()) {
+      connection.disconnect();
+    }
+    if (this.tcpServer) {
+      this.tcpServer.close();
+      this.tcpServer = null;
+    }
+  }
+  handleConnection(netSocket) {
+    const connection = new TelnetConnection(`telnet-${this.nextConnectionId++}`, netSocket, this.configSystem);
+    this.connections.set(connection.id, connection);
+    connection.onLine = line => this.handleLine(connection, line);
+    netSocket.on('close', () => {
+      this.connections.delete(connection.id);
+      this.server.handleDisconnection(connection);
+    });
+    netSocket.on('error', error => {
+      this.logger.warn(`Telnet connection ${connection.id} error: ${error.message}`);
+    });
+    connection.start();
+    this.server.handleNewConnection(connection);
+    connection.promptForName();
+  }
+  handleLine(connection, line) {
+    switch (connection.state) {
+      case TelnetConnection.STATES.NAME:
+        if (!line) {
+          connection.promptForName();
+          return;
+        }
+        connection.pendingName = line;
+        connection.promptForPassword();
+        break;
+      case TelnetConnection.STATES.PASSWORD:
+        connection.endPasswordPrompt();
+        connection.state = TelnetConnection.STATES.AUTHENTICATING;
+        this.dispatch(connection, 'login', { accountName: connection.pendingName, password: line });
+        connection.pendingName = null;
+        break;
+      case TelnetConnection.STATES.TWO_FACTOR:
+        if (!line) {
+          connection.promptForCode();
+          return;
+        }
+        connection.state = TelnetConnection.STATES.AUTHENTICATING;
+        this.dispatch(connection, 'verifyTwoFactor', { code: line });
+        break;
+      case TelnetConnection.STATES.AUTHENTICATING:
+        break;
+      case TelnetConnection.STATES.SECRET: {
+        connection.endPasswordPrompt();
+        connection.state = TelnetConnection.STATES.MENU;
+        const callback = connection.secretCallback;
+        connection.secretCallback = null;
+        callback(line);
+        break;
+      }
+      case TelnetConnection.STATES.MENU:
+        this.handleMenuLine(connection, line);
+        break;
+      default: {
+        const [action, ...args] = line.split(' ').filter(Boolean);
+        if (action) {
+          this.dispatch(connection, 'command', { action, args });
+        } else {
+          connection.writePrompt();
+        }
+      }
+    }
+  }
+  handleMenuLine(connection, line) {
+    const [choice = '', name, ...rest] = line.split(' ').filter(Boolean);
+    const action = choice.toLowerCase();
+    if (['play', 'delete', 'restore', ...TelnetGateway.EDIT_CHOICES].includes(action)) {
+      const character = name && connection.findCharacter(name);
+      if (!character) {
+        connection.writeHtml(`<span class="error-message">${name ? `You have no character named ${name}.` : `Which character? Try: ${action} <name>`}</span>`);
+        connection.writePrompt();
+        return;
+      }
+      if (action === 'play') {
+        this.dispatch(connection, 'selectCharacter', { characterId: character.id });
+      } else if (action === 'delete') {
+        connection.promptForSecret(`Enter your password to delete ${character.name}: `, password => {
+          this.dispatch(connection, 'deleteCharacter', { characterId: character.id, password });
+        });
+      } else if (action === 'restore') {
+        this.dispatch(connection, 'restoreCharacter', { characterId: character.id });
+      } else {
+        this.dispatch(connection, 'editCharacter', { characterId: character.id, changes: { [action]: rest.join(' ') } });
+      }
+      return;
+    }
+    switch (action) {
+      case 'create':
+        this.dispatch(connection, 'createNewCharacter', { data: { playerName: name, sex: rest[0], reputation: rest[1] } });
+        break;
+      case 'password':
+        connection.promptForSecret('Current password: ', currentPassword => {
+          connection.promptForSecret('New password: ', newPassword => {
+            connection.promptForSecret('Confirm new password: ', confirmPassword => {
+              this.dispatch(connection, 'changePassword', { currentPassword, newPassword, confirmPassword });
+            });
+          });
+        });
+        break;
+      case '2fa':
+        this.handleTwoFactorLine(connection, (name || '').toLowerCase(), rest[0]);
+        break;
+      case 'logout':
+        this.dispatch(connection, 'logout', {});
+        break;
+      case 'menu':
+        connection.renderAccountMenu();
+        break;
+      case '':
+        connection.writePrompt();
+        break;
+      default:
+        connection.writeHtml('<span class="error-message">That is not a menu choice. Type menu to see the choices again.</span>');
+        connection.writePrompt();
+    }
+  }
+  handleTwoFactorLine(connection, action, code) {
+    if (action === 'setup') {
+      connection.promptForSecret('Password: ', password => this.dispatch(connection, 'beginTwoFactorSetup', { password }));
+    } else if (['confirm', 'codes', 'off'].includes(action) && code) {
+      if (action === 'confirm') {
+        this.dispatch(connection, 'confirmTwoFactorSetup', { code });
+      } else if (action === 'codes') {
+        this.dispatch(connection, 'regenerateBackupCodes', { code });
+      } else {
+        connection.promptForSecret('Password: ', password => this.dispatch(connection, 'disableTwoFactor', { password, code }));
+      }
+    } else {
+      connection.writeHtml('<span class="error-message">Try: 2fa setup, 2fa confirm &lt;code&gt;, 2fa codes &lt;code&gt; or 2fa off &lt;code&gt;</span>');
+      connection.writePrompt();
+    }
+  }
+  dispatch(connection, type, payload) {
+    const message = MessageProtocol.createMessage(type, payload, connection.data.protocolVersion);
+    const data = MessageProtocol.encode(message);
+    // Telnet input goes through the same flood protection as Socket.IO messages
+    const allowed = this.server.limitRate(connection, [MessageProtocol.EVENT, data], () => {
+      this.server.handleClientMessage(connection, data);
+    });
+    if (!allowed && connection.state === TelnetConnection.STATES.AUTHENTICATING) {
+      connection.promptForName();
+    }
+  }
+}
+/**************************************************************************************************
+Telnet Connection Class
+Wraps a raw TCP socket so the rest of the server can treat it like a Socket.IO socket. Outgoing
+protocol messages are rendered as ANSI colored text instead of being sent as JSON.
+***************************************************************************************************/
+class TelnetConnection {
+  static STATES = {
+    NAME: 'name', PASSWORD: 'password', TWO_FACTOR: 'twoFactor', AUTHENTICATING: 'authenticating', MENU: 'menu', SECRET: 'secret', PLAYING: 'playing'
+  };
+  static MENU_RESULT_TYPES = new Set([
+    'characterCreationResult', 'characterEditResult', 'characterDeletionResult', 'characterRestorationResult', 'passwordChangeResult',
+    'twoFactorSetup', 'twoFactorSetupResult', 'backupCodesResult', 'twoFactorDisableResult'
+  ]);
+  static MENU_CHOICES = [
+    ['play <name>', 'Enter the world as one of your characters'],
+    ['create <name> <male|female> <famous|infamous>', 'Create a new character'],
+    ['title|profession|description <name> <text>', 'Change a character\'s details'],
+    ['reputation <name> <famous|infamous>', 'Change a character\'s reputation'],
+    ['delete <name>', 'Delete a character, after confirming your password'],
+    ['restore <name>', 'Bring back a deleted character'],
+    ['password', 'Change your account password'],
+    ['2fa setup', 'Turn on two-factor authentication, after confirming your password'],
+    ['2fa confirm <code>', 'Finish turning on two-factor authentication with a code from your app'],
+    ['2fa codes <code>', 'Replace your backup codes'],
+    ['2fa off <code>', 'Turn off two-factor authentication, after confirming your password'],
+    ['logout', 'Log out of your account']
+  ];
+  static IAC = 255;
+  static DONT = 254;
+  static DO = 253;
+  static WONT = 252;
+  static WILL = 251;
+  static SB = 250;
+  static SE = 240;
+  static OPT_ECHO = 1;
+  static OPT_SUPPRESS_GO_AHEAD = 3;
+  static OPT_NAWS = 31;
+  static PARSER_STATES = {
+    DATA: 'data', COMMAND: 'command', OPTION: 'option', SUBNEGOTIATION: 'subnegotiation', SUBNEGOTIATION_IAC: 'subnegotiationIac'
+  };
+  static MAX_SUBNEGOTIATION_LENGTH = 64;
+  static MESSAGE_CLASSES = {
+    error: 'error-message',
+    info: 'info-message',
+    combat: 'combat-message',
+    npc: 'npc-message',
+    emote: 'emote-message',
+    tell: 'tell-message',
+    'tell-all': 'tell-message',
+    'tell-room': 'tell-message'
+  };
+  static ANSI_COLORS = {
+    'error-message': '\x1b[35m',
+    'info-message': '\x1b[0m',
+    'combat-message': '\x1b[35m',
+    'combat-message-health': '\x1b[35m',
+    'combat-message-player': '\x1b[92m',
+    'combat-message-npc': '\x1b[91m',
+    'npc-message': '\x1b[91m',
+    'emote-message': '\x1b[36m',
+    'tell-message': '\x1b[93m',
+    'location-title': '\x1b[1;93m',
+    'location-description': '\x1b[35m',
+    'item-name': '\x1b[96m',
+    'exits': '\x1b[92m',
+    'exit-to-location': '\x1b[93m',
+    'npc-name': '\x1b[91m',
+    'npc-description': '\x1b[37m',
+    'npc-stats': '\x1b[37m',
+    'player-name': '\x1b[95m'
+  };
+  static ANSI_RESET = '\x1b[0m';
+  constructor(id, netSocket, configSystem) {
+    this.id = id;
+    this.netSocket = netSocket;
+    this.data = { protocolVersion: MessageProtocol.VERSION };
+    this.handshake = { address: netSocket.remoteAddress, auth: { protocolVersion: MessageProtocol.VERSION } };
+    this.width = configSystem.get('TELNET_DEFAULT_WIDTH');
+    this.maxLineLength = configSystem.get('TELNET_MAX_LINE_LENGTH');
+    this.state = TelnetConnection.STATES.NAME;
+    this.pendingName = null;
+    this.secretCallback = null;
+    this.accountMenu = null;
+    this.inputBuffer = [];
+    // Telnet commands can be split across TCP chunks, so the parser picks up where the last chunk left off
+    this.parserState = TelnetConnection.PARSER_STATES.DATA;
+    this.subnegotiation = [];
+    this.onLine = null;
+    this.rooms = new Set([id]);
+  }
+  join(room) {
+    this.rooms.add(room);
+  }
+  leave(room) {
+    this.rooms.delete(room);
+  }
+  start() {
+    const { IAC, DO, WILL, OPT_NAWS, OPT_SUPPRESS_GO_AHEAD } = TelnetConnection;
+    this.netSocket.on('data', chunk => this.handleData(chunk));
+    this.netSocket.write(Buffer.from([IAC, DO, OPT_NAWS, IAC, WILL, OPT_SUPPRESS_GO_AHEAD]));
+    this.writeLine('Welcome to Silk Road: Legends of Wulin!');
+  }
+  handleData(chunk) {
+    for (const byte of chunk) {
+      this.handleByte(byte);
+    }
+  }
+  handleByte(byte) {
+    const { IAC, SB, SE, WILL, WONT, DO, DONT, PARSER_STATES, MAX_SUBNEGOTIATION_LENGTH } = TelnetConnection;
+    switch (this.parserState) {
+      case PARSER_STATES.COMMAND:
+        if (byte === IAC) {
+          this.parserState = PARSER_STATES.DATA;
+          this.handleInputByte(IAC);
+        } else if (byte === SB) {
+          this.subnegotiation = [];
+          this.parserState = PARSER_STATES.SUBNEGOTIATION;
+        } else if ([WILL, WONT, DO, DONT].includes(byte)) {
+          this.parserState = PARSER_STATES.OPTION;
+        } else {
+          this.parserState = PARSER_STATES.DATA;
+        }
+        break;
+      case PARSER_STATES.OPTION:
+        this.parserState = PARSER_STATES.DATA;
+        break;
+      case PARSER_STATES.SUBNEGOTIATION:
+        if (byte === IAC) {
+          this.parserState = PARSER_STATES.SUBNEGOTIATION_IAC;
+        } else if (this.subnegotiation.length < MAX_SUBNEGOTIATION_LENGTH) {
+          this.subnegotiation.push(byte);
+        }
+        break;
+      case PARSER_STATES.SUBNEGOTIATION_IAC:
+        if (byte === SE) {
+          this.parserState = PARSER_STATES.DATA;
+          this.handleSubnegotiation(this.subnegotiation);
+          this.subnegotiation = [];
+        } else {
+          // IAC IAC inside a subnegotiation stands for a data byte of 255
+          if (byte === IAC && this.subnegotiation.length < MAX_SUBNEGOTIATION_LENGTH) {
+            this.subnegotiation.push(IAC);
+          }
+          this.parserState = PARSER_STATES.SUBNEGOTIATION;
+        }
+        break;
+      default:
+        if (byte === IAC) {
+          this.parserState = PARSER_STATES.COMMAND;
+        } else {
+          this.handleInputByte(byte);
+        }
+    }
+  }
+  handleSubnegotiation([option, ...data]) {
+    if (option === TelnetConnection.OPT_NAWS && data.length >= 4) {
+      this.width = ((data[0] << 8) | data[1]) || this.width;
+    }
+  }
+  handleInputByte(byte) {
+    if (byte === 10) {
+      const line = Buffer.from(this.inputBuffer).toString('utf8').replace(/\r/g, '').trim();
+      this.inputBuffer = [];
+      if (this.onLine) {
+        this.onLine(line);
+      }
+    } else if (byte !== 0) {
+      if (this.inputBuffer.length >= this.maxLineLength) {
+        this.inputBuffer = [];
+        this.writeLine('Line too long, input discarded.');
+        return;
+      }
+      this.inputBuffer.push(byte);
+    }
+  }
+  promptForName() {
+    this.state = TelnetConnection.STATES.NAME;
+    this.write('Account name: ');
+  }
+  promptForPassword() {
+    const { IAC, WILL, OPT_ECHO } = TelnetConnection;
+    this.state = TelnetConnection.STATES.PASSWORD;
+    this.write('Password: ');
+    this.netSocket.write(Buffer.from([IAC, WILL, OPT_ECHO]));
+  }
+  promptForCode() {
+    this.state = TelnetConnection.STATES.TWO_FACTOR;
+    this.write('Authentication code: ');
+  }
+  promptForSecret(label, callback) {
+    const { IAC, WILL, OPT_ECHO } = TelnetConnection;
+    this.state = TelnetConnection.STATES.SECRET;
+    this.secretCallback = callback;
+    this.write(label);
+    this.netSocket.write(Buffer.from([IAC, WILL, OPT_ECHO]));
+  }
+  endPasswordPrompt() {
+    const { IAC, WONT, OPT_ECHO } = TelnetConnection;
+    this.netSocket.write(Buffer.from([IAC, WONT, OPT_ECHO]));
+    this.write('\r\n');
+  }
+  writePrompt() {
+    if (this.state === TelnetConnection.STATES.PLAYING) {
+      this.write('> ');
+    } else if (this.state === TelnetConnection.STATES.MENU) {
+      this.write('Account> ');
+    }
+  }
+  findCharacter(name) {
+    const characters = this.accountMenu ? this.accountMenu.characters : [];
+    return characters.find(character => character.name.toLowerCase() === name.toLowerCase()) || null;
+  }
+  renderAccountMenu() {
+    const { accountName, characters, maxCharacters, twoFactorEnabled, twoFactorRequired } = this.accountMenu;
+    const lines = [
+      `<span class="location-title">Account: ${accountName}</span>`,
+      `Two-factor authentication: ${twoFactorEnabled ? 'on' : 'off'}`,
+      `Characters (${characters.length} of ${maxCharacters}):`
+    ];
+    if (twoFactorRequired) {
+      lines.splice(2, 0, '<span class="error-message">Staff accounts must turn on two-factor authentication before entering the world.</span>');
+    }
+    if (characters.length === 0) {
+      lines.push('  None yet. Create one to enter the world.');
+    }
+    characters.forEach(character => {
+      const details = character.deleted
+        ? `deleted, can be restored until ${new Date(character.recoverableUntil).toUTCString()}`
+        : [character.title, character.reputation, character.online ? 'in the world' : null].filter(Boolean).join(', ');
+      lines.push(`  <span class="player-name">${character.name}</span>${details ? ` - ${details}` : ''}`);
+    });
+    lines.push('Choices:');
+    TelnetConnection.MENU_CHOICES.forEach(([usage, description]) => {
+      const escapedUsage = usage.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      lines.push(`  <span class="exits">${escapedUsage}</span> - ${description}`);
+    });
+    this.writeHtml(lines.join('<br>'));
+    this.writePrompt();
+  }
+  emit(event, data) {
+    if (event !== MessageProtocol.EVENT) return;
+    this.renderMessage(MessageProtocol.decode(data));
+  }
+  renderMessage({ type, payload }) {
+    switch (type) {
+      case 'displayMessage': {
+        const messageClass = TelnetConnection.MESSAGE_CLASSES[payload.type];
+        const content = messageClass ? `<span class="${messageClass}">${payload.content}</span>` : payload.content;
+        this.writeHtml(content);
+        this.writePrompt();
+        break;
+      }
+      case 'loginResult':
+        if (payload.success) {
+          this.state = TelnetConnection.STATES.MENU;
+          this.writeLine(`Welcome back, ${payload.accountName}.`);
+          if (payload.message) {
+            this.writeHtml(`<span class="info-message">${payload.message}</span>`);
+          }
+        } else {
+          this.writeHtml(`<span class="error-message">${payload.message || 'Login failed.'}</span>`);
+          this.promptForName();
+        }
+        break;
+      case 'twoFactorRequired':
+        this.writeHtml(`<span class="${payload.accountName ? 'info-message' : 'error-message'}">${payload.message}</span>`);
+        this.promptForCode();
+        break;
+      case 'accountMenu':
+        this.state = TelnetConnection.STATES.MENU;
+        this.accountMenu = payload;
+        this.renderAccountMenu();
+        break;
+      case 'characterSelected':
+        if (payload.success) {
+          this.state = TelnetConnection.STATES.PLAYING;
+          this.writeLine(`Welcome, ${payload.playerName}!`);
+        } else {
+          this.writeHtml(`<span class="error-message">${payload.message}</span>`);
+        }
+        this.writePrompt();
+        break;
+      case 'sessionExpired':
+        this.writeHtml(`<span class="error-message">${payload.message}</span>`);
+        break;
+      case 'logoutConfirmation':
+        this.accountMenu = null;
+        this.writeLine('You have logged out.');
+        this.promptForName();
+        break;
+      case 'protocolError':
+        this.writeHtml(`<span class="error-message">${payload.message}</span>`);
+        if (this.state === TelnetConnection.STATES.AUTHENTICATING) {
+          this.promptForName();
+        }
+        break;
+      case 'playerLeft':
+      case 'playerEntered':
+      case 'npcLeft':
+      case 'npcEntered':
+        this.writeHtml(FormatMessageManager.formatMovement(type, payload));
+        this.writePrompt();
+        break;
+      default:
+        if (TelnetConnection.MENU_RESULT_TYPES.has(type)) {
+          this.writeHtml(`<span class="${payload.success ? 'info-message' : 'error-message'}">${payload.message}</span>`);
+          if (payload.provisioningUri) {
+            this.writeLine(`Secret key: ${payload.secret}`);
+            this.writeLine(`Setup link: ${payload.provisioningUri}`);
+          }
+          if (payload.backupCodes) {
+            this.writeLine(`Backup codes: ${payload.backupCodes.join('  ')}`);
+          }
+          // A successful change is followed by the refreshed menu, which shows the prompt
+          if (!payload.success) {
+            this.writePrompt();
+          }
+        }
+        // Structured updates (world state, replication) have no text rendering
+        break;
+    }
+  }
+  writeHtml(html) {
+    this.writeLine(this.htmlToAnsi(html));
+  }
+  htmlToAnsi(html) {
+    const colorStack = [];
+    const text = String(html)
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<span\s+(?:class|id)="([^"]*)"\s*>|<\/span>|<[^>]+>/gi, (tag, cssClass) => {
+        if (cssClass !== undefined) {
+          const color = TelnetConnection.ANSI_COLORS[cssClass] || colorStack[colorStack.length - 1] || '';
+          colorStack.push(color);
+          return color;
+        }
+        if (/^<\/span>$/i.test(tag)) {
+          colorStack.pop();
+          return TelnetConnection.ANSI_RESET + (colorStack[colorStack.length - 1] || '');
+        }
+        return '';
+      });
+    return this.decodeEntities(text) + (colorStack.length > 0 ? TelnetConnection.ANSI_RESET : '');
+  }
+  decodeEntities(text) {
+    const entities = { '&nbsp;': ' ', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&amp;': '&' };
+    return text.replace(/&(nbsp|lt|gt|quot|#39|amp);/g, entity => entities[entity]);
+  }
+  wrap(text) {
+    const visibleLength = str => str.replace(/\x1b\[[\d;]*m/g, '').length;
+    return text.split('\n').map(line => {
+      const lines = [];
+      let current = '';
+      for (const word of line.split(' ')) {
+        const candidate = current ? `${current} ${word}` : word;
+        if (current && visibleLength(candidate) > this.width) {
+          lines.push(current);
+          current = word;
+        } else {
+          current = candidate;
+        }
+      }
+      lines.push(current);
+      return lines.join('\r\n');
+    }).join('\r\n');
+  }
+  writeLine(text) {
+    this.write(`${this.wrap(text)}\r\n`);
+  }
+  write(text) {
+    if (!this.netSocket.destroyed) {
+      this.netSocket.write(text);
+    }
+  }
+  disconnect() {
+    this.netSocket.end();
+  }
+}
+/**************************************************************************************************
+REST API Class
+Read-only JSON endpoints for the community website and ops dashboards. Every request needs one of
+the keys in API_KEYS, sent in the X-API-Key header or as a bearer token.
+***************************************************************************************************/
+class RestApi {
+  constructor(server, configSystem) {
+    this.server = server;
+    this.configSystem = configSystem;
+    this.logger = new LogSystem();
+  }
+  createRouter() {
+    const router = express.Router();
+    router.use((req, res, next) => this.authenticate(req, res, next));
+    router.get('/status', (req, res) => res.json(this.getStatus()));
+    router.get('/who', (req, res) => res.json(this.getWho()));
+    router.get('/locations/:id', (req, res) => this.sendResource(res, 'Location', this.getLocation(req.params.id)));
+    router.get('/npcs/:id', (req, res) => this.sendResource(res, 'NPC', this.getNPC(req.params.id)));
+    router.get('/items/:id', (req, res) => this.sendResource(res, 'Item', this.getItem(req.params.id)));
+    router.use((req, res) => res.status(404).json({ error: 'Not found' }));
+    router.use((error, req, res, next) => {
+      this.logger.error(`API error on ${req.method} ${req.originalUrl}: ${error.message}`);
+      res.status(500).json({ error: 'Internal server error' });
+    });
+    return router;
+  }
+  authenticate(req, res, next) {
+    const authorization = req.get('authorization') || '';
+    const key = req.get('x-api-key') || (authorization.startsWith('Bearer ') ? authorization.slice(7) : null);
+    if (!key || !this.isValidKey(key)) {
+      this.logger.warn(`Rejected API request from ${req.ip} to ${req.originalUrl}`);
+      res.status(401).json({ error: 'A valid API key is required' });
+      return;
+    }
+    next();
+  }
+  isValidKey(key) {
+    // Compare digests so the check takes the same time however much of the key matches
+    const digest = crypto.createHash('sha256').update(key).digest();
+    return this.configSystem.get('API_KEYS').some(validKey => {
+      return crypto.timingSafeEqual(digest, crypto.createHash('sha256').update(validKey).digest());
+    });
+  }
+  sendResource(res, resourceName, resource) {
+    if (!resource) {
+      res.status(404).json({ error: `${resourceName} not found` });
+      return;
+    }
+    res.json(resource);
+  }
+  getStatus() {
+    const { clock, startedAt, scheduler, clientManager, worldManager, gameDataManager } = this.server;
+    const clients = clientManager.getClients().filter(client => client.player);
+    return {
+      startedAt: startedAt === null ? null : new Date(startedAt).toISOString(),
+      uptime: startedAt === null ? 0 : Math.floor((clock.now() - startedAt) / 1000),
+      protocolVersion: MessageProtocol.VERSION,
+      playersOnline: clients.filter(client => !client.linkDead).length,
+      playersLinkDead: clients.filter(client => client.linkDead).length,
+      worldTime: worldManager.time.currentTime,
+      locations: worldManager.locations.locations.size,
+      npcs: gameDataManager.npcs.size,
+      items: gameDataManager.items.size,
+      shuttingDown: this.server.shuttingDown,
+      scheduler: {
+        running: scheduler.running,
+        paused: scheduler.paused,
+        jobs: scheduler.getStats()
+      }
+    };
+  }
+  getWho() {
+    const players = this.server.clientManager.getClients().filter(client => client.player).map(({ player, linkDead }) => ({
+      name: player.name,
+      location: player.location,
+      linkDead
+    }));
+    return { count: players.length, players };
+  }
+  getLocation(id) {
+    const { worldManager, gameDataManager } = this.server;
+    const location = worldManager.locations.getLocation(id);
+    if (!location) return null;
+    return {
+      id: location.id,
+      name: location.name,
+      description: location.description,
+      zone: location.zone,
+      exits: { ...location.exits },
+      items: location.getItems().map(item => ({ id: item.id, templateId: item.templateId, name: item.customName || item.name, quantity: item.quantity })),
+      npcs: Array.from(location.npcs).map(npcId => ({ id: npcId, name: gameDataManager.getNPC(npcId)?.name || null })),
+      players: Array.from(location.players).map(playerId => worldManager.entities.get(playerId)?.name).filter(Boolean)
+    };
+  }
+  getNPC(id) {
+    const npc = this.server.gameDataManager.getNPC(id);
+    if (!npc) return null;
+    return {
+      id: npc.id,
+      name: npc.name,
+      description: npc.description,
+      type: npc.type,
+      location: npc.currentLocation,
+      aiState: npc.aiState,
+      zones: npc.zones,
+      questId: npc.questId
+    };
+  }
+  getItem(id) {
+    return this.server.gameDataManager.getItem(id) || null;
+  }
+}
+/**************************************************************************************************
+Replication Manager Class
+Keeps each client's view of the world in sync. A player is only told about entities in their
+current location and its neighbours, and after the initial full state only the fields that changed
+since the last replication are sent.
+***************************************************************************************************/
+class ReplicationManager {
+  constructor(worldManager, clientManager) {
+    this.worldManager = worldManager;
+    this.clientManager = clientManager;
+    this.views = new Map();
+    this.filters = new Map();
+    this.addFilter('player', (state, entity, viewer) => {
+      if (entity.id === viewer.id) return state;
+      // Other players only learn what they could see by looking at someone
+      const visibleState = { id: state.id, kind: state.kind };
+      ['name', 'location'].filter(field => field in state).forEach(field => {
+        visibleState[field] = state[field];
+      });
+      return visibleState;
+    });
+  }
+  addFilter(kind, filterFunction) {
+    this.filters.set(kind, filterFunction);
+  }
+  applyFilters(state, entity, viewer) {
+    const filter = this.filters.get(state.kind);
+    return filter ? filter(state, entity, viewer) : state;
+  }
+  getEntityKey(entity) {
+    return `${entity.constructor.REPLICATION_KIND}:${entity.id}`;
+  }
+  getVisibleEntities(player) {
+    const interest = this.worldManager.getInterestSet(player.location);
+    const visible = new Map();
+    if (interest.size === 0) return visible;
+    for (const entity of this.worldManager.getReplicatedEntities()) {
+      if (interest.has(entity.getLocationId())) {
+        visible.set(this.getEntityKey(entity), entity);
+      }
+    }
+    return visible;
+  }
+  replicate() {
+    for (const player of this.clientManager.getPlayers()) {
+      this.replicateToPlayer(player);
+    }
+    for (const entity of this.worldManager.getReplicatedEntities()) {
+      entity.clearDirty();
+    }
+  }
+  replicateToPlayer(player) {
+    const known = this.views.get(player.id) || new Set();
+    const visible = this.getVisibleEntities(player);
+    const updated = [];
+    const removed = [];
+    for (const [key, entity] of visible) {
+      if (!known.has(key)) {
+        updated.push(this.applyFilters(entity.getReplicatedState(), entity, player));
+      } else if (entity.isDirty()) {
+        const changes = this.applyFilters(entity.getDirtyState(), entity, player);
+        // Changes the filter hid entirely, such as another player's health, are not worth sending
+        if (Object.keys(changes).some(field => field !== 'id' && field !== 'kind')) {
+          updated.push(changes);
+        }
+      }
+    }
+    for (const key of known) {
+      if (!visible.has(key)) {
+        const [kind, id] = key.split(/:(.*)/s);
+        removed.push({ kind, id });
+      }
+    }
+    this.views.set(player.id, new Set(visible.keys()));
+    if (updated.length > 0 || removed.length > 0) {
+      this.clientManager.sendToPlayer(player.id, 'worldDelta', { time: this.worldManager.time.currentTime, updated, removed });
+    }
+  }
+  sendFullState(player) {
+    const visible = this.getVisibleEntities(player);
+    this.views.set(player.id, new Set(visible.keys()));
+    this.clientManager.sendToPlayer(player.id, 'fullStateSync', {
+      time: this.worldManager.time.currentTime,
+      playerState: player.getReplicatedState(),
+      location: this.worldManager.getLocationInfo(player.location),
+      entities: Array.from(visible.values()).map(entity => this.applyFilters(entity.getReplicatedState(), entity, player))
+    });
+  }
+  removeView(playerId) {
+    this.views.delete(playerId);
+  }
+}
+/**************************************************************************************************
+JSON File Storage Class
+Keeps every record in its own file, such as players/<id>.json, so saving one character never
+rewrites anyone else's. Each file is written beside its final name, flushed and renamed into place.
+***************************************************************************************************/
+class JsonFileStorage {
+  constructor(dataPath, worldStatePath) {
+    this.dataPath = dataPath;
+    this.worldStatePath = worldStatePath;
+    this.collections = new Map();
+    this.nameIndexes = new Map();
+    this.logger = new LogSystem();
+  }
+  async initialize() {
+    // Make sure the save locations exist before anything is written to them
+    await fs.mkdir(this.dataPath, { recursive: true });
+    await fs.mkdir(path.dirname(this.worldStatePath), { recursive: true });
+  }
+  static async readFile(filePath, defaultValue) {
+    try {
+      const data = await fs.readFile(filePath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      // Nothing has been saved yet
+      if (error.code === 'ENOENT' && defaultValue !== undefined) {
+        return defaultValue;
+      }
+      throw new Error(`Failed to load JSON data from ${filePath}: ${error.message}`);
+    }
+  }
+  static async writeFile(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    const file = await fs.open(tempPath, 'w');
+    try {
+      await file.writeFile(JSON.stringify(data, null, 2));
+      // Flush before the rename, or a power cut could leave an empty file under the real name
+      await file.sync();
+    } finally {
+      await file.close();
+    }
+    await fs.rename(tempPath, filePath);
+  }
+  static isValidId(id) {
+    // Ids become file names, so only the characters of generated ids are allowed
+    return /^[\w-]+$/.test(String(id));
+  }
+  getRecordPath(collection, id) {
+    if (!JsonFileStorage.isValidId(id)) {
+      throw new Error(`Invalid ${collection} record id: ${id}`);
+    }
+    return path.join(this.dataPath, collection, `${id}.json`);
+  }
+  getCollection(collection) {
+    // Each collection is read from disk once and then served from memory
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, this.readCollection(collection));
+    }
+    return this.collections.get(collection);
+  }
+  async readCollection(collection) {
+    const directory = path.join(this.dataPath, collection);
+    let filenames = [];
+    try {
+      filenames = await fs.readdir(directory);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const records = new Map();
+    // Leftover .tmp files from an interrupted write are ignored, since the rename never happened
+    for (const filename of filenames.filter(name => name.endsWith('.json'))) {
+      const record = await JsonFileStorage.readFile(path.join(directory, filename));
+      records.set(record.id, record);
+    }
+    return records;
+  }
+  async getNameIndex(collection) {
+    // Normalized name to id, so finding a record by name doesn't copy the whole collection
+    if (!this.nameIndexes.has(collection)) {
+      const records = await this.getCollection(collection);
+      const index = new Map();
+      records.forEach(record => JsonFileStorage.indexName(index, record));
+      this.nameIndexes.set(collection, index);
+    }
+    return this.nameIndexes.get(collection);
+  }
+  static indexName(index, record) {
+    if (typeof record.name === 'string') {
+      index.set(NameRegistry.normalize(record.name), record.id);
+    }
+  }
+  static unindexName(index, record) {
+    if (record && typeof record.name === 'string' && index.get(NameRegistry.normalize(record.name)) === record.id) {
+      index.delete(NameRegistry.normalize(record.name));
+    }
+  }
+  async loadRecords(collection) {
+    const records = await this.getCollection(collection);
+    return Array.from(records.values(), record => structuredClone(record));
+  }
+  async loadRecord(collection, id) {
+    if (!JsonFileStorage.isValidId(id)) return null;
+    // Until the collection has been read, the record's own file is read instead of every file
+    if (!this.collections.has(collection)) {
+      return await JsonFileStorage.readFile(this.getRecordPath(collection, id), null);
+    }
+    const record = (await this.getCollection(collection)).get(id);
+    return record ? structuredClone(record) : null;
+  }
+  async findRecordByName(collection, name) {
+    const id = (await this.getNameIndex(collection)).get(NameRegistry.normalize(name));
+    return id === undefined ? null : await this.loadRecord(collection, id);
+  }
+  async saveRecords(collection, recordsToSave) {
+    const records = await this.getCollection(collection);
+    const index = await this.getNameIndex(collection);
+    await fs.mkdir(path.join(this.dataPath, collection), { recursive: true });
+    for (const record of recordsToSave) {
+      await JsonFileStorage.writeFile(this.getRecordPath(collection, record.id), record);
+      JsonFileStorage.unindexName(index, records.get(record.id));
+      JsonFileStorage.indexName(index, record);
+      records.set(record.id, structuredClone(record));
+    }
+  }
+  async deleteRecords(collection, ids) {
+    const records = await this.getCollection(collection);
+    const index = await this.getNameIndex(collection);
+    for (const id of ids) {
+      await fs.rm(this.getRecordPath(collection, id), { force: true });
+      JsonFileStorage.unindexName(index, records.get(id));
+      records.delete(id);
+    }
+  }
+  async loadWorldState() {
+    return await JsonFileStorage.readFile(this.worldStatePath, null);
+  }
+  async saveWorldState(worldState) {
+    await JsonFileStorage.writeFile(this.worldStatePath, worldState);
+  }
+  async close() {
+    // Every file is complete once it is saved, so there is nothing to flush
+    this.collections.clear();
+    this.nameIndexes.clear();
+  }
+}
+/**************************************************************************************************
+SQLite Storage Class
+Keeps records and the world snapshot in one SQLite database. Records are stored as JSON text keyed
+by collection and id, and several records saved together are written in one transaction.
+***************************************************************************************************/
+class SqliteStorage {
+  constructor(databasePath) {
+    this.databasePath = databasePath;
+    this.db = null;
+    this.statements = null;
+    this.logger = new LogSystem();
+  }
+  async initialize() {
+    // Loaded only when chosen, so servers using JSON files don't need the native module installed
+    const { default: Database } = await import('better-sqlite3');
+    await fs.mkdir(path.dirname(this.databasePath), { recursive: true });
+    this.db = new Database(this.databasePath);
+    // Write-ahead logging keeps the database intact if the server dies partway through a write
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      );
+      CREATE TABLE IF NOT EXISTS world_state (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        data TEXT NOT NULL
+      );
+    `);
+    this.statements = {
+      selectRecords: this.db.prepare('SELECT data FROM records WHERE collection = ?'),
+      selectRecord: this.db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+      upsertRecord: this.db.prepare(`
+        INSERT INTO records (collection, id, data) VALUES (?, ?, ?)
+        ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data
+      `),
+      deleteRecord: this.db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+      selectWorldState: this.db.prepare('SELECT data FROM world_state WHERE id = 1'),
+      upsertWorldState: this.db.prepare(`
+        INSERT INTO world_state (id, data) VALUES (1, ?)
+        ON CONFLICT (id) DO UPDATE SET data = excluded.data
+      `)
+    };
+    this.upsertRecords = this.db.transaction((collection, records) => {
+      records.forEach(record => this.statements.upsertRecord.run(collection, String(record.id), JSON.stringify(record)));
+    });
+    this.removeRecords = this.db.transaction((collection, ids) => {
+      ids.forEach(id => this.statements.deleteRecord.run(collection, String(id)));
+    });
+  }
+  async loadRecords(collection) {
+    return this.statements.selectRecords.all(collection).map(row => JSON.parse(row.data));
+  }
+  async loadRecord(collection, id) {
+    const row = this.statements.selectRecord.get(collection, String(id));
+    return row ? JSON.parse(row.data) : null;
+  }
+  async findRecordByName(collection, name) {
+    const records = await this.loadRecords(collection);
+    return records.find(record => DatabaseManager.hasName(record, name)) || null;
+  }
+  async saveRecords(collection, records) {
+    this.upsertRecords(collection, records);
+  }
+  async deleteRecords(collection, ids) {
+    this.removeRecords(collection, ids);
+  }
+  async loadWorldState() {
+    const row = this.statements.selectWorldState.get();
+    return row ? JSON.parse(row.data) : null;
+  }
+  async saveWorldState(worldState) {
+    this.statements.upsertWorldState.run(JSON.stringify(worldState));
+  }
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+/**************************************************************************************************
+Database Manager Class
+Accounts, characters, sanctions and the audit log are collections of records in the storage backend
+chosen by STORAGE_BACKEND. Changes run one at a time so read-modify-write cycles don't overlap.
+***************************************************************************************************/
+class DatabaseManager {
+  static COLLECTIONS = ['accounts', 'players', 'sanctions', 'audit'];
+  static WORLD_STATE = 'worldState';
+  // Applied in order to documents saved under an older schema version. Each one must leave a document
+  // it has already changed as it is, and new ones go at the end with the next version number
+  static MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Give characters saved before inventories and quest logs were kept an empty inventory and quest log',
+      collections: ['players'],
+      migrate(record) {
+        // The first inventories were lists of item ids
+        record.inventory = (Array.isArray(record.inventory) ? record.inventory : [])
+          .map(entry => (typeof entry === 'string' ? { id: entry, quantity: 1 } : entry));
+        const { active = [], completed = [] } = record.quests || {};
+        record.quests = { active, completed };
+      }
+    },
+    {
+      version: 2,
+      description: 'Start characters saved before money and levels were kept with no money at level 1',
+      collections: ['players'],
+      migrate(record) {
+        record.currency = typeof record.currency === 'number' ? record.currency : 0;
+        record.level = typeof record.level === 'number' ? record.level : 1;
+        record.experience = typeof record.experience === 'number' ? record.experience : 0;
+      }
+    },
+    {
+      version: 3,
+      description: 'Turn items saved as template ids into copies with ids of their own, in inventories and in rooms',
+      collections: ['players', 'worldState'],
+      migrate(document, random) {
+        // Inventories held { id, quantity } of a template, and rooms a list of template ids
+        const toCopy = (templateId, quantity = 1) => ({
+          id: random.uuid(), templateId, quantity, durability: null, customName: null, owner: null
+        });
+        if (Array.isArray(document.inventory)) {
+          document.inventory = document.inventory.map(entry => {
+            if (typeof entry === 'string') {
+              return { ...toCopy(entry), owner: document.id };
+            }
+            return entry.templateId ? entry : { ...toCopy(entry.id, entry.quantity), owner: document.id };
+          });
+        }
+        Object.values(document.locations || {}).forEach(location => {
+          location.items = (location.items || []).map(entry => (typeof entry === 'string' ? toCopy(entry) : entry));
+        });
+      }
+    }
+  ];
+  static SCHEMA_VERSION = DatabaseManager.MIGRATIONS[DatabaseManager.MIGRATIONS.length - 1].version;
+  constructor(configSystem, random = new RandomSource()) {
+    this.configSystem = configSystem;
+    this.random = random;
+    this.logger = new LogSystem();
+    this.storage = null;
+    this.writeQueue = Promise.resolve();
+  }
+  static createStorage(configSystem) {
+    const { STORAGE_BACKEND, PLAYER_DATA_PATH, WORLD_STATE_PATH, SQLITE_DATABASE_PATH } = configSystem.getAll();
+    switch (STORAGE_BACKEND) {
+      case 'json':
+        return new JsonFileStorage(PLAYER_DATA_PATH, WORLD_STATE_PATH);
+      case 'sqlite':
+        return new SqliteStorage(SQLITE_DATABASE_PATH);
+      default:
+        throw new Error(`Unknown STORAGE_BACKEND: ${STORAGE_BACKEND}`);
+    }
+  }
+  withWriteLock(task) {
+    // Run read-modify-write cycles one at a time so concurrent saves can't overwrite each other
+    const result = this.writeQueue.then(task);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+  async openStorage() {
+    this.storage = DatabaseManager.createStorage(this.configSystem);
+    await this.storage.initialize();
+  }
+  async initialize() {
+    try {
+      await this.openStorage();
+      await this.importLegacyFiles();
+      await this.migrate();
+      this.logger.info(`${this.configSystem.get('STORAGE_BACKEND')} storage initialized successfully`);
+    } catch (error) {
+      this.logger.error(`Storage not accessible: ${error.message}`);
+      throw error;
+    }
+  }
+  async findLegacyFiles() {
+    // Earlier versions kept each collection as one array in PLAYER_DATA_PATH, such as players.json
+    const legacyFiles = [];
+    for (const collection of DatabaseManager.COLLECTIONS) {
+      const legacyPath = path.join(this.configSystem.get('PLAYER_DATA_PATH'), `${collection}.json`);
+      const records = await JsonFileStorage.readFile(legacyPath, null);
+      if (!Array.isArray(records) || (await this.storage.loadRecords(collection)).length > 0) continue;
+      legacyFiles.push({ collection, legacyPath, records });
+    }
+    return legacyFiles;
+  }
+  async importLegacyFiles() {
+    for (const { collection, legacyPath, records } of await this.findLegacyFiles()) {
+      await this.storage.saveRecords(collection, records);
+      // Renamed rather than deleted, and so never imported twice
+      await fs.rename(legacyPath, `${legacyPath}.imported`);
+      this.logger.info(`Imported ${records.length} ${collection} record(s) from ${legacyPath}`);
+    }
+  }
+  static migrateDocument(collection, document, random = new RandomSource()) {
+    // Documents saved before versioning began count as version 0
+    const fromVersion = document.schemaVersion || 0;
+    if (fromVersion > DatabaseManager.SCHEMA_VERSION) {
+      throw new Error(`A ${collection} document${document.id ? ` (${document.id})` : ''} was saved with schema version ${fromVersion}, but this server only knows up to version ${DatabaseManager.SCHEMA_VERSION}`);
+    }
+    const migrated = structuredClone(document);
+    const applied = DatabaseManager.MIGRATIONS.filter(migration => migration.version > fromVersion && migration.collections.includes(collection));
+    // Migrations that give items ids draw them from the same source as new items
+    applied.forEach(migration => migration.migrate(migrated, random));
+    migrated.schemaVersion = DatabaseManager.SCHEMA_VERSION;
+    return { migrated, applied, fromVersion };
+  }
+  static listChangedFields(before, after) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return Array.from(fields).filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+  }
+  async migrate({ dryRun = false } = {}) {
+    return await this.withWriteLock(async () => {
+      const report = { dryRun, schemaVersion: DatabaseManager.SCHEMA_VERSION, documentsChanged: 0, collections: {} };
+      // A dry run leaves old single-file saves where they are, so it reads them as they would be imported
+      const legacyFiles = dryRun ? await this.findLegacyFiles() : [];
+      for (const collection of [...DatabaseManager.COLLECTIONS, DatabaseManager.WORLD_STATE]) {
+        const isWorldState = collection === DatabaseManager.WORLD_STATE;
+        const legacyFile = legacyFiles.find(file => file.collection === collection);
+        let documents;
+        if (isWorldState) {
+          documents = [await this.storage.loadWorldState()].filter(Boolean);
+        } else if (legacyFile) {
+          documents = legacyFile.records;
+        } else {
+          documents = await this.storage.loadRecords(collection);
+        }
+        const changes = [];
+        const migratedDocuments = [];
+        for (const document of documents) {
+          const { migrated, applied, fromVersion } = DatabaseManager.migrateDocument(collection, document, this.random);
+          if (fromVersion === DatabaseManager.SCHEMA_VERSION) continue;
+          changes.push({
+            id: document.id || null,
+            fromVersion,
+            migrations: applied.map(migration => migration.version),
+            fields: DatabaseManager.listChangedFields(document, migrated)
+          });
+          migratedDocuments.push(migrated);
+        }
+        report.collections[collection] = { documents: documents.length, changed: changes.length, changes };
+        if (legacyFile) {
+          report.collections[collection].pendingImport = legacyFile.legacyPath;
+        }
+        report.documentsChanged += changes.length;
+        if (dryRun || migratedDocuments.length === 0) continue;
+        if (isWorldState) {
+          await this.storage.saveWorldState(migratedDocuments[0]);
+        } else {
+          await this.storage.saveRecords(collection, migratedDocuments);
+        }
+        this.logger.info(`Migrated ${migratedDocuments.length} ${collection} document(s) to schema version ${DatabaseManager.SCHEMA_VERSION}`);
+      }
+      return report;
+    });
+  }
+  async exportData() {
+    // Read under the lock so the copy never catches a change halfway through
+    return await this.withWriteLock(async () => {
+      const collections = {};
+      for (const collection of DatabaseManager.COLLECTIONS) {
+        collections[collection] = await this.storage.loadRecords(collection);
+      }
+      return { collections, worldState: await this.storage.loadWorldState() };
+    });
+  }
+  async replaceData({ collections, worldState }) {
+    await this.withWriteLock(async () => {
+      for (const collection of DatabaseManager.COLLECTIONS) {
+        const records = collections[collection] || [];
+        const ids = new Set(records.map(record => String(record.id)));
+        const stale = (await this.storage.loadRecords(collection)).filter(record => !ids.has(String(record.id)));
+        if (stale.length > 0) {
+          await this.storage.deleteRecords(collection, stale.map(record => record.id));
+        }
+        await this.storage.saveRecords(collection, records);
+      }
+      // A backup made before the first snapshot has none, and the current one is left in place
+      if (worldState) {
+        await this.storage.saveWorldState(worldState);
+      }
+    });
+    // Restored documents may be from an older save format
+    await this.migrate();
+  }
+  async restorePlayerRecord(record) {
+    const { migrated } = DatabaseManager.migrateDocument('players', record, this.random);
+    return await this.withWriteLock(async () => {
+      const players = await this.query('players');
+      if (players.some(player => player.id !== migrated.id && DatabaseManager.hasName(player, migrated.name))) {
+        return null;
+      }
+      await this.storage.saveRecords('players', [migrated]);
+      return migrated;
+    });
+  }
+  async writeRecords(dataType, records) {
+    // Everything written is in the current format, so it is stamped with the current version
+    await this.storage.saveRecords(dataType, records.map(record => ({ ...record, schemaVersion: DatabaseManager.SCHEMA_VERSION })));
+  }
+  async query(dataType, filter = null) {
+    try {
+      const data = await this.storage.loadRecords(dataType);
+      if (filter) {
+        return data.filter(filter);
+      }
+      return data;
+    } catch (error) {
+      this.logger.error(`Error querying ${dataType} data: ${error.message}`);
+      throw error;
+    }
+  }
+  static hasName(record, name) {
+    return typeof record.name === 'string' && NameRegistry.normalize(record.name) === NameRegistry.normalize(name);
+  }
+  async findByName(dataType, name) {
+    return await this.storage.findRecordByName(dataType, name);
+  }
+  async getRecord(dataType, id) {
+    return await this.storage.loadRecord(dataType, id);
+  }
+  async insertUniqueRecord(dataType, record) {
+    return await this.withWriteLock(async () => {
+      const records = await this.query(dataType);
+      // Checked again here in case another request took the name while the password was hashing
+      if (records.some(existing => DatabaseManager.hasName(existing, record.name))) {
+        return false;
+      }
+      await this.writeRecords(dataType, [record]);
+      return true;
+    });
+  }
+  async insertRecord(dataType, record) {
+    await this.withWriteLock(() => this.writeRecords(dataType, [record]));
+  }
+  async updateRecord(dataType, id, changes) {
+    return await this.withWriteLock(async () => {
+      const record = await this.getRecord(dataType, id);
+      if (!record) return null;
+      Object.assign(record, changes);
+      await this.writeRecords(dataType, [record]);
+      return record;
+    });
+  }
+  async updateRecordWith(dataType, id, getChanges) {
+    // For changes worked out from the record's current values, which are read again under the lock
+    return await this.withWriteLock(async () => {
+      const record = await this.getRecord(dataType, id);
+      if (!record) return null;
+      const changes = getChanges(record);
+      if (changes) {
+        Object.assign(record, changes);
+        await this.writeRecords(dataType, [record]);
+      }
+      return { record, changes };
+    });
+  }
+  async renameRecord(dataType, id, name) {
+    return await this.withWriteLock(async () => {
+      const records = await this.query(dataType);
+      const record = records.find(r => r.id === id);
+      if (!record || records.some(existing => existing.id !== id && DatabaseManager.hasName(existing, name))) {
+        return null;
+      }
+      record.name = name;
+      await this.writeRecords(dataType, [record]);
+      return record;
+    });
+  }
+  async removeRecords(dataType, filter) {
+    return await this.withWriteLock(async () => {
+      const records = await this.query(dataType);
+      const removed = records.filter(filter);
+      if (removed.length > 0) {
+        await this.storage.deleteRecords(dataType, removed.map(record => record.id));
+      }
+      return removed;
+    });
+  }
+  async getAccount(accountId) {
+    return await this.getRecord('accounts', accountId);
+  }
+  async getAccountByName(name) {
+    return await this.findByName('accounts', name);
+  }
+  async createAccount(record) {
+    return await this.insertUniqueRecord('accounts', record);
+  }
+  async updateAccount(accountId, changes) {
+    return await this.updateRecord('accounts', accountId, changes);
+  }
+  async updateAccountWith(accountId, getChanges) {
+    return await this.updateRecordWith('accounts', accountId, getChanges);
+  }
+  async getPlayer(playerId) {
+    return await this.getRecord('players', playerId);
+  }
+  async getPlayerByName(name) {
+    return await this.findByName('players', name);
+  }
+  async getPlayersByAccount(accountId) {
+    return await this.query('players', player => player.accountId === accountId);
+  }
+  async createPlayer(record) {
+    return await this.insertUniqueRecord('players', record);
+  }
+  async renamePlayer(playerId, name) {
+    return await this.renameRecord('players', playerId, name);
+  }
+  async updatePlayerRecord(playerId, changes) {
+    return await this.updateRecord('players', playerId, changes);
+  }
+  async removePlayers(filter) {
+    return await this.removeRecords('players', filter);
+  }
+  async savePlayer(player) {
+    await this.savePlayers([player]);
+  }
+  async savePlayers(playersToSave) {
+    await this.withWriteLock(async () => {
+      const players = await this.query('players');
+      const records = playersToSave.map(player => {
+        const data = player.serialize();
+        const existing = players.find(p => p.id === data.id);
+        // Merge so details only kept in the record, such as deletion times, are not lost, and keep the
+        // record's name since a rename may have finished after this player was last updated
+        return existing ? { ...existing, ...data, name: existing.name } : data;
+      });
+      // Only the players being saved are written, each to its own file or row
+      await this.writeRecords('players', records);
+    });
+    this.logger.info(`${playersToSave.length} player(s) saved successfully`);
+  }
+  async getSanctions(filter = null) {
+    return await this.query('sanctions', filter);
+  }
+  async createSanction(record) {
+    await this.insertRecord('sanctions', record);
+  }
+  async updateSanction(sanctionId, changes) {
+    return await this.updateRecord('sanctions', sanctionId, changes);
+  }
+  async getAuditEntries(filter = null) {
+    return await this.query('audit', filter);
+  }
+  async addAuditEntry(entry) {
+    await this.insertRecord('audit', entry);
+  }
+  async getWorldState() {
+    return await this.storage.loadWorldState();
+  }
+  async saveWorldState(worldState) {
+    // Queued with the record writes, so two saves never share a temporary file and backups never catch one halfway
+    await this.withWriteLock(() => this.storage.saveWorldState({ ...worldState, schemaVersion: DatabaseManager.SCHEMA_VERSION }));
+    this.logger.info('World state saved successfully');
+  }
+  async disconnect() {
+    // Saves already queued, such as those of players leaving as the server stops, are finished first
+    await this.withWriteLock(async () => {
+      if (this.storage) {
+        await this.storage.close();
+      }
+    });
+    this.logger.info('Storage closed');
+  }
+}
+/**************************************************************************************************
+State Journal Class
+Appends important changes to characters, such as items changing hands, money and levels gained, to
+a journal file between autosaves. Every entry carries the character's resulting values, so replaying
+the journal after a crash is safe even for changes the last save already included.
+***************************************************************************************************/
+class StateJournal {
+  static ENTRY_TYPES = { ITEM_TRANSFER: 'itemTransfer', CURRENCY: 'currency', LEVEL_UP: 'levelUp' };
+  constructor(configSystem, clock = new SystemClock()) {
+    this.configSystem = configSystem;
+    this.journalPath = null;
+    this.clock = clock;
+    this.entries = [];
+    this.sequence = 0;
+    this.file = null;
+    this.opened = false;
+    this.writes = Promise.resolve();
+    this.logger = new LogSystem();
+  }
+  async open() {
+    this.journalPath = this.configSystem.get('JOURNAL_PATH');
+    await fs.mkdir(path.dirname(this.journalPath), { recursive: true });
+    const entries = await this.readEntries();
+    this.sequence = entries.reduce((highest, entry) => Math.max(highest, entry.sequence || 0), 0);
+    this.file = await fs.open(this.journalPath, 'a');
+    this.opened = true;
+    // Entries left from the last run are returned for replay rather than kept, since the replay saves them
+    return entries;
+  }
+  async readEntries() {
+    let data = '';
+    try {
+      data = await fs.readFile(this.journalPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to read the journal at ${this.journalPath}: ${error.message}`);
+    }
+    const entries = [];
+    const lines = data.split('\n').filter(line => line.trim());
+    lines.forEach((line, index) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Only the last line can be cut short by a crash in the middle of a write
+        if (index === lines.length - 1) {
+          this.logger.warn('Ignoring an incomplete entry at the end of the journal');
+        } else {
+          throw new Error(`Journal line ${index + 1} is not valid JSON: ${error.message}`);
+        }
+      }
+    });
+    return entries;
+  }
+  record(player, type, details = {}) {
+    const entry = {
+      sequence: ++this.sequence,
+      time: new Date(this.clock.now()).toISOString(),
+      type,
+      playerId: player.id,
+      playerName: player.name,
+      details,
+      schemaVersion: DatabaseManager.SCHEMA_VERSION,
+      state: player.getJournalState()
+    };
+    this.entries.push(entry);
+    this.enqueue(async () => {
+      if (!this.file) return;
+      await this.file.appendFile(`${JSON.stringify(entry)}\n`);
+      // The entry only protects anything once it has reached the disk
+      await this.file.datasync();
+    });
+    return entry;
+  }
+  checkpoint(playerIds, sequence = this.sequence) {
+    // Entries up to the sequence are now in the saved records, so they are no longer needed
+    const saved = new Set(playerIds);
+    const remaining = this.entries.filter(entry => !saved.has(entry.playerId) || entry.sequence > sequence);
+    if (remaining.length === this.entries.length) return this.writes;
+    this.entries = remaining;
+    return this.enqueue(() => this.rewrite());
+  }
+  async discard(playerIds) {
+    // Unlike a checkpoint, this also drops entries left in the file by an earlier run, as when a backup is restored over them
+    const discarded = new Set(playerIds);
+    this.entries = this.entries.filter(entry => !discarded.has(entry.playerId));
+    await this.enqueue(async () => {
+      if (!this.opened) return;
+      await this.rewrite((await this.readEntries()).filter(entry => !discarded.has(entry.playerId)));
+    });
+  }
+  async clear() {
+    this.entries = [];
+    await this.enqueue(() => this.rewrite());
+  }
+  async rewrite(entries = this.entries) {
+    // Without an open journal, as in simulations, entries are only kept in memory
+    if (!this.opened) return;
+    if (this.file) {
+      await this.file.close();
+      this.file = null;
+    }
+    const tempPath = `${this.journalPath}.tmp`;
+    const file = await fs.open(tempPath, 'w');
+    try {
+      await file.writeFile(entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+      await file.sync();
+    } finally {
+      await file.close();
+    }
+    await fs.rename(tempPath, this.journalPath);
+    this.file = await fs.open(this.journalPath, 'a');
+  }
+  enqueue(task) {
+    this.writes = this.writes.then(task).catch(error => {
+      this.logger.error(`Failed to write the journal: ${error.message}`);
+    });
+    return this.writes;
+  }
+  async close() {
+    await this.writes;
+    this.opened = false;
+    if (this.file) {
+      await this.file.close();
+      this.file = null;
+    }
+  }
+}
+/**************************************************************************************************
+Backup Manager Class
+Writes timestamped, gzip-compressed backups of everything the server saves, together with the zone
+files, to BACKUP_PATH. Every backup is read back before it is kept, and older ones are thinned out to
+one an hour, one a day and one a week.
+***************************************************************************************************/
+class BackupManager {
+  static FORMAT = 'wulin-backup';
+  static FILENAME_PATTERN = /^backup-(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z\.json\.gz$/;
+  static RETENTION = [
+    { key: 'BACKUP_KEEP_HOURLY', period: 3600000 },
+    { key: 'BACKUP_KEEP_DAILY', period: 86400000 },
+    // The Unix epoch fell on a Thursday, so weeks are shifted by three days to start on Mondays
+    { key: 'BACKUP_KEEP_WEEKLY', period: 604800000, offset: 259200000 }
+  ];
+  constructor(configSystem, databaseManager, clock = new SystemClock()) {
+    this.configSystem = configSystem;
+    this.databaseManager = databaseManager;
+    this.clock = clock;
+    this.zoneFileLoader = new ZoneFileLoader();
+    this.running = Promise.resolve();
+    this.logger = new LogSystem();
+  }
+  static formatFilename(time) {
+    const stamp = new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    return `backup-${stamp}.json.gz`;
+  }
+  static parseFilename(filename) {
+    const match = BackupManager.FILENAME_PATTERN.exec(filename);
+    if (!match) return null;
+    const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+    return Date.UTC(year, month - 1, day, hour, minute, second);
+  }
+  static verify(backup) {
+    if (!backup || backup.format !== BackupManager.FORMAT) {
+      throw new Error('It is not a backup made by this server');
+    }
+    if (typeof backup.schemaVersion !== 'number') {
+      throw new Error('It has no schema version');
+    }
+    DatabaseManager.COLLECTIONS.forEach(collection => {
+      const records = backup.collections && backup.collections[collection];
+      if (!Array.isArray(records)) {
+        throw new Error(`The ${collection} collection is missing`);
+      }
+      if (records.some(record => !record || typeof record !== 'object' || record.id === undefined)) {
+        throw new Error(`A ${collection} record has no id`);
+      }
+    });
+    Object.keys(GameDataManager.DATA_PATH_KEYS).forEach(dataType => {
+      const files = backup.zoneFiles && backup.zoneFiles[dataType];
+      if (!files || typeof files !== 'object') {
+        throw new Error(`The ${dataType} zone files are missing`);
+      }
+      Object.entries(files).forEach(([filename, text]) => {
+        // The names become paths when the backup is restored
+        if (!ZoneFileLoader.parseFilename(filename)) {
+          throw new Error(`"${filename}" is not a zone file name`);
+        }
+        try {
+          JSON.parse(text);
+        } catch (error) {
+          throw new Error(`Zone file "${filename}" does not parse: ${error.message}`);
+        }
+      });
+    });
+  }
+  static selectBackupsToKeep(backups, retention) {
+    // Backups come newest first, so the first one seen in each period is the one kept for it
+    const keep = new Set(backups.slice(0, 1).map(backup => backup.name));
+    retention.forEach(({ count, period, offset = 0 }) => {
+      const periods = new Set();
+      for (const backup of backups) {
+        const bucket = Math.floor((backup.time + offset) / period);
+        if (periods.has(bucket)) continue;
+        if (periods.size >= count) break;
+        periods.add(bucket);
+        keep.add(backup.name);
+      }
+    });
+    return keep;
+  }
+  getBackupPath(name) {
+    if (BackupManager.parseFilename(name) === null) {
+      throw new Error(`${name} is not the name of a backup`);
+    }
+    return path.join(this.configSystem.get('BACKUP_PATH'), name);
+  }
+  async collectZoneFiles() {
+    const zoneFiles = {};
+    for (const [dataType, pathKey] of Object.entries(GameDataManager.DATA_PATH_KEYS)) {
+      const directory = this.configSystem.get(pathKey);
+      zoneFiles[dataType] = {};
+      let filenames = [];
+      try {
+        filenames = await this.zoneFileLoader.listZoneFiles(directory);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      // Kept as text so a restore gives back the files exactly as they were
+      for (const filename of filenames) {
+        zoneFiles[dataType][filename] = await fs.readFile(path.join(directory, filename), 'utf8');
+      }
+    }
+    return zoneFiles;
+  }
+  async createBackup() {
+    const createdAt = this.clock.now();
+    const { collections, worldState } = await this.databaseManager.exportData();
+    const backup = {
+      format: BackupManager.FORMAT,
+      schemaVersion: DatabaseManager.SCHEMA_VERSION,
+      createdAt: new Date(createdAt).toISOString(),
+      collections,
+      worldState,
+      zoneFiles: await this.collectZoneFiles()
+    };
+    await fs.mkdir(this.configSystem.get('BACKUP_PATH'), { recursive: true });
+    const name = BackupManager.formatFilename(createdAt);
+    const filePath = this.getBackupPath(name);
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, await gzip(JSON.stringify(backup)));
+    await fs.rename(tempPath, filePath);
+    // A backup that can't be read back is worse than none, since it would be trusted
+    try {
+      await this.readBackup(name);
+    } catch (error) {
+      await fs.rm(filePath, { force: true });
+      throw error;
+    }
+    const { size } = await fs.stat(filePath);
+    this.logger.info(`Backup ${name} written and verified (${size} bytes)`);
+    return { name, createdAt: backup.createdAt, size };
+  }
+  async readBackup(name) {
+    const compressed = await fs.readFile(this.getBackupPath(name));
+    try {
+      const backup = JSON.parse((await gunzip(compressed)).toString('utf8'));
+      BackupManager.verify(backup);
+      return backup;
+    } catch (error) {
+      throw new Error(`Backup ${name} failed verification: ${error.message}`);
+    }
+  }
+  async listBackups() {
+    let filenames = [];
+    try {
+      filenames = await fs.readdir(this.configSystem.get('BACKUP_PATH'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const backups = [];
+    for (const name of filenames) {
+      const time = BackupManager.parseFilename(name);
+      if (time === null) continue;
+      const { size } = await fs.stat(this.getBackupPath(name));
+      backups.push({ name, time, size });
+    }
+    return backups.sort((a, b) => b.time - a.time);
+  }
+  async pruneBackups() {
+    const backups = await this.listBackups();
+    const retention = BackupManager.RETENTION.map(({ key, period, offset }) => ({ count: this.configSystem.get(key), period, offset }));
+    const keep = BackupManager.selectBackupsToKeep(backups, retention);
+    const removed = backups.filter(backup => !keep.has(backup.name));
+    for (const backup of removed) {
+      await fs.rm(this.getBackupPath(backup.name), { force: true });
+    }
+    if (removed.length > 0) {
+      this.logger.info(`Removed ${removed.length} old backup(s)`);
+    }
+    return removed.map(backup => backup.name);
+  }
+  runScheduledBackup() {
+    const run = this.running.then(async () => {
+      const backup = await this.createBackup();
+      await this.pruneBackups();
+      return backup;
+    });
+    // Backups run one at a time, and stopping the server waits for the last one
+    this.running = run.catch(() => {});
+    return run;
+  }
+  async close() {
+    await this.running;
+  }
+  async restoreServer(name) {
+    const backup = await this.readBackup(name);
+    await this.databaseManager.replaceData(backup);
+    await this.restoreZoneFiles(backup.zoneFiles);
+    this.logger.warn(`Restored the whole server from backup ${name}`);
+    return backup;
+  }
+  async restoreZoneFiles(zoneFiles) {
+    for (const [dataType, pathKey] of Object.entries(GameDataManager.DATA_PATH_KEYS)) {
+      const directory = this.configSystem.get(pathKey);
+      const files = zoneFiles[dataType];
+      await fs.mkdir(directory, { recursive: true });
+      // Zone files made since the backup are removed, since the world it holds never had them
+      for (const filename of await this.zoneFileLoader.listZoneFiles(directory)) {
+        if (!Object.hasOwn(files, filename) && ZoneFileLoader.parseFilename(filename)) {
+          await fs.rm(path.join(directory, filename));
+        }
+      }
+      for (const [filename, text] of Object.entries(files)) {
+        const filePath = path.join(directory, filename);
+        await fs.writeFile(`${filePath}.tmp`, text);
+        await fs.rename(`${filePath}.tmp`, filePath);
+      }
+    }
+  }
+  async restoreCharacter(name, characterName, { isInWorld = () => false } = {}) {
+    const backup = await this.readBackup(name);
+    const record = backup.collections.players.find(player => DatabaseManager.hasName(player, characterName));
+    if (!record) {
+      return { success: false, message: `Backup ${name} has no character named ${characterName}.` };
+    }
+    // Saving the character as it leaves the world would overwrite the restored copy
+    if (isInWorld(record.id)) {
+      return { success: false, message: `${record.name} is in the world. Kick them before restoring them.` };
+    }
+    const restored = await this.databaseManager.restorePlayerRecord(record);
+    if (!restored) {
+      return { success: false, message: `Another character is now named ${record.name}, so ${record.name} cannot be restored.` };
+    }
+    this.logger.warn(`Restored ${restored.name} from backup ${name}`);
+    return { success: true, record: restored };
+  }
+}
+/**************************************************************************************************
+Zone File Loader Class
+World data is split into one file per zone and kind, named for the range of ids it holds, such as
+"100-199 Chang'an City locations.json". Each file is an object of records keyed by id.
+***************************************************************************************************/
+class ZoneFileLoader {
+  static FILENAME_PATTERN = /^(\d+)-(\d+) (.+) (locations|npcs|items)\.json$/;
+  static LABELS = { locations: 'Location', npcs: 'NPC', items: 'Item' };
+  constructor() {
+    this.logger = new LogSystem();
+  }
+  static parseFilename(filename) {
+    const match = ZoneFileLoader.FILENAME_PATTERN.exec(filename);
+    if (!match) return null;
+    const [, start, end, zone, dataType] = match;
+    return { start: Number(start), end: Number(end), zone, dataType };
+  }
+  static formatFilename({ start, end, zone, dataType }) {
+    return `${start}-${end} ${zone} ${dataType}.json`;
+  }
+  async listZoneFiles(directory) {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    return entries.filter(entry => entry.isFile() && entry.name.endsWith('.json')).map(entry => entry.name).sort();
+  }
+  async loadDirectory(directory, dataType) {
+    // Problems are collected rather than thrown so every bad file can be fixed in one pass
+    const label = ZoneFileLoader.LABELS[dataType];
+    const records = [];
+    const sources = new Map();
+    const errors = [];
+    let filenames;
+    try {
+      filenames = await this.listZoneFiles(directory);
+    } catch (error) {
+      return { records, sources, errors: [`Cannot read ${directory}: ${error.message}`] };
+    }
+    for (const filename of filenames) {
+      const zoneFile = ZoneFileLoader.parseFilename(filename);
+      if (!zoneFile || zoneFile.dataType !== dataType || zoneFile.start > zoneFile.end) {
+        errors.push(`"${filename}" should be named like "100-199 Zone Name ${dataType}.json"`);
+        continue;
+      }
+      let data;
+      try {
+        data = JSON.parse(await fs.readFile(path.join(directory, filename), 'utf8'));
+      } catch (error) {
+        errors.push(`"${filename}" could not be read: ${error.message}`);
+        continue;
+      }
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        errors.push(`"${filename}" must hold an object of ${dataType} keyed by id`);
+        continue;
+      }
+      Object.entries(data).forEach(([id, record]) => {
+        if (!/^\d+$/.test(id) || Number(id) < zoneFile.start || Number(id) > zoneFile.end) {
+          errors.push(`${label} ${id} in "${filename}" is outside the range ${zoneFile.start}-${zoneFile.end}`);
+        } else if (sources.has(id)) {
+          errors.push(`${label} ${id} is in both "${sources.get(id)}" and "${filename}"`);
+        } else if (!record || typeof record !== 'object' || Array.isArray(record)) {
+          errors.push(`${label} ${id} in "${filename}" is not an object`);
+        } else {
+          sources.set(id, filename);
+          records.push({ ...record, id });
+        }
+      });
+    }
+    return { records, sources, errors };
+  }
+  async saveZoneFile(directory, filename, records) {
+    const data = Object.fromEntries(records.map(({ id, ...record }) => [id, record]));
+    const filePath = path.join(directory, filename);
+    // Write beside the file and rename it into place so a crash can't leave half a zone behind
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, filePath);
+    this.logger.info(`${filename} saved successfully`);
+  }
+}
+/**************************************************************************************************
+Room CSV Converter Class
+Converts between zone location files and room.csv, the spreadsheet format of the original areas: one
+row per room of id, name, description, the exits north, east, west, south, up and down, and a flag.
+An exit of 0 means there is none. Cells left blank in the spreadsheet are remembered on the location,
+so rooms come back out exactly as they went in.
+***************************************************************************************************/
+class RoomCsvConverter {
+  static EXIT_COLUMNS = ['north', 'east', 'west', 'south', 'up', 'down'];
+  static COLUMNS = ['id', 'name', 'description', ...RoomCsvConverter.EXIT_COLUMNS, 'flag'];
+  static NO_EXIT = '0';
+  constructor() {
+    this.zoneFileLoader = new ZoneFileLoader();
+    this.logger = new LogSystem();
+  }
+  static parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    if (quoted) {
+      throw new Error('The file ends inside a quoted cell');
+    }
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows;
+  }
+  static formatCell(value, quote = false) {
+    // Text is quoted as the spreadsheet saves it, and empty cells are left bare
+    if (value === '') return '';
+    if (quote || /[",\r\n]/.test(value)) {
+      return `"${value.replace(/"/g, '""')}"`;
+    }
+    return value;
+  }
+  static toLocations(text) {
+    const locations = new Map();
+    RoomCsvConverter.parseCsv(text).forEach((cells, index) => {
+      if (cells.length === 1 && cells[0] === '') return;
+      const line = `Row ${index + 1}`;
+      if (cells.length !== RoomCsvConverter.COLUMNS.length) {
+        throw new Error(`${line} has ${cells.length} columns instead of ${RoomCsvConverter.COLUMNS.length}`);
+      }
+      const row = Object.fromEntries(RoomCsvConverter.COLUMNS.map((column, columnIndex) => [column, cells[columnIndex]]));
+      if (!/^\d+$/.test(row.id)) {
+        throw new Error(`${line} has "${row.id}" for an id instead of a number`);
+      }
+      if (locations.has(row.id)) {
+        throw new Error(`${line} repeats room ${row.id}`);
+      }
+      const exits = {};
+      const blankColumns = [];
+      RoomCsvConverter.EXIT_COLUMNS.forEach(direction => {
+        const target = row[direction];
+        if (target === '') {
+          blankColumns.push(direction);
+        } else if (!/^\d+$/.test(target)) {
+          throw new Error(`${line} has "${target}" for its ${direction} exit instead of a room id`);
+        } else if (target !== RoomCsvConverter.NO_EXIT) {
+          exits[direction] = target;
+        }
+      });
+      const location = { id: row.id, name: row.name, description: row.description, exits };
+      if (row.flag === '') {
+        blankColumns.push('flag');
+      } else if (!/^\d+$/.test(row.flag)) {
+        throw new Error(`${line} has "${row.flag}" for its flag instead of a number`);
+      } else {
+        location.flag = Number(row.flag);
+      }
+      if (blankColumns.length > 0) {
+        location.blankColumns = blankColumns;
+      }
+      locations.set(row.id, location);
+    });
+    return Array.from(locations.values());
+  }
+  static toCsv(locations) {
+    const warnings = [];
+    const lines = [...locations].sort((a, b) => Number(a.id) - Number(b.id)).map(location => {
+      const exits = location.exits || {};
+      const blank = new Set(location.blankColumns || []);
+      Object.keys(exits).filter(direction => !RoomCsvConverter.EXIT_COLUMNS.includes(direction)).forEach(direction => {
+        warnings.push(`Location ${location.id} has a ${direction} exit, which room.csv has no column for`);
+      });
+      const cells = [
+        RoomCsvConverter.formatCell(String(location.id)),
+        RoomCsvConverter.formatCell(location.name || '', true),
+        RoomCsvConverter.formatCell(location.description || '', true),
+        ...RoomCsvConverter.EXIT_COLUMNS.map(direction => (blank.has(direction) ? '' : exits[direction] || RoomCsvConverter.NO_EXIT)),
+        blank.has('flag') ? '' : String(location.flag || 0)
+      ];
+      return `${cells.join(',')}\n`;
+    });
+    return { text: lines.join(''), warnings };
+  }
+  async importFile(csvPath, zone, directory, range = null) {
+    const locations = RoomCsvConverter.toLocations(await fs.readFile(csvPath, 'utf8'));
+    if (locations.length === 0) {
+      throw new Error(`${csvPath} has no rooms`);
+    }
+    const ids = locations.map(location => Number(location.id));
+    const { start = Math.min(...ids), end = Math.max(...ids) } = range || {};
+    const outside = locations.filter(location => Number(location.id) < start || Number(location.id) > end);
+    if (outside.length > 0) {
+      throw new Error(`Rooms ${outside.map(location => location.id).join(', ')} are outside the range ${start}-${end}`);
+    }
+    const filename = ZoneFileLoader.formatFilename({ start, end, zone, dataType: 'locations' });
+    if (zone.includes('/') || zone.includes('\\') || !ZoneFileLoader.parseFilename(filename)) {
+      throw new Error(`"${zone}" cannot be used as a zone name`);
+    }
+    await fs.mkdir(directory, { recursive: true });
+    let existing = {};
+    for (const other of await this.zoneFileLoader.listZoneFiles(directory)) {
+      const zoneFile = ZoneFileLoader.parseFilename(other);
+      if (!zoneFile || zoneFile.dataType !== 'locations') continue;
+      if (other === filename) {
+        existing = JSON.parse(await fs.readFile(path.join(directory, other), 'utf8'));
+      } else if (zoneFile.start <= end && start <= zoneFile.end) {
+        throw new Error(`The range ${start}-${end} overlaps "${other}"`);
+      }
+    }
+    const records = locations.map(location => {
+      // Importing over an earlier import keeps what builders have added since, such as items and NPCs,
+      // while everything room.csv holds comes from the new rows
+      const kept = { ...existing[location.id] };
+      delete kept.flag;
+      delete kept.blankColumns;
+      return { ...location, items: [], npcs: [], zone: [zone], ...kept, ...location };
+    });
+    await this.zoneFileLoader.saveZoneFile(directory, filename, records);
+    return { filename, rooms: records.length };
+  }
+  async exportFile(zoneFilePath, csvPath) {
+    const zoneFile = ZoneFileLoader.parseFilename(path.basename(zoneFilePath));
+    if (!zoneFile || zoneFile.dataType !== 'locations') {
+      throw new Error(`${zoneFilePath} is not a zone locations file`);
+    }
+    const data = JSON.parse(await fs.readFile(zoneFilePath, 'utf8'));
+    const locations = Object.entries(data).map(([id, location]) => ({ ...location, id }));
+    const { text, warnings } = RoomCsvConverter.toCsv(locations);
+    await fs.writeFile(csvPath, text);
+    warnings.forEach(warning => this.logger.warn(warning));
+    return { csvPath, rooms: locations.length, warnings };
+  }
+}
+/**************************************************************************************************
+World Validator Class
+Cross-checks the zone files against each other: exits, room contents, NPC positions, item types,
+required fields and rooms no one can walk to. Run it with "npm run validate-world" before committing
+content. The report is JSON so editors and CI can read it.
+***************************************************************************************************/
+class WorldValidator {
+  static REQUIRED_FIELDS = {
+    locations: ['name', 'description', 'exits'],
+    npcs: ['name', 'type', 'currentLocation'],
+    items: ['name', 'description', 'type']
+  };
+  static ITEM_TYPES = ['weapon', 'armor', 'consumable', 'container', 'key', 'quest', 'treasure', 'misc'];
+  static OPPOSITE_DIRECTIONS = { north: 'south', south: 'north', east: 'west', west: 'east', up: 'down', down: 'up' };
+  constructor(configSystem) {
+    this.configSystem = configSystem;
+    this.zoneFileLoader = new ZoneFileLoader();
+  }
+  async validateFiles() {
+    const world = {};
+    const problems = [];
+    for (const [dataType, pathKey] of Object.entries(GameDataManager.DATA_PATH_KEYS)) {
+      const { records, sources, errors } = await this.zoneFileLoader.loadDirectory(this.configSystem.get(pathKey), dataType);
+      errors.forEach(message => problems.push({ severity: 'error', check: 'zoneFile', dataType, id: null, file: null, message }));
+      world[dataType] = { records: new Map(records.map(record => [record.id, record])), sources };
+    }
+    problems.push(...this.validate(world));
+    const errorCount = problems.filter(problem => problem.severity === 'error').length;
+    return {
+      valid: errorCount === 0,
+      counts: Object.fromEntries(Object.entries(world).map(([dataType, { records }]) => [dataType, records.size])),
+      errors: errorCount,
+      warnings: problems.length - errorCount,
+      problems
+    };
+  }
+  validate(world) {
+    const problems = [];
+    const report = (severity, check, dataType, id, message) => {
+      problems.push({ severity, check, dataType, id, file: world[dataType].sources.get(id) || null, message });
+    };
+    const { locations, npcs, items } = world;
+    const startingLocation = this.configSystem.get('STARTING_LOCATION');
+    if (!locations.records.has(startingLocation)) {
+      report('error', 'missingStartingLocation', 'locations', startingLocation, `The starting location ${startingLocation} does not exist`);
+    }
+    Object.entries(WorldValidator.REQUIRED_FIELDS).forEach(([dataType, fields]) => {
+      world[dataType].records.forEach((record, id) => {
+        fields.filter(field => record[field] === undefined || record[field] === null || record[field] === '').forEach(field => {
+          report('error', 'missingField', dataType, id, `${ZoneFileLoader.LABELS[dataType]} ${id} has no ${field}`);
+        });
+      });
+    });
+    locations.records.forEach((location, id) => {
+      Object.entries(location.exits || {}).forEach(([direction, targetId]) => {
+        const opposite = WorldValidator.OPPOSITE_DIRECTIONS[direction];
+        const target = locations.records.get(targetId);
+        if (!opposite) {
+          report('error', 'unknownDirection', 'locations', id, `Location ${id} has an exit in an unknown direction, ${direction}`);
+        } else if (!target) {
+          report('error', 'missingExitTarget', 'locations', id, `Location ${id} has an exit ${direction} to location ${targetId}, which does not exist`);
+        } else if (!target.exits || target.exits[opposite] !== id) {
+          report('warning', 'oneWayExit', 'locations', id, `Location ${id} leads ${direction} to location ${targetId}, but there is no way back ${opposite}`);
+        }
+      });
+      (location.items || []).filter(itemId => !items.records.has(itemId)).forEach(itemId => {
+        report('error', 'missingItem', 'locations', id, `Location ${id} holds item ${itemId}, which does not exist`);
+      });
+      (location.npcs || []).filter(npcId => !npcs.records.has(npcId)).forEach(npcId => {
+        report('error', 'missingNPC', 'locations', id, `Location ${id} holds NPC ${npcId}, which does not exist`);
+      });
+    });
+    npcs.records.forEach((npc, id) => {
+      if (npc.currentLocation && !locations.records.has(npc.currentLocation)) {
+        report('error', 'missingNPCLocation', 'npcs', id, `NPC ${id} is in location ${npc.currentLocation}, which does not exist`);
+      }
+    });
+    items.records.forEach((item, id) => {
+      if (item.type && !WorldValidator.ITEM_TYPES.includes(item.type)) {
+        report('error', 'unknownItemType', 'items', id, `Item ${id} has an unknown type, ${item.type}`);
+      }
+    });
+    this.findUnreachableLocations(locations.records).forEach(id => {
+      report('warning', 'unreachable', 'locations', id, `Location ${id} cannot be reached on foot from the starting location`);
+    });
+    return problems;
+  }
+  findUnreachableLocations(locations) {
+    const { STARTING_LOCATION, JAIL_LOCATION } = this.configSystem.getAll();
+    if (!locations.has(STARTING_LOCATION)) return [];
+    const reached = new Set([STARTING_LOCATION]);
+    const queue = [STARTING_LOCATION];
+    while (queue.length > 0) {
+      const location = locations.get(queue.shift());
+      Object.values(location.exits || {}).filter(targetId => locations.has(targetId) && !reached.has(targetId)).forEach(targetId => {
+        reached.add(targetId);
+        queue.push(targetId);
+      });
+    }
+    // The jail is meant to be reached only by staff moving people there
+    return Array.from(locations.keys()).filter(id => !reached.has(id) && id !== JAIL_LOCATION);
+  }
+}
+/**************************************************************************************************
+Game Data Manager Class
+***************************************************************************************************/
+class GameDataManager {
+  static DATA_PATH_KEYS = { locations: 'LOCATIONS_DATA_PATH', npcs: 'NPCS_DATA_PATH', items: 'ITEMS_DATA_PATH' };
+  constructor(configSystem, databaseManager, random = new RandomSource()) {
     this.configSystem = configSystem;
     this.databaseManager = databaseManager;
+    this.random = random;
     this.locations = new Map();
     this.npcs = new Map();
     this.mobileNPCs = new Map();
     this.merchantNPCs = new Map();
     this.questNPCs = new Map();
     this.items = new Map();
+    this.zoneFileLoader = new ZoneFileLoader();
+    this.zoneSources = { locations: new Map(), npcs: new Map(), items: new Map() };
     this.locationCoordinateManager = new LocationCoordinateManager();
     this.logger = new LogSystem();
   }
   async loadGameData() {
+    // Item templates come first, since NPCs and rooms are given copies of them
+    await this.loadItemData();
     await this.loadLocationData();
     await this.loadNPCData();
-    await this.loadItemData();
   }
   async loadLocationData() {
     try {
       const locationData = await this.loadData('locations');
-      this.checkForDuplicateIds(locationData, 'location');
       this.initializeLocationCoordinates(locationData);
       locationData.forEach(location => this.locations.set(location.id, location));
     } catch (error) {
-      this.logger.error('Error loading location data:', error);
+      this.logger.error(`Error loading location data: ${error.message}`);
     }
   }
   async loadNPCData() {
     try {
       const npcData = await this.loadData('npcs');
-      this.checkForDuplicateIds(npcData, 'NPC');
       npcData.forEach(npcData => {
         const npc = new NPC(
           npcData.id,
@@ -474,9 +4350,12 @@ class GameDataManager {
           npcData.description,
           npcData.type,
           npcData.dialogueTree,
-          npcData.inventory,
-          npcData.questId
+          this.createItems(npcData.inventory, `NPC ${npcData.id}`),
+          npcData.questId,
+          npcData.zones
         );
+        npc.aliases = npcData.aliases || [];
+        npc.currentLocation = npcData.currentLocation || null;
         this.npcs.set(npc.id, npc);
         // Categorize NPCs based on their type
         if (npc.type === 'mobile') {
@@ -491,42 +4370,28 @@ class GameDataManager {
       });
       this.logger.info(`Loaded ${this.npcs.size} NPCs, including ${this.mobileNPCs.size} mobile, ${this.merchantNPCs.size} merchant, and ${this.questNPCs.size} quest NPCs`);
     } catch (error) {
-      this.logger.error('Error loading NPC data:', error);
+      this.logger.error(`Error loading NPC data: ${error.message}`);
     }
   }
   async loadItemData() {
     try {
       const itemData = await this.loadData('items');
-      this.checkForDuplicateIds(itemData, 'item');
-      for (const item of itemData) {
-        item.uid = await this.generateUID(item.id);
-        this.items.set(item.id, item);
-      }
-      this.logger.info(`Loaded ${this.items.size} items`);
+      itemData.forEach(template => this.items.set(template.id, template));
+      this.logger.info(`Loaded ${this.items.size} item templates`);
     } catch (error) {
-      this.logger.error('Error loading item data:', error);
+      this.logger.error(`Error loading item data: ${error.message}`);
     }
   }
   async loadData(dataType) {
-    return await this.parseJSONData(`${dataType}.json`);
-  }
-  async parseJSONData(filename) {
-    try {
-      const dataPath = this.configSystem.get('GAME_DATA_PATH');
-      const data = await fs.readFile(path.join(dataPath, filename), 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      throw new Error(`Failed to parse JSON data from ${filename}: ${error.message}`);
+    const directory = this.configSystem.get(GameDataManager.DATA_PATH_KEYS[dataType]);
+    const { records, sources, errors } = await this.zoneFileLoader.loadDirectory(directory, dataType);
+    if (errors.length > 0) {
+      errors.forEach(error => this.logger.error(error));
+      throw new Error(`${errors.length} problem(s) found in the ${dataType} zone files in ${directory}`);
     }
-  }
-  checkForDuplicateIds(dataArray, entityType) {
-    const ids = new Set();
-    dataArray.forEach(item => {
-      if (ids.has(item.id)) {
-        throw new Error(`Duplicate ${entityType} ID found: ${item.id}`);
-      }
-      ids.add(item.id);
-    });
+    this.zoneSources[dataType] = sources;
+    this.logger.info(`Read ${records.length} ${dataType} from ${new Set(sources.values()).size} zone file(s)`);
+    return records;
   }
   initializeLocationCoordinates(locationData) {
     this.locationCoordinateManager.initialize(locationData);
@@ -534,11 +4399,23 @@ class GameDataManager {
       location.coordinates = this.locationCoordinateManager.getCoordinates(location.id);
     });
   }
-  async generateUID(itemId) {
-    const ITEM_UID_SALT_ROUNDS = this.configSystem.get('ITEM_UID_SALT_ROUNDS');
-    const salt = await bcrypt.genSalt(ITEM_UID_SALT_ROUNDS);
-    const hash = await bcrypt.hash(itemId, salt);
-    return hash.replace(/[/$.]/g, '').slice(0, 24); // Remove bcrypt special chars and truncate
+  createItems(templateIds = [], holder) {
+    // Zone files list the templates a room or NPC starts with, and each one gets a fresh copy
+    return (templateIds || []).map(templateId => {
+      const template = this.getItem(templateId);
+      if (!template) {
+        this.logger.warn(`${holder} starts with item ${templateId}, which does not exist`);
+        return null;
+      }
+      return Item.create(template, {}, this.random);
+    }).filter(Boolean);
+  }
+  restoreItem(data, holder) {
+    const item = Item.fromData(data, this);
+    if (!item) {
+      this.logger.warn(`${holder} holds item ${data.id}, whose template ${data.templateId} no longer exists`);
+    }
+    return item;
   }
   getLocation(id) {
     return this.locations.get(id);
@@ -550,18 +4427,22 @@ class GameDataManager {
     return this.items.get(id);
   }
   async saveGameData() {
-    await this.saveDataToJSON('locations.json', Array.from(this.locations.values()));
-    await this.saveDataToJSON('npcs.json', Array.from(this.npcs.values()));
-    await this.saveDataToJSON('items.json', Array.from(this.items.values()));
-  }
-  async saveDataToJSON(filename, data) {
-    try {
-      const dataPath = this.configSystem.get('GAME_DATA_PATH');
-      const filePath = path.join(dataPath, filename);
-      await fs.writeFile(filePath, JSON.stringify(data, null, 2));
-      this.logger.info(`${filename} saved successfully`);
-    } catch (error) {
-      this.logger.error(`Error saving ${filename}:`, error);
+    // Only locations change while the server runs, through redit, so they are the only zone files written back
+    const zones = new Map();
+    this.locations.forEach((location, id) => {
+      const filename = this.zoneSources.locations.get(id);
+      // Locations made at runtime, such as Limbo, belong to no zone file
+      if (!filename) return;
+      const { coordinates, ...record } = location;
+      zones.set(filename, [...(zones.get(filename) || []), record]);
+    });
+    const directory = this.configSystem.get('LOCATIONS_DATA_PATH');
+    for (const [filename, records] of zones) {
+      try {
+        await this.zoneFileLoader.saveZoneFile(directory, filename, records);
+      } catch (error) {
+        this.logger.error(`Error saving ${filename}: ${error.message}`);
+      }
     }
   }
   getMobileNPCs() {
@@ -590,9 +4471,12 @@ class LocationSystem {
   }
   loadLocations() {
     for (const [id, locationData] of this.gameDataManager.locations) {
-      this.locations.set(id, new Location(locationData));
+      this.locations.set(id, this.createLocation(locationData));
     }
   }
+  createLocation(locationData) {
+    return new Location(locationData, this.gameDataManager.createItems(locationData.items, `Location ${locationData.id}`));
+  }
   validateConnections() {
     for (const location of this.locations.values()) {
       for (const [direction, targetId] of Object.entries(location.exits)) {
@@ -618,7 +4502,7 @@ class LocationSystem {
     return fromLocation && Object.values(fromLocation.exits).includes(toId);
   }
   addLocation(locationData) {
-    const newLocation = new Location(locationData);
+    const newLocation = this.createLocation(locationData);
     this.locations.set(newLocation.id, newLocation);
     this.gameDataManager.locations.set(newLocation.id, locationData);
     this.logger.info(`New location added: ${newLocation.id}`);
@@ -627,7 +4511,7 @@ class LocationSystem {
     const location = this.getLocation(id);
     if (location) {
       Object.assign(location, updateData);
-      this.gameDataManager.locations.set(id, { ...location });
+      this.gameDataManager.locations.set(id, { ...this.gameDataManager.locations.get(id), ...updateData });
       this.logger.info(`Location updated: ${id}`);
     } else {
       this.logger.warn(`Attempted to update non-existent location: ${id}`);
@@ -647,12 +4531,13 @@ class LocationSystem {
 Location Class
 ***************************************************************************************************/
 class Location {
-  constructor({ id, name, description, exits, items, npcs, zone }) {
+  constructor({ id, name, description, exits, npcs, zone }, items = []) {
     this.id = id;
     this.name = name;
     this.description = description;
     this.exits = exits;
-    this.items = new Set(items);
+    // Rooms hold copies of items like an inventory with no limit, while the zone data lists their templates
+    this.items = new Inventory(items, Infinity);
     this.npcs = new Set(npcs);
     this.zone = zone;
     this.players = new Set();
@@ -663,11 +4548,14 @@ class Location {
   removePlayer(playerId) {
     this.players.delete(playerId);
   }
-  addItem(itemId) {
-    this.items.add(itemId);
+  addItem(item) {
+    return this.items.addItem(item);
   }
-  removeItem(itemId) {
-    this.items.delete(itemId);
+  removeItem(itemId, quantity = 1) {
+    return this.items.removeItem(itemId, quantity);
+  }
+  getItems() {
+    return this.items.getItems();
   }
   addNPC(npcId) {
     this.npcs.add(npcId);
@@ -698,13 +4586,13 @@ class WorldEventSystem {
   }
   triggerWorldEvent(eventName, eventData) {
     this.activeEvents.add(eventName);
-    this.notifyListeners(eventName, eventData);
+    this.notifyWorldEventListeners(eventName, eventData);
     // Implement event-specific logic here
     this.worldManager.broadcastToAll('worldEvent', { name: eventName, data: eventData });
   }
   endWorldEvent(eventName) {
     this.activeEvents.delete(eventName);
-    this.notifyListeners(`${eventName}End`, {});
+    this.notifyWorldEventListeners(`${eventName}End`, {});
     this.worldManager.broadcastToAll('worldEventEnd', { name: eventName });
   }
   addWorldEventListener(eventName, listener) {
@@ -738,8 +4626,12 @@ class WorldEventSystem {
 World Manager Class
 ***************************************************************************************************/
 class WorldManager {
-  constructor(gameDataManager) {
+  static OPPOSITE_DIRECTIONS = { north: 'south', south: 'north', east: 'west', west: 'east', up: 'down', down: 'up' };
+  constructor(gameDataManager, clientManager, random = new RandomSource(), clock = new SystemClock()) {
     this.gameDataManager = gameDataManager;
+    this.clientManager = clientManager;
+    this.random = random;
+    this.clock = clock;
     this.locations = new LocationSystem(gameDataManager);
     this.time = new TimeSystem();
     this.worldEventSystem = new WorldEventSystem(this);
@@ -747,7 +4639,6 @@ class WorldManager {
     this.locationCoordinateManager = new LocationCoordinateManager();
     this.movementDirections = ['north', 'east', 'west', 'south', 'up', 'down'];
     this.npcManager = new NPCManager(this, gameDataManager);
-    this.lastNPCMovementTime = Date.now();
   }
   initialize() {
     this.locations.initialize();
@@ -777,12 +4668,19 @@ class WorldManager {
     // Add entity to new location
     newLocation.addPlayer(entity.id);
     // Update entity's location
-    entity.location = newLocationId;
+    this.setEntityLocation(entity, newLocationId);
+    this.clientManager.movePlayerToRoom(entity.id, ClientManager.getLocationRoom(currentLocation.id), ClientManager.getLocationRoom(newLocation.id));
     // Prepare location info for the player
     const locationInfo = this.getLocationInfo(newLocationId);
     // Notify other players in the old and new locations
-    this.broadcastToLocation(currentLocation.id, 'playerLeft', { playerId: entity.id });
-    this.broadcastToLocation(newLocation.id, 'playerEntered', { playerId: entity.id });
+    const exclude = [entity.id];
+    const movedDirection = direction.toLowerCase();
+    this.broadcastToLocation(currentLocation.id, 'playerLeft', {
+      playerId: entity.id, playerName: entity.name, direction: movedDirection
+    }, { exclude });
+    this.broadcastToLocation(newLocation.id, 'playerEntered', {
+      playerId: entity.id, playerName: entity.name, direction: WorldManager.OPPOSITE_DIRECTIONS[movedDirection]
+    }, { exclude });
     return {
       success: true,
       message: `You move ${direction} to ${newLocation.name}.`,
@@ -791,18 +4689,22 @@ class WorldManager {
   }
   updateWorld(deltaTime) {
     this.time.update(deltaTime);
-    this.worldEventSystem.updateWorldEventSystem(this.time.currentTime);
-    // Check if it's time to move NPCs
-    const currentTime = Date.now();
-    if (currentTime - this.lastNPCMovementTime >= CONFIG.NPC_MOVEMENT_INTERVAL) {
-      this.npcManager.moveMobileNPCs();
-      this.lastNPCMovementTime = currentTime;
-    }
     // Update all entities
     for (const entity of this.entities.values()) {
       entity.update(deltaTime);
     }
   }
+  updateWorldEvents() {
+    this.worldEventSystem.updateWorldEventSystem(this.time.currentTime);
+  }
+  regenerateCharacters(deltaTime) {
+    this.getReplicatedEntities().forEach(character => {
+      if (character.aiState === 'dead') return;
+      const state = character.isInCombat() ? 'IN_COMBAT' : character.position;
+      // Regen rates are given per minute
+      character.regenerate((CONFIG.REGEN_RATES.get(state) || 0) * deltaTime / 60);
+    });
+  }
   getWorldState() {
     return {
       time: this.time.currentTime,
@@ -814,14 +4716,105 @@ class WorldManager {
       }))
     };
   }
+  endAllCombat() {
+    this.getReplicatedEntities().forEach(entity => {
+      if (entity.isInCombat()) {
+        entity.endCombat();
+      }
+    });
+  }
+  createSnapshot() {
+    return {
+      savedAt: new Date(this.clock.now()).toISOString(),
+      time: this.time.currentTime,
+      locations: Object.fromEntries(Array.from(this.locations.locations.values()).map(location => [
+        location.id, { items: location.items.serialize() }
+      ])),
+      npcs: Object.fromEntries(Array.from(this.gameDataManager.npcs.values()).map(npc => [
+        npc.id, { currentLocation: npc.currentLocation, aiState: npc.aiState }
+      ]))
+    };
+  }
+  restoreSnapshot({ time, locations = {}, npcs = {} }) {
+    if (typeof time === 'number') {
+      this.time.currentTime = time;
+    }
+    Object.entries(locations).forEach(([locationId, { items = [] }]) => {
+      const location = this.locations.getLocation(locationId);
+      if (location) {
+        const restored = items.map(itemData => this.gameDataManager.restoreItem(itemData, `Location ${locationId}`)).filter(Boolean);
+        location.items = new Inventory(restored, Infinity);
+      }
+    });
+    Object.entries(npcs).forEach(([npcId, { currentLocation, aiState }]) => {
+      const npc = this.gameDataManager.getNPC(npcId);
+      const location = this.locations.getLocation(currentLocation);
+      if (!npc) return;
+      if (location) {
+        const previousLocation = this.locations.getLocation(npc.currentLocation);
+        if (previousLocation) {
+          previousLocation.removeNPC(npc.id);
+        }
+        location.addNPC(npc.id);
+        npc.currentLocation = location.id;
+      }
+      if (aiState) {
+        npc.aiState = aiState;
+      }
+    });
+  }
+  getReplicatedEntities() {
+    return [...this.entities.values(), ...this.gameDataManager.npcs.values()];
+  }
+  getInterestSet(locationId) {
+    const interest = new Set();
+    if (!this.locations.getLocation(locationId)) return interest;
+    interest.add(locationId);
+    this.getConnectedLocations(locationId).forEach(({ location }) => {
+      if (location) {
+        interest.add(location.id);
+      }
+    });
+    return interest;
+  }
   addEntity(entity) {
     this.entities.set(entity.id, entity);
   }
   removeEntity(entityId) {
+    const entity = this.entities.get(entityId);
+    if (!entity) return;
+    const location = this.locations.getLocation(entity.location);
+    if (location) {
+      location.removePlayer(entity.id);
+      this.clientManager.movePlayerToRoom(entity.id, ClientManager.getLocationRoom(location.id), null);
+    }
     this.entities.delete(entityId);
   }
-  broadcastToAll(eventName, data) {
-    // Implement method to broadcast to all connected clients
+  setEntityLocation(entity, locationId) {
+    entity.location = locationId;
+    entity.coordinates = this.locationCoordinateManager.getCoordinates(locationId);
+    entity.markDirty('location', 'coordinates');
+  }
+  placeEntity(entity, locationId) {
+    const location = this.locations.getLocation(locationId);
+    if (!location) {
+      return { success: false, message: `Location ${locationId} not found.` };
+    }
+    const previousLocation = this.locations.getLocation(entity.location);
+    if (previousLocation) {
+      previousLocation.removePlayer(entity.id);
+    }
+    location.addPlayer(entity.id);
+    this.setEntityLocation(entity, location.id);
+    this.clientManager.movePlayerToRoom(
+      entity.id,
+      previousLocation ? ClientManager.getLocationRoom(previousLocation.id) : null,
+      ClientManager.getLocationRoom(location.id)
+    );
+    return { success: true, locationInfo: this.getLocationInfo(location.id) };
+  }
+  broadcastToAll(eventName, data, options) {
+    this.clientManager.broadcastToAll(eventName, data, options);
   }
   getLocationInfo(locationId) {
     const location = this.locations.getLocation(locationId);
@@ -833,17 +4826,17 @@ class WorldManager {
       name: location.name,
       description: location.description,
       exits: Object.keys(location.exits),
-      items: Array.from(location.items),
+      items: location.getItems().map(item => ({ id: item.id, name: item.getDisplayName() })),
       npcs: Array.from(location.npcs),
       players: Array.from(location.players),
       coordinates: this.locationCoordinateManager.getCoordinates(locationId)
     };
   }
   broadcastToPlayer(playerId, eventName, data) {
-    // Implement method to send data to a specific player
+    this.clientManager.sendToPlayer(playerId, eventName, data);
   }
-  broadcastToLocation(locationId, eventName, data) {
-    // Implement method to broadcast to all players in a specific location
+  broadcastToLocation(locationId, eventName, data, options) {
+    this.clientManager.broadcastToRoom(ClientManager.getLocationRoom(locationId), eventName, data, options);
   }
   getConnectedLocations(locationId) {
     const location = this.locations.getLocation(locationId);
@@ -877,15 +4870,42 @@ class TimeSystem {
 Entity Class
 ***************************************************************************************************/
 class Entity {
+  static REPLICATION_KIND = 'entity';
+  static REPLICATED_FIELDS = ['name', 'location'];
   constructor(id, name, description) {
     this.id = id;
     this.name = name;
     this.description = description;
     this.location = null;
+    this.coordinates = null;
+    this.dirtyFields = new Set();
   }
   update(deltaTime) {
     // Update entity state
   }
+  getLocationId() {
+    return this.location;
+  }
+  markDirty(...fields) {
+    fields.forEach(field => this.dirtyFields.add(field));
+  }
+  isDirty() {
+    return this.dirtyFields.size > 0;
+  }
+  clearDirty() {
+    this.dirtyFields.clear();
+  }
+  getReplicatedState(fields = this.constructor.REPLICATED_FIELDS) {
+    const state = { id: this.id, kind: this.constructor.REPLICATION_KIND };
+    fields.forEach(field => {
+      state[field] = this[field];
+    });
+    return state;
+  }
+  getDirtyState() {
+    const fields = this.constructor.REPLICATED_FIELDS.filter(field => this.dirtyFields.has(field));
+    return this.getReplicatedState(fields);
+  }
 }
 /**************************************************************************************************
 Character Class
@@ -893,7 +4913,22 @@ Character Class
 class Character extends Entity {
   constructor(id, name, description) {
     super(id, name, description);
-    this.inventory = new Inventory();
+    this.inventory = new Inventory([], CONFIG.INVENTORY_CAPACITY, id);
+    this.health = CONFIG.INITIAL_HEALTH;
+    this.maxHealth = CONFIG.INITIAL_HEALTH;
+    this.position = 'STANDING';
+    this.combatTarget = null;
+  }
+  isInCombat() {
+    return this.combatTarget !== null;
+  }
+  endCombat() {
+    this.combatTarget = null;
+  }
+  regenerate(fraction) {
+    if (this.health >= this.maxHealth) return;
+    this.health = Math.min(this.maxHealth, this.health + this.maxHealth * fraction);
+    this.markDirty('health');
   }
   takeDamage(amount) {
     // Handle taking damage
@@ -906,38 +4941,144 @@ class Character extends Entity {
 Player Class
 ***************************************************************************************************/
 class Player extends Character {
+  static REPLICATION_KIND = 'player';
+  // Everything past name and location only reaches the player themselves, through the replication filter
+  static REPLICATED_FIELDS = ['name', 'location', 'coordinates', 'health', 'maxHealth', 'level', 'experience'];
   constructor(id, name, description) {
     super(id, name, description);
     this.quests = new QuestLog();
+    this.accountId = null;
+    // Comes from the account when the character enters the world, so it is never saved with the character
+    this.role = Roles.PLAYER;
+    this.sex = null;
+    this.age = null;
+    this.title = '';
+    this.reputation = null;
+    this.profession = '';
+    this.currency = 0;
+    this.level = 1;
+    this.experience = 0;
+    // Set while the character is in the world, so changes worth keeping through a crash are journaled
+    this.journal = null;
+    this.unsaved = false;
+  }
+  static fromData(data, gameDataManager) {
+    const player = new Player(data.id, data.name, data.description);
+    ['sex', 'age', 'title', 'reputation', 'profession', 'currency', 'level', 'experience'].forEach(field => {
+      if (data[field] !== undefined) {
+        player[field] = data[field];
+      }
+    });
+    player.accountId = data.accountId || null;
+    player.location = data.location || null;
+    (data.inventory || []).forEach(itemData => {
+      const item = gameDataManager.restoreItem(itemData, player.name);
+      if (item) {
+        player.inventory.addItem(item);
+      }
+    });
+    const { active = [], completed = [] } = data.quests || {};
+    active.forEach(questId => player.quests.activeQuests.add(questId));
+    completed.forEach(questId => player.quests.completedQuests.add(questId));
+    return player;
+  }
+  markDirty(...fields) {
+    super.markDirty(...fields);
+    this.markUnsaved();
+  }
+  markUnsaved() {
+    this.unsaved = true;
+  }
+  recordChange(type, details) {
+    this.markUnsaved();
+    if (this.journal) {
+      this.journal.record(this, type, details);
+    }
+  }
+  adjustCurrency(amount, reason) {
+    if (this.currency + amount < 0) return false;
+    this.currency += amount;
+    this.recordChange(StateJournal.ENTRY_TYPES.CURRENCY, { amount, reason });
+    return true;
   }
   gainExperience(amount) {
-    // Handle gaining experience
+    this.experience += amount;
+    this.markDirty('experience');
+    const level = 1 + Math.floor(this.experience / CONFIG.LEVEL_UP_XP);
+    if (level <= this.level) return 0;
+    const levelsGained = level - this.level;
+    this.level = level;
+    this.markDirty('level');
+    this.recordChange(StateJournal.ENTRY_TYPES.LEVEL_UP, { level, levelsGained });
+    return levelsGained;
   }
   move(direction, worldManager) {
     return worldManager.moveEntity(this, direction);
   }
+  getJournalState() {
+    const { inventory, currency, level, experience } = this.serialize();
+    return { inventory, currency, level, experience };
+  }
+  serialize() {
+    return {
+      id: this.id,
+      accountId: this.accountId,
+      name: this.name,
+      description: this.description,
+      sex: this.sex,
+      age: this.age,
+      title: this.title,
+      reputation: this.reputation,
+      profession: this.profession,
+      currency: this.currency,
+      level: this.level,
+      experience: this.experience,
+      location: this.location,
+      inventory: this.inventory.serialize(),
+      quests: {
+        active: Array.from(this.quests.activeQuests),
+        completed: Array.from(this.quests.completedQuests)
+      }
+    };
+  }
 }
 /**************************************************************************************************
 NPC Class
 ***************************************************************************************************/
 class NPC extends Character {
+  static REPLICATION_KIND = 'npc';
+  static REPLICATED_FIELDS = ['name', 'currentLocation', 'aiState'];
   constructor(id, name, description, type, dialogueTree, inventory, questId = null, zones = []) {
     super(id, name, description);
     this.type = type;
     this.dialogueTree = new DialogueTree(dialogueTree);
-    this.inventory = new Inventory(inventory);
+    this.inventory = new Inventory(inventory, CONFIG.INVENTORY_CAPACITY, id);
     this.questId = questId;
     this.zones = zones;
+    this.aliases = [];
     this.currentLocation = null;
     this.respawnTime = 0;
-    this.lastInteractionTime = 0;
+    this.timeSinceInteraction = 0;
     this.currentDialogueNode = 'greeting';
     this.aiState = 'idle';
     this.movementPattern = null;
     this.combatAbilities = [];
   }
+  getLocationId() {
+    return this.currentLocation;
+  }
+  isInCombat() {
+    return this.aiState === 'combat' || super.isInCombat();
+  }
+  endCombat() {
+    super.endCombat();
+    if (this.aiState === 'combat') {
+      this.aiState = 'idle';
+      this.markDirty('aiState');
+    }
+  }
   interact(player) {
-    this.lastInteractionTime = Date.now();
+    this.timeSinceInteraction = 0;
     const dialogue = this.dialogueTree.getNode(this.currentDialogueNode);
     return {
       message: dialogue.message,
@@ -961,7 +5102,8 @@ class NPC extends Character {
       this.updateCombat(deltaTime, worldManager);
     }
     // Reset dialogue if no interaction for a while
-    if (Date.now() - this.lastInteractionTime > 300000) { // 5 minutes
+    this.timeSinceInteraction += deltaTime;
+    if (this.timeSinceInteraction > 300) { // 5 minutes
       this.currentDialogueNode = 'greeting';
     }
   }
@@ -983,6 +5125,7 @@ class NPC extends Character {
   }
   die() {
     this.aiState = 'dead';
+    this.markDirty('aiState');
     // Drop loot, if any
     // Set respawn timer
   }
@@ -990,6 +5133,7 @@ class NPC extends Character {
     this.health = this.maxHealth;
     this.aiState = 'idle';
     this.location = location;
+    this.markDirty('aiState');
   }
   startQuest(player) {
     if (this.questId && player.quests) {
@@ -1005,23 +5149,50 @@ class NPC extends Character {
   }
   trade(player, itemId, quantity, isBuying) {
     if (this.type !== 'merchant') return false;
-    const item = isBuying ? this.inventory.getItem(itemId) : player.inventory.getItem(itemId);
-    if (!item) return false;
-    const totalPrice = item.price * quantity;
-    if (isBuying) {
-      if (player.currency < totalPrice) return false;
-      if (!this.inventory.removeItem(itemId, quantity)) return false;
-      player.currency -= totalPrice;
-      player.inventory.addItem(item, quantity);
-    } else {
-      if (!player.inventory.removeItem(itemId, quantity)) return false;
-      player.currency += totalPrice;
-      this.inventory.addItem(item, quantity);
-    }
+    const seller = isBuying ? this : player;
+    const buyer = isBuying ? player : this;
+    // Goods are asked for by the copy's id or, from the merchant's stock, by the template's
+    const item = seller.inventory.getItem(itemId) || (isBuying ? seller.inventory.findByTemplate(itemId) : null);
+    if (!item || item.quantity < quantity || !buyer.inventory.hasRoomFor(item)) return false;
+    const totalPrice = (item.template.price || 0) * quantity;
+    if (isBuying && player.currency < totalPrice) return false;
+    const traded = seller.inventory.removeItem(item.id, quantity);
+    buyer.inventory.addItem(traded);
+    player.currency += isBuying ? -totalPrice : totalPrice;
+    // One entry covers both the goods and the money, since it records the player's resulting state
+    player.recordChange(StateJournal.ENTRY_TYPES.ITEM_TRANSFER, {
+      itemId: traded.id, templateId: traded.templateId, quantity, price: totalPrice, from: seller.id, to: buyer.id
+    });
     return true;
   }
 }
 /**************************************************************************************************
+Dialogue Tree Class
+***************************************************************************************************/
+class DialogueTree {
+  constructor(treeData = {}) {
+    this.nodes = new Map();
+    const { options: rootOptions = [], ...nodeData } = treeData || {};
+    for (const [name, node] of Object.entries(nodeData)) {
+      if (typeof node === 'string') {
+        this.nodes.set(name, { message: node, options: [] });
+      } else if (node && typeof node === 'object') {
+        this.nodes.set(name, { message: node.message || '', options: this.normalizeOptions(node.options) });
+      }
+    }
+    // Zone files list the greeting's options at the top level of the tree
+    if (this.nodes.has('greeting') && rootOptions.length > 0) {
+      this.nodes.get('greeting').options = this.normalizeOptions(rootOptions);
+    }
+  }
+  normalizeOptions(options = []) {
+    return options.map((option, index) => ({ id: option.id ?? String(index + 1), ...option }));
+  }
+  getNode(name) {
+    return this.nodes.get(name) || { message: '', options: [] };
+  }
+}
+/**************************************************************************************************
 Merchant Class
 ***************************************************************************************************/
 class Merchant extends NPC {
@@ -1044,7 +5215,7 @@ class NPCManager {
   }
   moveMobileNPCs() {
     for (const [npcId, npc] of this.mobileNPCs) {
-      if (Math.random() < 0.33) { // 33% chance to move
+      if (this.worldManager.random.chance(0.33)) { // 33% chance to move
         this.moveNPC(npc);
       }
     }
@@ -1062,38 +5233,98 @@ class NPCManager {
     // If no valid locations after filtering, don't move
     if (validLocations.length === 0) return;
     // Choose a random valid location
-    const chosenLocation = validLocations[Math.floor(Math.random() * validLocations.length)];
+    const chosenLocation = this.worldManager.random.pick(validLocations);
     // Move the NPC
     const oldLocation = this.worldManager.locations.getLocation(npc.currentLocation);
     const newLocation = chosenLocation.location;
     oldLocation.removeNPC(npc.id);
     newLocation.addNPC(npc.id);
     npc.currentLocation = newLocation.id;
+    npc.markDirty('currentLocation');
     // Notify players in both locations
-    this.worldManager.broadcastToLocation(oldLocation.id, 'npcLeft', { npcId: npc.id, npcName: npc.name });
-    this.worldManager.broadcastToLocation(newLocation.id, 'npcEntered', { npcId: npc.id, npcName: npc.name });
+    this.worldManager.broadcastToLocation(oldLocation.id, 'npcLeft', {
+      npcId: npc.id, npcName: npc.name, direction: chosenLocation.direction
+    });
+    this.worldManager.broadcastToLocation(newLocation.id, 'npcEntered', {
+      npcId: npc.id, npcName: npc.name, direction: WorldManager.OPPOSITE_DIRECTIONS[chosenLocation.direction]
+    });
     console.log(`NPC ${npc.name} moved from ${oldLocation.name} to ${newLocation.name}`);
   }
 }
 /**************************************************************************************************
 Item Class
+One copy of an item template from the zone files, such as a particular Health Potion. Each copy has
+an id of its own and keeps its own stack count, durability, custom name and owner, and reads
+everything else from its template, so two players holding a potion never share one object.
 ***************************************************************************************************/
 class Item extends Entity {
-  constructor(id, name, description, type) {
-    super(id, name, description);
-    this.type = type;
+  constructor(template, state = {}, random = new RandomSource()) {
+    // New ids come from the server's random source, so a seeded simulation hands out the same ones every run
+    const { id = random.uuid(), quantity = 1, durability = template.durability ?? null, customName = null, owner = null } = state;
+    super(id, template.name, template.description);
+    this.random = random;
+    this.template = template;
+    this.templateId = template.id;
+    this.type = template.type;
+    this.quantity = quantity;
+    this.durability = durability;
+    this.customName = customName;
+    this.owner = owner;
+  }
+  static create(template, state, random) {
+    switch (template.type) {
+      case 'weapon':
+        return new Weapon(template, state, random);
+      case 'consumable':
+        return new Consumable(template, state, random);
+      default:
+        return new Item(template, state, random);
+    }
+  }
+  static fromData(data, gameDataManager) {
+    const template = gameDataManager.getItem(data.templateId);
+    if (!template) return null;
+    const { id, quantity, durability, customName, owner } = data;
+    return Item.create(template, { id, quantity, durability, customName, owner }, gameDataManager.random);
+  }
+  isStackable() {
+    // Consumables stack unless their template says otherwise, and anything else only if it says so
+    return this.template.stackable ?? this.type === 'consumable';
+  }
+  canStackWith(other) {
+    return this.isStackable() && other.templateId === this.templateId && other.durability === this.durability &&
+      !this.customName && !other.customName;
+  }
+  getDisplayName() {
+    const name = this.customName || this.name;
+    return this.quantity > 1 ? `${name} (${this.quantity})` : name;
+  }
+  split(quantity) {
+    // A new copy with its own id takes part of the stack
+    this.quantity -= quantity;
+    return Item.create(this.template, { quantity, durability: this.durability, customName: this.customName, owner: this.owner }, this.random);
   }
   use(character) {
     // Use the item
   }
+  serialize() {
+    return {
+      id: this.id,
+      templateId: this.templateId,
+      quantity: this.quantity,
+      durability: this.durability,
+      customName: this.customName,
+      owner: this.owner
+    };
+  }
 }
 /**************************************************************************************************
 Weapon Class
 ***************************************************************************************************/
 class Weapon extends Item {
-  constructor(id, name, description, damage) {
-    super(id, name, description, 'weapon');
-    this.damage = damage;
+  constructor(template, state, random) {
+    super(template, state, random);
+    this.damage = template.damage;
   }
   attack(attacker, target) {
     // Perform attack
@@ -1103,15 +5334,80 @@ class Weapon extends Item {
 Consumable Class
 ***************************************************************************************************/
 class Consumable extends Item {
-  constructor(id, name, description, effect) {
-    super(id, name, description, 'consumable');
-    this.effect = effect;
+  constructor(template, state, random) {
+    super(template, state, random);
+    this.effect = template.effect;
   }
   consume(character) {
     // Apply consumable effect
   }
 }
 /**************************************************************************************************
+Inventory Class
+Holds item copies by their own ids. Copies that can stack with one already held are merged into it,
+and each stack takes one slot of the capacity.
+***************************************************************************************************/
+class Inventory {
+  constructor(items = [], capacity = CONFIG.INVENTORY_CAPACITY, ownerId = null) {
+    this.items = new Map();
+    this.capacity = capacity;
+    this.ownerId = ownerId;
+    (items || []).forEach(item => this.addItem(item));
+  }
+  findStack(item) {
+    // Copies belonging to different characters, such as two dropped on the same floor, stay apart
+    const owner = this.ownerId || item.owner;
+    return this.getItems().find(held => held.owner === owner && held.canStackWith(item)) || null;
+  }
+  hasRoomFor(item) {
+    return this.items.size < this.capacity || Boolean(this.findStack(item));
+  }
+  addItem(item) {
+    const previousOwner = item.owner;
+    if (this.ownerId) {
+      item.owner = this.ownerId;
+    }
+    const stack = this.findStack(item);
+    if (stack) {
+      stack.quantity += item.quantity;
+      return true;
+    }
+    if (this.items.size >= this.capacity) {
+      item.owner = previousOwner;
+      return false;
+    }
+    this.items.set(item.id, item);
+    return true;
+  }
+  removeItem(itemId, quantity = 1) {
+    const item = this.items.get(itemId);
+    if (!item || item.quantity < quantity) return null;
+    if (item.quantity > quantity) {
+      return item.split(quantity);
+    }
+    this.items.delete(itemId);
+    return item;
+  }
+  getItem(itemId) {
+    return this.items.get(itemId) || null;
+  }
+  findByTemplate(templateId) {
+    return this.getItems().find(item => item.templateId === templateId) || null;
+  }
+  countTemplate(templateId) {
+    return this.getItems().filter(item => item.templateId === templateId).reduce((total, item) => total + item.quantity, 0);
+  }
+  hasItem(templateId, quantity = 1) {
+    return this.countTemplate(templateId) >= quantity;
+  }
+  getItems() {
+    return Array.from(this.items.values());
+  }
+  serialize() {
+    return this.getItems().map(item => item.serialize());
+  }
+}
+/**************************************************************************************************
 Skill System Class
 ***************************************************************************************************/
 class SkillSystem {
@@ -1181,6 +5477,31 @@ class Quest {
   }
 }
 /**************************************************************************************************
+Quest Log Class
+***************************************************************************************************/
+class QuestLog {
+  constructor() {
+    this.activeQuests = new Set();
+    this.completedQuests = new Set();
+  }
+  startQuest(questId) {
+    if (this.activeQuests.has(questId) || this.completedQuests.has(questId)) return false;
+    this.activeQuests.add(questId);
+    return true;
+  }
+  completeQuest(questId) {
+    if (!this.activeQuests.delete(questId)) return false;
+    this.completedQuests.add(questId);
+    return true;
+  }
+  isActive(questId) {
+    return this.activeQuests.has(questId);
+  }
+  isCompleted(questId) {
+    return this.completedQuests.has(questId);
+  }
+}
+/**************************************************************************************************
 Economic System Class
 ***************************************************************************************************/
 class EconomicSystem {
@@ -1267,27 +5588,91 @@ class CommandParser {
     this.commands = new Map();
   }
   registerCommand(command) {
-    // Register a new command
+    this.commands.set(command.name, command);
+    command.aliases.forEach(alias => this.commands.set(alias, command));
   }
   parse(input) {
-    // Parse user input into command and arguments
+    const words = this.sanitizeInput(input).split(' ').filter(Boolean);
+    if (words.length === 0) return null;
+    const [name, ...args] = words;
+    return { name, command: this.commands.get(name.toLowerCase()) || null, args };
   }
   sanitizeInput(input) {
-    // Sanitize user input
+    return String(input ?? '')
+      .replace(/[\u0000-\u001F\u007F]/g, ' ')
+      .replace(/[<>]/g, '')
+      .trim();
+  }
+  getCommandNames(player = null) {
+    const commands = Array.from(this.commands.values()).filter(command => command.canExecute(player));
+    return Array.from(new Set(commands.map(command => command.name))).sort();
   }
 }
 /**************************************************************************************************
 Command Class
 ***************************************************************************************************/
 class Command {
-  constructor(name, handler, minArgs, maxArgs) {
+  // Players without the role for a command are answered as if it did not exist
+  static UNKNOWN_COMMAND_MESSAGE = 'Huh? Type "help" to see the list of commands.';
+  constructor(name, handler, minArgs = 0, maxArgs = Infinity, {
+    aliases = [], usage = name, minRole = Roles.PLAYER, rateLimitClass = 'general'
+  } = {}) {
     this.name = name;
     this.handler = handler;
     this.minArgs = minArgs;
     this.maxArgs = maxArgs;
+    this.aliases = aliases;
+    this.usage = usage;
+    this.minRole = minRole;
+    this.rateLimitClass = rateLimitClass;
+  }
+  canExecute(player) {
+    return Roles.isAtLeast(player ? player.role : Roles.PLAYER, this.minRole);
+  }
+  async execute(player, args) {
+    if (!this.canExecute(player)) {
+      return { success: false, message: Command.UNKNOWN_COMMAND_MESSAGE };
+    }
+    if (args.length < this.minArgs || args.length > this.maxArgs) {
+      return { success: false, message: `Usage: ${this.usage}` };
+    }
+    return await this.handler(player, args);
   }
-  execute(player, args) {
-    // Execute the command
+}
+/**************************************************************************************************
+Roles Class
+Staff roles from least to most trusted, each one holding every power of the roles below it
+***************************************************************************************************/
+class Roles {
+  static PLAYER = 'player';
+  static BUILDER = 'builder';
+  static GAME_MASTER = 'gameMaster';
+  static ADMINISTRATOR = 'administrator';
+  static IMPLEMENTOR = 'implementor';
+  static ORDER = [Roles.PLAYER, Roles.BUILDER, Roles.GAME_MASTER, Roles.ADMINISTRATOR, Roles.IMPLEMENTOR];
+  static LABELS = {
+    player: 'Player',
+    builder: 'Builder',
+    gameMaster: 'Game Master',
+    administrator: 'Administrator',
+    implementor: 'Implementor'
+  };
+  static ALIASES = { gm: 'gameMaster', admin: 'administrator', imp: 'implementor' };
+  static rank(role) {
+    return Math.max(Roles.ORDER.indexOf(role), 0);
+  }
+  static isAtLeast(role, minRole) {
+    return Roles.rank(role) >= Roles.rank(minRole);
+  }
+  static normalize(role) {
+    return Roles.ORDER.includes(role) ? role : Roles.PLAYER;
+  }
+  static find(input) {
+    const key = String(input ?? '').toLowerCase().replace(/[\s_-]/g, '');
+    return Roles.ORDER.find(role => role.toLowerCase() === key) || Roles.ALIASES[key] || null;
+  }
+  static getLabel(role) {
+    return Roles.LABELS[Roles.normalize(role)];
   }
 }
 /**************************************************************************************************
@@ -1336,23 +5721,313 @@ class ScriptEngine {
 Admin Tools Class
 ***************************************************************************************************/
 class AdminTools {
+  static SYSTEM_ACTOR = { name: 'system', accountId: null, role: Roles.IMPLEMENTOR };
   constructor(server) {
     this.server = server;
+    this.logger = new LogSystem();
+  }
+  async outranks(adminPlayer, target) {
+    // Targets may be characters in the world or saved records, so go by the role their account has now
+    const account = await this.server.databaseManager.getAccount(target.accountId);
+    return Roles.rank(this.server.accountManager.getRole(account)) < Roles.rank(adminPlayer.role);
+  }
+  getCharactersOf(accountId) {
+    return this.server.clientManager.getPlayers().filter(character => character.accountId === accountId);
+  }
+  async kickPlayer(adminPlayer, targetPlayer, reason = '') {
+    if (!(await this.outranks(adminPlayer, targetPlayer))) {
+      return { success: false, message: `You cannot kick ${targetPlayer.name}.` };
+    }
+    // Ending the account's sessions keeps the client from reconnecting straight back into the world
+    await this.server.revokeAccountSessions(targetPlayer.accountId, {
+      reason: reason ? `You have been kicked from the game: ${reason}` : 'You have been kicked from the game.'
+    });
+    await this.server.sanctionManager.audit(adminPlayer, 'kick', targetPlayer.name, reason);
+    return { success: true, message: `${targetPlayer.name} has been kicked.` };
+  }
+  async imposeSanction(adminPlayer, type, targetPlayer, reason, duration) {
+    if (!(await this.outranks(adminPlayer, targetPlayer))) return null;
+    return await this.server.sanctionManager.impose({
+      type, accountId: targetPlayer.accountId, target: targetPlayer.name, reason, duration, issuedBy: adminPlayer
+    });
+  }
+  async liftSanction(adminPlayer, type, targetPlayer, reason) {
+    const sanction = await this.server.sanctionManager.lift(type, { accountId: targetPlayer.accountId }, adminPlayer, reason);
+    if (sanction) {
+      this.handleSanctionLifted(sanction);
+    }
+    return sanction;
+  }
+  async banPlayer(adminPlayer, targetPlayer, reason = '', duration = null) {
+    const sanction = await this.imposeSanction(adminPlayer, SanctionManager.TYPES.BAN, targetPlayer, reason, duration);
+    if (!sanction) {
+      return { success: false, message: `You cannot ban ${targetPlayer.name}.` };
+    }
+    await this.server.revokeAccountSessions(targetPlayer.accountId, { reason: SanctionManager.describe(sanction) });
+    return { success: true, message: `${targetPlayer.name}'s account has been banned ${SanctionManager.formatDuration(duration)}.` };
+  }
+  async unbanPlayer(adminPlayer, targetPlayer, reason = '') {
+    if (!(await this.liftSanction(adminPlayer, SanctionManager.TYPES.BAN, targetPlayer, reason))) {
+      return { success: false, message: `${targetPlayer.name}'s account is not banned.` };
+    }
+    return { success: true, message: `${targetPlayer.name}'s account is no longer banned.` };
+  }
+  async banAddress(adminPlayer, address, reason = '', duration = null) {
+    const { server } = this;
+    const sanction = await server.sanctionManager.impose({
+      type: SanctionManager.TYPES.ADDRESS_BAN, address, target: SanctionManager.normalizeAddress(address), reason, duration, issuedBy: adminPlayer
+    });
+    // Everyone already connected from there goes too, apart from staff who outrank whoever gave the ban
+    const message = SanctionManager.describe(sanction);
+    const clients = server.clientManager.getClients().filter(client => SanctionManager.matchesAddress(sanction.address, client.socket.handshake.address));
+    for (const client of clients) {
+      if (!client.accountId) {
+        server.clientManager.sendToClient(client.socket, 'sessionExpired', { message });
+        server.clientManager.removeClient(client.socket);
+        client.socket.disconnect();
+      } else if (await this.outranks(adminPlayer, { accountId: client.accountId })) {
+        await server.revokeAccountSessions(client.accountId, { reason: message });
+      }
+    }
+    return { success: true, message: `Connections from ${sanction.address} have been banned ${SanctionManager.formatDuration(duration)}.` };
+  }
+  async unbanAddress(adminPlayer, address, reason = '') {
+    const sanction = await this.server.sanctionManager.lift(SanctionManager.TYPES.ADDRESS_BAN, { address }, adminPlayer, reason);
+    if (!sanction) {
+      return { success: false, message: `${SanctionManager.normalizeAddress(address)} is not banned.` };
+    }
+    return { success: true, message: `Connections from ${sanction.address} are allowed again.` };
+  }
+  async mutePlayer(adminPlayer, targetPlayer, reason = '', duration = null) {
+    const sanction = await this.imposeSanction(adminPlayer, SanctionManager.TYPES.MUTE, targetPlayer, reason, duration);
+    if (!sanction) {
+      return { success: false, message: `You cannot mute ${targetPlayer.name}.` };
+    }
+    this.getCharactersOf(targetPlayer.accountId).forEach(character => {
+      this.server.sendDisplayMessage(character, SanctionManager.describe(sanction), 'error');
+    });
+    return { success: true, message: `${targetPlayer.name} has been muted ${SanctionManager.formatDuration(duration)}.` };
+  }
+  async unmutePlayer(adminPlayer, targetPlayer, reason = '') {
+    if (!(await this.liftSanction(adminPlayer, SanctionManager.TYPES.MUTE, targetPlayer, reason))) {
+      return { success: false, message: `${targetPlayer.name} is not muted.` };
+    }
+    return { success: true, message: `${targetPlayer.name} is no longer muted.` };
   }
-  kickPlayer(adminPlayer, targetPlayer) {
-    // Kick a player from the server
+  async jailPlayer(adminPlayer, targetPlayer, reason = '', duration = null) {
+    const jailLocation = this.server.configSystem.get('JAIL_LOCATION');
+    if (!this.server.worldManager.locations.getLocation(jailLocation)) {
+      return { success: false, message: `The jail, location ${jailLocation}, does not exist.` };
+    }
+    const sanction = await this.imposeSanction(adminPlayer, SanctionManager.TYPES.JAIL, targetPlayer, reason, duration);
+    if (!sanction) {
+      return { success: false, message: `You cannot jail ${targetPlayer.name}.` };
+    }
+    // Characters of the account that are away are taken to the jail when they next enter the world
+    this.getCharactersOf(targetPlayer.accountId).forEach(character => {
+      this.teleportPlayer(adminPlayer, character, jailLocation);
+      this.server.sendDisplayMessage(character, `${SanctionManager.describe(sanction)}<br>${this.server.describeLocation(character.location, character)}`, 'error');
+    });
+    return { success: true, message: `${targetPlayer.name} has been jailed ${SanctionManager.formatDuration(duration)}.` };
   }
-  banPlayer(adminPlayer, targetPlayer, reason, duration) {
-    // Ban a player from the server
+  async releasePlayer(adminPlayer, targetPlayer, reason = '') {
+    if (!(await this.liftSanction(adminPlayer, SanctionManager.TYPES.JAIL, targetPlayer, reason))) {
+      return { success: false, message: `${targetPlayer.name} is not in jail.` };
+    }
+    return { success: true, message: `${targetPlayer.name} has been released from jail.` };
+  }
+  handleSanctionLifted(sanction) {
+    // Bans need nothing more since the next login simply succeeds
+    const { server } = this;
+    const characters = sanction.accountId ? this.getCharactersOf(sanction.accountId) : [];
+    if (sanction.type === SanctionManager.TYPES.MUTE) {
+      characters.forEach(character => server.sendDisplayMessage(character, 'You are no longer muted.'));
+    } else if (sanction.type === SanctionManager.TYPES.JAIL) {
+      const jailLocation = server.configSystem.get('JAIL_LOCATION');
+      characters.filter(character => character.location === jailLocation).forEach(character => {
+        this.teleportPlayer(AdminTools.SYSTEM_ACTOR, character, server.configSystem.get('STARTING_LOCATION'));
+        server.sendDisplayMessage(character, `You have been released from jail.<br>${server.describeLocation(character.location, character)}`);
+      });
+    }
   }
   teleportPlayer(adminPlayer, targetPlayer, locationId) {
-    // Teleport a player to a specific location
+    const { worldManager } = this.server;
+    const location = worldManager.locations.getLocation(locationId);
+    if (!location) {
+      return { success: false, message: `There is no location ${locationId}.` };
+    }
+    const previousLocationId = targetPlayer.location;
+    if (previousLocationId === location.id) {
+      return { success: false, message: `${targetPlayer.id === adminPlayer.id ? 'You are' : `${targetPlayer.name} is`} already there.` };
+    }
+    const result = worldManager.placeEntity(targetPlayer, location.id);
+    if (!result.success) return result;
+    if (previousLocationId) {
+      worldManager.broadcastToLocation(previousLocationId, 'playerLeft', {
+        playerId: targetPlayer.id, playerName: targetPlayer.name, direction: null
+      });
+    }
+    worldManager.broadcastToLocation(location.id, 'playerEntered', {
+      playerId: targetPlayer.id, playerName: targetPlayer.name, direction: null
+    }, { exclude: [targetPlayer.id] });
+    this.logger.info(`${adminPlayer.name} moved ${targetPlayer.name} from ${previousLocationId} to ${location.id}`);
+    return { success: true, location };
   }
   giveItem(adminPlayer, targetPlayer, itemId, quantity) {
     // Give an item to a player
   }
   editWorldObject(adminPlayer, objectId, properties) {
-    // Edit properties of a world object
+    const { locations } = this.server.worldManager;
+    if (!locations.getLocation(objectId)) {
+      return { success: false, message: `There is no location ${objectId}.` };
+    }
+    locations.updateLocation(objectId, properties);
+    this.logger.info(`${adminPlayer.name} changed the ${Object.keys(properties).join(', ')} of location ${objectId}`);
+    return { success: true };
+  }
+}
+/**************************************************************************************************
+Sanction Manager Class
+Bans, mutes and jail terms are stored with the player data so they survive a restart, and lapse by
+themselves once their time is up. Every staff action against a player is written to the audit log.
+***************************************************************************************************/
+class SanctionManager {
+  static TYPES = { BAN: 'ban', ADDRESS_BAN: 'addressBan', MUTE: 'mute', JAIL: 'jail' };
+  static NOTICES = {
+    ban: 'This account is banned',
+    addressBan: 'Connections from your address are banned',
+    mute: 'You are muted',
+    jail: 'You are jailed'
+  };
+  static PERMANENT_DURATIONS = ['perm', 'permanent', 'forever'];
+  static DURATION_UNITS = [['week', 'w', 604800000], ['day', 'd', 86400000], ['hour', 'h', 3600000], ['minute', 'm', 60000]];
+  constructor(database, clock = new SystemClock()) {
+    this.database = database;
+    this.clock = clock;
+    // Only sanctions still in force are kept, so the checks made on every line of chat need no disk access
+    this.sanctions = [];
+    this.logger = new LogSystem();
+  }
+  async initialize() {
+    this.sanctions = await this.database.getSanctions(sanction => !sanction.liftedAt);
+    this.logger.info(`Loaded ${this.sanctions.length} sanction(s) in force`);
+  }
+  static parseDuration(text) {
+    // Returns the length in milliseconds, null for a permanent sanction, or undefined if it makes no sense
+    const value = String(text ?? '').trim().toLowerCase();
+    if (SanctionManager.PERMANENT_DURATIONS.includes(value)) return null;
+    const match = /^(\d{1,4})([a-z])$/.exec(value);
+    const unit = match && SanctionManager.DURATION_UNITS.find(([, suffix]) => suffix === match[2]);
+    if (!unit || Number(match[1]) === 0) return undefined;
+    return Number(match[1]) * unit[2];
+  }
+  static formatDuration(duration) {
+    if (duration === null) return 'permanently';
+    const [name, , size] = SanctionManager.DURATION_UNITS.find(([, , size]) => duration % size === 0) || SanctionManager.DURATION_UNITS.at(-1);
+    const count = Math.max(1, Math.round(duration / size));
+    return `for ${count} ${name}${count === 1 ? '' : 's'}`;
+  }
+  static formatExpiry(sanction) {
+    return sanction.expiresAt === null ? 'permanently' : `until ${new Date(sanction.expiresAt).toUTCString()}`;
+  }
+  static describe(sanction) {
+    const notice = `${SanctionManager.NOTICES[sanction.type]} ${SanctionManager.formatExpiry(sanction)}.`;
+    return sanction.reason ? `${notice} Reason: ${sanction.reason}` : notice;
+  }
+  static normalizeAddress(address) {
+    // IPv4 clients of a dual-stack listener show up as IPv4-mapped IPv6 addresses
+    return String(address ?? '').trim().toLowerCase().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  }
+  static isAddressPattern(text) {
+    // A whole address, or the start of one ending in * to cover a range, such as 203.0.113.*
+    const address = SanctionManager.normalizeAddress(text);
+    return net.isIP(address) !== 0 || /^(\d+\.){1,3}\*$/.test(address) || /^[\da-f]*(:[\da-f]*){1,6}:\*$/.test(address);
+  }
+  static matchesAddress(pattern, address) {
+    const normalized = SanctionManager.normalizeAddress(address);
+    return pattern.endsWith('*') ? normalized.startsWith(pattern.slice(0, -1)) : normalized === pattern;
+  }
+  isInForce(sanction) {
+    return !sanction.liftedAt && (sanction.expiresAt === null || sanction.expiresAt > this.clock.now());
+  }
+  getAccountSanction(accountId, type) {
+    return this.sanctions.find(sanction => sanction.type === type && sanction.accountId === accountId && this.isInForce(sanction)) || null;
+  }
+  getAddressBan(address) {
+    return this.sanctions.find(sanction => sanction.type === SanctionManager.TYPES.ADDRESS_BAN &&
+      SanctionManager.matchesAddress(sanction.address, address) && this.isInForce(sanction)) || null;
+  }
+  findExisting(type, { accountId = null, address = null }) {
+    return this.sanctions.find(sanction => sanction.type === type &&
+      (type === SanctionManager.TYPES.ADDRESS_BAN ? sanction.address === address : sanction.accountId === accountId)) || null;
+  }
+  async impose({ type, accountId = null, target, address = null, reason = '', duration, issuedBy }) {
+    const now = this.clock.now();
+    const normalizedAddress = address === null ? null : SanctionManager.normalizeAddress(address);
+    // A new sanction replaces one of the same kind instead of stacking with it
+    const previous = this.findExisting(type, { accountId, address: normalizedAddress });
+    if (previous) {
+      await this.close(previous, issuedBy);
+    }
+    const sanction = {
+      id: crypto.randomUUID(),
+      type,
+      accountId,
+      address: normalizedAddress,
+      target,
+      reason,
+      issuedBy: issuedBy.name,
+      createdAt: now,
+      expiresAt: duration === null ? null : now + duration,
+      liftedAt: null,
+      liftedBy: null
+    };
+    await this.database.createSanction(sanction);
+    this.sanctions.push(sanction);
+    await this.audit(issuedBy, type, target, reason, { duration: SanctionManager.formatDuration(duration) });
+    return sanction;
+  }
+  async lift(type, { accountId = null, address = null }, liftedBy, reason = '') {
+    const sanction = this.findExisting(type, { accountId, address: address === null ? null : SanctionManager.normalizeAddress(address) });
+    if (!sanction || !this.isInForce(sanction)) return null;
+    await this.close(sanction, liftedBy);
+    await this.audit(liftedBy, `${type} lifted`, sanction.target, reason);
+    return sanction;
+  }
+  async expireSanctions() {
+    const expired = this.sanctions.filter(sanction => !this.isInForce(sanction));
+    for (const sanction of expired) {
+      await this.close(sanction, null);
+      await this.audit(null, `${sanction.type} expired`, sanction.target);
+    }
+    return expired;
+  }
+  async close(sanction, liftedBy) {
+    this.sanctions = this.sanctions.filter(existing => existing !== sanction);
+    sanction.liftedAt = this.clock.now();
+    sanction.liftedBy = liftedBy ? liftedBy.name : null;
+    await this.database.updateSanction(sanction.id, { liftedAt: sanction.liftedAt, liftedBy: sanction.liftedBy });
+  }
+  async audit(actor, action, target, reason = '', details = {}) {
+    const entry = {
+      id: crypto.randomUUID(),
+      time: this.clock.now(),
+      actor: actor ? actor.name : 'system',
+      actorAccountId: actor ? actor.accountId : null,
+      action,
+      target,
+      reason,
+      ...details
+    };
+    await this.database.addAuditEntry(entry);
+    this.logger.info(`Audit: ${entry.actor} ${action} ${target}${reason ? ` (${reason})` : ''}`);
+    return entry;
+  }
+  async getAuditLog(target = null, limit = 20) {
+    const wanted = target === null ? null : target.toLowerCase();
+    const entries = await this.database.getAuditEntries(entry => wanted === null ||
+      entry.target.toLowerCase().includes(wanted) || entry.actor.toLowerCase() === wanted);
+    return entries.sort((a, b) => a.time - b.time).slice(-limit);
   }
 }
 /**************************************************************************************************
@@ -1380,31 +6055,700 @@ class MonitoringSystem {
 Authentication System Class
 ***************************************************************************************************/
 class AuthenticationSystem {
-  constructor(database) {
+  static ACCOUNT_NAME_PATTERN = /^[\p{L}\p{N}]{3,20}$/u;
+  static EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+  static MAX_EMAIL_LENGTH = 254;
+  static MIN_PASSWORD_LENGTH = 8;
+  static MAX_PASSWORD_LENGTH = 128;
+  static INVALID_LOGIN_MESSAGE = 'Invalid account name or password.';
+  static INVALID_CODE_MESSAGE = 'That code is not correct.';
+  // RFC 6238 defaults, which every authenticator app understands
+  static TOTP_PERIOD = 30;
+  static TOTP_DIGITS = 6;
+  static TOTP_WINDOW = 1; // Steps either side of now still accepted, to allow for clock drift
+  static TOTP_SECRET_BYTES = 20;
+  static BACKUP_CODE_COUNT = 10;
+  static BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  constructor(database, configSystem, clock = new SystemClock()) {
+    this.database = database;
+    this.configSystem = configSystem;
+    this.clock = clock;
+    this.dummyPasswordHash = null;
+    this.logger = new LogSystem();
+  }
+  validatePassword(password, confirmPassword) {
+    const { MIN_PASSWORD_LENGTH, MAX_PASSWORD_LENGTH } = AuthenticationSystem;
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+      return [`Password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters long.`];
+    }
+    if (confirmPassword !== undefined && confirmPassword !== password) {
+      return ['Passwords do not match.'];
+    }
+    return [];
+  }
+  validateAccountData(data) {
+    if (!data || typeof data !== 'object') {
+      return ['No account details were sent.'];
+    }
+    const errors = [];
+    const accountName = typeof data.accountName === 'string' ? data.accountName.trim() : '';
+    if (!AuthenticationSystem.ACCOUNT_NAME_PATTERN.test(accountName)) {
+      errors.push('Account name must be 3 to 20 letters or numbers.');
+    }
+    errors.push(...this.validatePassword(data.password, data.confirmPassword));
+    const email = typeof data.email === 'string' ? data.email.trim() : '';
+    if (email && (email.length > AuthenticationSystem.MAX_EMAIL_LENGTH || !AuthenticationSystem.EMAIL_PATTERN.test(email))) {
+      errors.push('Email address is not valid.');
+    }
+    return errors;
+  }
+  async registerAccount(data) {
+    const errors = this.validateAccountData(data);
+    if (errors.length > 0) {
+      return { success: false, message: errors.join(' '), errors };
+    }
+    const name = data.accountName.trim();
+    if (await this.database.getAccountByName(name)) {
+      return { success: false, message: `The account name ${name} is already taken.` };
+    }
+    const account = {
+      id: crypto.randomUUID(),
+      name,
+      passwordHash: await this.hashPassword(data.password),
+      email: typeof data.email === 'string' && data.email.trim() ? data.email.trim() : null,
+      createdAt: new Date(this.clock.now()).toISOString(),
+      lastLoginAt: null,
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+      role: Roles.PLAYER
+    };
+    if (!(await this.database.createAccount(account))) {
+      return { success: false, message: `The account name ${name} is already taken.` };
+    }
+    return { success: true, account };
+  }
+  async authenticateUser(accountName, password) {
+    if (typeof accountName !== 'string' || typeof password !== 'string' || !accountName.trim() || !password) {
+      return { success: false, message: 'Please enter both account name and password.' };
+    }
+    const account = await this.database.getAccountByName(accountName.trim());
+    if (!account || !account.passwordHash) {
+      // Hash anyway so unknown names take as long to reject as wrong passwords
+      await bcrypt.compare(password, await this.getDummyPasswordHash());
+      return { success: false, message: AuthenticationSystem.INVALID_LOGIN_MESSAGE };
+    }
+    const now = this.clock.now();
+    if (this.isLocked(account, now)) {
+      return { success: false, message: this.getLockoutMessage(account.lockedUntil - now) };
+    }
+    if (!(await bcrypt.compare(password, account.passwordHash))) {
+      return await this.recordFailedLogin(account, now);
+    }
+    if (this.hasTwoFactor(account)) {
+      // Failed attempts are only cleared once the second step passes, so codes cannot be guessed forever
+      return { success: true, account, twoFactorRequired: true };
+    }
+    // Another attempt may have locked the account while this password was being checked
+    const result = await this.database.updateAccountWith(account.id, current => (
+      this.isLocked(current, now) ? null : { failedLoginAttempts: 0, lockedUntil: null, lastLoginAt: new Date(now).toISOString() }
+    ));
+    if (!result) {
+      return { success: false, message: AuthenticationSystem.INVALID_LOGIN_MESSAGE };
+    }
+    if (!result.changes) {
+      return { success: false, message: this.getLockoutMessage(result.record.lockedUntil - now) };
+    }
+    return { success: true, account: result.record };
+  }
+  isLocked(account, now) {
+    return Boolean(account.lockedUntil && account.lockedUntil > now);
+  }
+  async recordFailedLogin(account, now, message = AuthenticationSystem.INVALID_LOGIN_MESSAGE) {
+    const { MAX_LOGIN_ATTEMPTS, LOGIN_LOCKOUT_DURATION } = this.configSystem.getAll();
+    // Counted against a fresh read under the write lock, so attempts made in parallel each count
+    const result = await this.database.updateAccountWith(account.id, current => {
+      if (this.isLocked(current, now)) return null;
+      const failedLoginAttempts = (current.failedLoginAttempts || 0) + 1;
+      return failedLoginAttempts < MAX_LOGIN_ATTEMPTS
+        ? { failedLoginAttempts }
+        : { failedLoginAttempts: 0, lockedUntil: now + LOGIN_LOCKOUT_DURATION };
+    });
+    if (!result || !this.isLocked(result.record, now)) {
+      return { success: false, message };
+    }
+    if (result.changes) {
+      this.logger.warn(`Account ${account.name} locked after ${MAX_LOGIN_ATTEMPTS} failed logins`);
+    }
+    return { success: false, locked: true, message: this.getLockoutMessage(result.record.lockedUntil - now) };
+  }
+  async verifySecondFactor(accountId, code) {
+    const account = await this.database.getAccount(accountId);
+    if (!account || !this.hasTwoFactor(account)) {
+      return { success: false, locked: true, message: 'Please log in again.' };
+    }
+    const now = this.clock.now();
+    if (this.isLocked(account, now)) {
+      return { success: false, locked: true, message: this.getLockoutMessage(account.lockedUntil - now) };
+    }
+    // Matched under the write lock too, so a code or backup code can't be used twice at once
+    let match = null;
+    const result = await this.database.updateAccountWith(account.id, current => {
+      if (this.isLocked(current, now) || !this.hasTwoFactor(current)) return null;
+      match = this.matchSecondFactor(current.twoFactor, code);
+      return match && {
+        failedLoginAttempts: 0,
+        lockedUntil: null,
+        lastLoginAt: new Date(now).toISOString(),
+        twoFactor: { ...current.twoFactor, ...match.changes }
+      };
+    });
+    if (!result || !this.hasTwoFactor(result.record)) {
+      return { success: false, locked: true, message: 'Please log in again.' };
+    }
+    if (this.isLocked(result.record, now)) {
+      return { success: false, locked: true, message: this.getLockoutMessage(result.record.lockedUntil - now) };
+    }
+    if (!match) {
+      return await this.recordFailedLogin(account, now, AuthenticationSystem.INVALID_CODE_MESSAGE);
+    }
+    return {
+      success: true,
+      account: result.record,
+      remainingBackupCodes: match.usedBackupCode ? result.record.twoFactor.backupCodes.length : null
+    };
+  }
+  hasTwoFactor(account) {
+    return Boolean(account && account.twoFactor);
+  }
+  matchSecondFactor(twoFactor, code) {
+    const text = String(code ?? '').replace(/[\s-]/g, '').toLowerCase();
+    if (AuthenticationSystem.isTotpCode(text)) {
+      const step = this.findTotpStep(twoFactor.secret, text, twoFactor.lastUsedStep);
+      return step === null ? null : { changes: { lastUsedStep: step }, usedBackupCode: false };
+    }
+    const hash = AuthenticationSystem.hashBackupCode(text);
+    if (!text || !twoFactor.backupCodes.includes(hash)) return null;
+    return { changes: { backupCodes: twoFactor.backupCodes.filter(backupCode => backupCode !== hash) }, usedBackupCode: true };
+  }
+  static encodeBase32(buffer) {
+    let bits = '';
+    buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+    return (bits.match(/.{1,5}/g) || []).map(chunk => AuthenticationSystem.BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+  }
+  static decodeBase32(text) {
+    const bits = String(text).toUpperCase().replace(/[\s=]/g, '').split('')
+      .map(character => AuthenticationSystem.BASE32_ALPHABET.indexOf(character).toString(2).padStart(5, '0'))
+      .join('');
+    return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+  }
+  static hashBackupCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+  }
+  generateTotp(secret, step) {
+    // HOTP (RFC 4226) over the number of periods since the epoch
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', AuthenticationSystem.decodeBase32(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** AuthenticationSystem.TOTP_DIGITS;
+    return String(value).padStart(AuthenticationSystem.TOTP_DIGITS, '0');
+  }
+  static isTotpCode(text) {
+    return /^\d+$/.test(text) && text.length === AuthenticationSystem.TOTP_DIGITS;
+  }
+  findTotpStep(secret, code, lastUsedStep = null) {
+    const { TOTP_PERIOD, TOTP_WINDOW } = AuthenticationSystem;
+    // timingSafeEqual throws on inputs of different lengths
+    if (!AuthenticationSystem.isTotpCode(code)) return null;
+    const currentStep = Math.floor(this.clock.now() / 1000 / TOTP_PERIOD);
+    for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+      // A code that has been used once cannot be replayed, even within its own period
+      if (step < 0 || (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep)) continue;
+      const expected = this.generateTotp(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+        return step;
+      }
+    }
+    return null;
+  }
+  getProvisioningUri(accountName, secret) {
+    const { TOTP_PERIOD, TOTP_DIGITS } = AuthenticationSystem;
+    const issuer = this.configSystem.get('TWO_FACTOR_ISSUER');
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD}`;
+  }
+  generateBackupCodes() {
+    const codes = Array.from({ length: AuthenticationSystem.BACKUP_CODE_COUNT }, () => {
+      const code = AuthenticationSystem.encodeBase32(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(code => AuthenticationSystem.hashBackupCode(code.replace('-', ''))) };
+  }
+  async beginTwoFactorSetup(accountId, password) {
+    const account = await this.database.getAccount(accountId);
+    if (this.hasTwoFactor(account)) {
+      return { success: false, message: 'Two-factor authentication is already on.' };
+    }
+    const passwordCheck = await this.verifyPassword(accountId, password);
+    if (!passwordCheck.success) {
+      return passwordCheck;
+    }
+    const secret = AuthenticationSystem.encodeBase32(crypto.randomBytes(AuthenticationSystem.TOTP_SECRET_BYTES));
+    await this.database.updateAccount(accountId, { twoFactorPending: { secret, createdAt: this.clock.now() } });
+    return {
+      success: true,
+      message: 'Add this account to your authenticator app, then enter the code it shows to finish.',
+      details: { secret, provisioningUri: this.getProvisioningUri(account.name, secret) }
+    };
+  }
+  async confirmTwoFactorSetup(accountId, code) {
+    const { codes, hashes } = this.generateBackupCodes();
+    const now = this.clock.now();
+    // Checked and stored under the write lock, so two confirmations can't each switch it on with their own backup codes
+    const result = await this.database.updateAccountWith(accountId, current => {
+      if (!current.twoFactorPending) return null;
+      const { secret } = current.twoFactorPending;
+      const step = this.findTotpStep(secret, String(code ?? '').replace(/\s/g, ''));
+      if (step === null) return null;
+      return {
+        twoFactor: { secret, enabledAt: new Date(now).toISOString(), lastUsedStep: step, backupCodes: hashes },
+        twoFactorPending: null
+      };
+    });
+    if (!result || (!result.changes && !result.record.twoFactorPending)) {
+      return { success: false, message: 'Start setting up two-factor authentication first.' };
+    }
+    if (!result.changes) {
+      return { success: false, message: AuthenticationSystem.INVALID_CODE_MESSAGE };
+    }
+    this.logger.info(`Two-factor authentication turned on for account ${result.record.name}`);
+    return {
+      success: true,
+      message: 'Two-factor authentication is on. Keep these backup codes somewhere safe, each one works once if you lose your authenticator.',
+      details: { backupCodes: codes }
+    };
+  }
+  async useCurrentCode(accountId, code, getChanges, failureMessage = AuthenticationSystem.INVALID_CODE_MESSAGE) {
+    // Backup codes are accepted too, so someone who lost their authenticator can still turn it off
+    const now = this.clock.now();
+    let match = null;
+    const result = await this.database.updateAccountWith(accountId, current => {
+      if (this.isLocked(current, now) || !this.hasTwoFactor(current)) return null;
+      match = this.matchSecondFactor(current.twoFactor, code);
+      return match && getChanges({ ...current.twoFactor, ...match.changes });
+    });
+    if (result && match) {
+      return { success: true };
+    }
+    if (!result || !this.hasTwoFactor(result.record)) {
+      return { success: false, message: 'Two-factor authentication is not on.' };
+    }
+    if (this.isLocked(result.record, now)) {
+      return { success: false, locked: true, message: this.getLockoutMessage(result.record.lockedUntil - now) };
+    }
+    return await this.recordFailedLogin(result.record, now, failureMessage);
+  }
+  async regenerateBackupCodes(accountId, code) {
+    const { codes, hashes } = this.generateBackupCodes();
+    const result = await this.useCurrentCode(accountId, code, twoFactor => ({ twoFactor: { ...twoFactor, backupCodes: hashes } }));
+    if (!result.success) {
+      return result;
+    }
+    return { success: true, message: 'Your old backup codes no longer work. Keep these somewhere safe.', details: { backupCodes: codes } };
+  }
+  async disableTwoFactor(accountId, { password, code } = {}) {
+    const account = await this.database.getAccount(accountId);
+    if (!this.hasTwoFactor(account)) {
+      return { success: false, message: 'Two-factor authentication is not on.' };
+    }
+    const passwordCheck = await this.verifyPassword(accountId, password, 'Your password or code is not correct.');
+    if (!passwordCheck.success) {
+      return passwordCheck;
+    }
+    const result = await this.useCurrentCode(accountId, code, () => ({ twoFactor: null, twoFactorPending: null }), 'Your password or code is not correct.');
+    if (!result.success) {
+      return result;
+    }
+    this.logger.info(`Two-factor authentication turned off for account ${account.name}`);
+    return { success: true, message: 'Two-factor authentication is off.' };
+  }
+  getLockoutMessage(remaining) {
+    const minutes = Math.ceil(remaining / 60000);
+    return `Too many failed logins. This account is locked for ${minutes} more minute${minutes === 1 ? '' : 's'}.`;
+  }
+  async verifyPassword(accountId, password, failureMessage = 'Your password is not correct.') {
+    const account = await this.database.getAccount(accountId);
+    if (!account || typeof password !== 'string' || !password) {
+      return { success: false, message: failureMessage };
+    }
+    // Counted towards the same lockout as logins, so a stolen session can't be used to guess the password
+    const now = this.clock.now();
+    if (this.isLocked(account, now)) {
+      return { success: false, locked: true, message: this.getLockoutMessage(account.lockedUntil - now) };
+    }
+    if (!(await bcrypt.compare(password, account.passwordHash))) {
+      return await this.recordFailedLogin(account, now, failureMessage);
+    }
+    return { success: true };
+  }
+  async changePassword(accountId, { currentPassword, newPassword, confirmPassword } = {}) {
+    const passwordCheck = await this.verifyPassword(accountId, currentPassword, 'Your current password is not correct.');
+    if (!passwordCheck.success) {
+      return passwordCheck;
+    }
+    const errors = this.validatePassword(newPassword, confirmPassword);
+    if (errors.length > 0) {
+      return { success: false, message: errors.join(' '), errors };
+    }
+    await this.database.updateAccount(accountId, { passwordHash: await this.hashPassword(newPassword) });
+    return { success: true, message: 'Your password has been changed.' };
+  }
+  async getDummyPasswordHash() {
+    if (!this.dummyPasswordHash) {
+      this.dummyPasswordHash = await this.hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    return this.dummyPasswordHash;
+  }
+  async hashPassword(password) {
+    return await bcrypt.hash(password, this.configSystem.get('PASSWORD_SALT_ROUNDS'));
+  }
+  generateToken(account) {
+    // <payload>.<signature>, both base64url, signed with the current SESSION_SECRET
+    const now = this.clock.now();
+    const payload = {
+      sub: account.id,
+      gen: account.sessionGeneration || 0,
+      iat: now,
+      exp: now + this.configSystem.get('SESSION_TOKEN_LIFETIME'),
+      jti: crypto.randomBytes(8).toString('hex')
+    };
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${body}.${this.signToken(body, this.configSystem.get('SESSION_SECRET'))}`;
+  }
+  signToken(body, secret) {
+    return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  }
+  hasValidSignature(body, signature) {
+    const { SESSION_SECRET, PREVIOUS_SESSION_SECRETS } = this.configSystem.getAll();
+    const received = Buffer.from(signature, 'base64url');
+    // Tokens signed with a retired secret keep working until they expire, so rotating the secret logs nobody out
+    return [SESSION_SECRET, ...PREVIOUS_SESSION_SECRETS].some(secret => {
+      const expected = Buffer.from(this.signToken(body, secret), 'base64url');
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    });
+  }
+  async verifyToken(token) {
+    if (typeof token !== 'string') return null;
+    const parts = token.split('.');
+    if (parts.length !== 2 || !this.hasValidSignature(parts[0], parts[1])) return null;
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+    if (!payload || typeof payload.sub !== 'string' || !Number.isFinite(payload.iat) || !Number.isFinite(payload.exp)) {
+      return null;
+    }
+    if (payload.exp <= this.clock.now()) return null;
+    const account = await this.database.getAccount(payload.sub);
+    // Revoking bumps the account's generation, which retires every token issued before it
+    if (!account || payload.gen !== (account.sessionGeneration || 0)) {
+      return null;
+    }
+    return { account, accountId: account.id, accountName: account.name, issuedAt: payload.iat, expiresAt: payload.exp };
+  }
+  async revokeSessions(accountId) {
+    const account = await this.database.getAccount(accountId);
+    if (!account) return null;
+    const updated = await this.database.updateAccount(accountId, { sessionGeneration: (account.sessionGeneration || 0) + 1 });
+    this.logger.info(`All sessions revoked for account ${account.name}`);
+    return updated;
+  }
+  requireSession() {
+    // Express middleware that accepts the same tokens as restoreSession
+    return (req, res, next) => {
+      const authorization = req.get('authorization') || '';
+      const token = authorization.startsWith('Bearer ') ? authorization.slice(7) : req.get('x-session-token');
+      this.verifyToken(token).then(session => {
+        if (!session) {
+          res.status(401).json({ error: 'A valid session token is required' });
+          return;
+        }
+        req.account = session;
+        next();
+      }).catch(next);
+    };
+  }
+}
+/**************************************************************************************************
+Name Registry Class
+Decides which character names may be taken. Names are compared without case, tone marks or other
+diacritics, so Wǔdāng and Wudang count as the same name.
+***************************************************************************************************/
+class NameRegistry {
+  constructor(configSystem, gameDataManager) {
+    this.configSystem = configSystem;
+    this.gameDataManager = gameDataManager;
+  }
+  static normalize(name) {
+    return String(name ?? '').normalize('NFKD').replace(/[^\p{L}\p{N}]/gu, '').toLowerCase();
+  }
+  getNPCNames() {
+    // Players target NPCs by any word of their name or by an alias, so all of those are taken
+    const names = new Set();
+    this.gameDataManager.npcs.forEach(npc => {
+      [npc.name, ...String(npc.name || '').split(/\s+/), ...(npc.aliases || [])].forEach(name => {
+        names.add(NameRegistry.normalize(name));
+      });
+    });
+    return names;
+  }
+  checkName(name) {
+    const key = NameRegistry.normalize(name);
+    const { RESERVED_NAMES, BLOCKED_NAME_WORDS } = this.configSystem.getAll();
+    if (RESERVED_NAMES.some(reserved => NameRegistry.normalize(reserved) === key)) {
+      return [`The name ${name} is reserved.`];
+    }
+    if (BLOCKED_NAME_WORDS.some(word => NameRegistry.normalize(word) && key.includes(NameRegistry.normalize(word)))) {
+      return [`The name ${name} is not allowed.`];
+    }
+    if (this.getNPCNames().has(key)) {
+      return [`The name ${name} is too close to the name of someone in the world.`];
+    }
+    return [];
+  }
+}
+/**************************************************************************************************
+Account Manager Class
+Owns the characters that belong to each account and carries out the account menu operations.
+Deleted characters are kept until CHARACTER_RECOVERY_PERIOD has passed so they can be restored.
+***************************************************************************************************/
+class AccountManager {
+  static NAME_PATTERN = /^\p{L}{3,20}$/u;
+  static SEXES = ['male', 'female'];
+  static REPUTATIONS = ['famous', 'infamous'];
+  static MIN_AGE = 16;
+  static MAX_AGE = 100;
+  static EDITABLE_FIELDS = { title: 'Title', profession: 'Profession', reputation: 'Reputation', description: 'Description' };
+  static MAX_FIELD_LENGTHS = { title: 40, profession: 40, description: 1000 };
+  constructor(database, configSystem, nameRegistry, clock = new SystemClock()) {
     this.database = database;
+    this.configSystem = configSystem;
+    this.nameRegistry = nameRegistry;
+    this.clock = clock;
+    this.logger = new LogSystem();
+  }
+  static isDeleted(record) {
+    return typeof record.deletedAt === 'number';
+  }
+  isConfiguredImplementor(account) {
+    const name = account.name.toLowerCase();
+    return this.configSystem.get('IMPLEMENTOR_ACCOUNTS').some(implementor => String(implementor).toLowerCase() === name);
+  }
+  getRole(account) {
+    if (!account) return Roles.PLAYER;
+    return this.isConfiguredImplementor(account) ? Roles.IMPLEMENTOR : Roles.normalize(account.role);
+  }
+  async setRole(accountId, role) {
+    return await this.database.updateAccount(accountId, { role: Roles.normalize(role) });
+  }
+  validateTextField(field, label, value) {
+    const maxLength = AccountManager.MAX_FIELD_LENGTHS[field];
+    if (value !== undefined && typeof value !== 'string') {
+      return [`${label} must be text.`];
+    }
+    const text = (value || '').trim();
+    if (text.length > maxLength) {
+      return [`${label} must be at most ${maxLength} characters long.`];
+    }
+    // Descriptions are shown to other players as HTML
+    if (/[<>\u0000-\u0008\u000B-\u001F\u007F]/.test(text)) {
+      return [`${label} contains characters that are not allowed.`];
+    }
+    return [];
+  }
+  validateReputation(reputation) {
+    return AccountManager.REPUTATIONS.includes(reputation) ? [] : ['Reputation must be famous or infamous.'];
   }
-  async registerUser(username, password) {
-    // Register a new user
+  static cleanName(name) {
+    // Tone marks typed as separate combining characters are stored precomposed, and look-alikes such as
+    // full-width letters become plain ones
+    return typeof name === 'string' ? name.trim().normalize('NFKC') : '';
   }
-  async authenticateUser(username, password) {
-    // Authenticate a user
+  validateName(name) {
+    if (!AccountManager.NAME_PATTERN.test(name)) {
+      return ['Character name must be 3 to 20 letters with no spaces, numbers or symbols.'];
+    }
+    return this.nameRegistry.checkName(name);
+  }
+  validateCharacterData(data) {
+    if (!data || typeof data !== 'object') {
+      return ['No character details were sent.'];
+    }
+    const errors = this.validateName(AccountManager.cleanName(data.playerName));
+    const age = typeof data.age === 'string' ? data.age.trim() : data.age;
+    if (age !== undefined && age !== null && age !== '') {
+      if (!Number.isInteger(Number(age)) || Number(age) < AccountManager.MIN_AGE || Number(age) > AccountManager.MAX_AGE) {
+        errors.push(`Age must be a whole number from ${AccountManager.MIN_AGE} to ${AccountManager.MAX_AGE}.`);
+      }
+    }
+    if (!AccountManager.SEXES.includes(data.sex)) {
+      errors.push('Sex must be male or female.');
+    }
+    errors.push(...this.validateReputation(data.reputation));
+    ['title', 'profession', 'description'].forEach(field => {
+      errors.push(...this.validateTextField(field, AccountManager.EDITABLE_FIELDS[field], data[field]));
+    });
+    return errors;
+  }
+  summarizeCharacter(record) {
+    const deleted = AccountManager.isDeleted(record);
+    const recoverableUntil = deleted ? record.deletedAt + this.configSystem.get('CHARACTER_RECOVERY_PERIOD') : null;
+    return {
+      id: record.id,
+      name: record.name,
+      sex: record.sex,
+      age: record.age,
+      title: record.title,
+      reputation: record.reputation,
+      profession: record.profession,
+      description: record.description,
+      createdAt: record.createdAt,
+      lastPlayedAt: record.lastPlayedAt || null,
+      deleted,
+      recoverableUntil
+    };
+  }
+  async listCharacters(accountId) {
+    const records = await this.database.getPlayersByAccount(accountId);
+    const cutoff = this.clock.now() - this.configSystem.get('CHARACTER_RECOVERY_PERIOD');
+    // Storage keeps no particular order, so list characters oldest first
+    return records
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+      .filter(record => !AccountManager.isDeleted(record) || record.deletedAt > cutoff)
+      .map(record => this.summarizeCharacter(record));
+  }
+  async getCharacter(accountId, characterId, { deleted = false } = {}) {
+    const record = await this.database.getPlayer(characterId);
+    if (!record || record.accountId !== accountId || AccountManager.isDeleted(record) !== deleted) {
+      return null;
+    }
+    return record;
+  }
+  async createCharacter(accountId, data) {
+    const errors = this.validateCharacterData(data);
+    if (errors.length > 0) {
+      return { success: false, message: errors.join(' '), errors };
+    }
+    const maxCharacters = this.configSystem.get('MAX_CHARACTERS_PER_ACCOUNT');
+    if ((await this.listCharacters(accountId)).length >= maxCharacters) {
+      return { success: false, message: `An account can have at most ${maxCharacters} characters.` };
+    }
+    const name = AccountManager.cleanName(data.playerName);
+    const text = field => (typeof data[field] === 'string' ? data[field].trim() : '');
+    const age = typeof data.age === 'string' ? data.age.trim() : data.age;
+    const record = {
+      id: crypto.randomUUID(),
+      accountId,
+      name,
+      sex: data.sex,
+      age: age === undefined || age === null || age === '' ? null : Number(age),
+      title: text('title'),
+      reputation: data.reputation,
+      profession: text('profession'),
+      description: text('description'),
+      createdAt: new Date(this.clock.now()).toISOString(),
+      lastPlayedAt: null,
+      deletedAt: null,
+      location: null,
+      currency: 0,
+      level: 1,
+      experience: 0,
+      inventory: [],
+      quests: { active: [], completed: [] }
+    };
+    if (!(await this.database.createPlayer(record))) {
+      return { success: false, message: `The name ${name} is already taken.` };
+    }
+    return { success: true, message: `${name} has been created.`, playerData: record };
   }
-  hashPassword(password) {
-    // Hash a password
+  async renameCharacter(characterId, newName) {
+    const name = AccountManager.cleanName(newName);
+    const errors = this.validateName(name);
+    if (errors.length > 0) {
+      return { success: false, message: errors.join(' '), errors };
+    }
+    const record = await this.database.renamePlayer(characterId, name);
+    if (!record) {
+      return { success: false, message: `The name ${name} is already taken.` };
+    }
+    return { success: true, record };
   }
-  generateToken(userId) {
-    // Generate an authentication token
+  async editCharacter(accountId, characterId, changes) {
+    const record = await this.getCharacter(accountId, characterId);
+    if (!record) {
+      return { success: false, message: 'You have no such character.' };
+    }
+    const fields = Object.keys(changes || {});
+    if (fields.length === 0 || fields.some(field => !AccountManager.EDITABLE_FIELDS[field])) {
+      return { success: false, message: `Only ${Object.keys(AccountManager.EDITABLE_FIELDS).join(', ')} can be changed.` };
+    }
+    const errors = fields.flatMap(field => (field === 'reputation'
+      ? this.validateReputation(changes[field])
+      : this.validateTextField(field, AccountManager.EDITABLE_FIELDS[field], changes[field])));
+    if (errors.length > 0) {
+      return { success: false, message: errors.join(' '), errors };
+    }
+    const updates = Object.fromEntries(fields.map(field => [field, field === 'reputation' ? changes[field] : changes[field].trim()]));
+    await this.database.updatePlayerRecord(characterId, updates);
+    const labels = fields.map(field => AccountManager.EDITABLE_FIELDS[field].toLowerCase());
+    const changed = labels.length === 1 ? labels[0] : `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+    return { success: true, message: `${record.name}'s ${changed} ${labels.length === 1 ? 'has' : 'have'} been changed.` };
+  }
+  async deleteCharacter(accountId, characterId) {
+    const record = await this.getCharacter(accountId, characterId);
+    if (!record) {
+      return { success: false, message: 'You have no such character.' };
+    }
+    const deletedAt = this.clock.now();
+    await this.database.updatePlayerRecord(characterId, { deletedAt });
+    const days = Math.round(this.configSystem.get('CHARACTER_RECOVERY_PERIOD') / 86400000);
+    this.logger.info(`Character ${record.name} deleted`);
+    return {
+      success: true,
+      message: `${record.name} has been deleted. You can restore them from this menu for the next ${days} day${days === 1 ? '' : 's'}.`
+    };
   }
-  verifyToken(token) {
-    // Verify an authentication token
+  async restoreCharacter(accountId, characterId) {
+    const record = await this.getCharacter(accountId, characterId, { deleted: true });
+    const cutoff = this.clock.now() - this.configSystem.get('CHARACTER_RECOVERY_PERIOD');
+    if (!record || record.deletedAt <= cutoff) {
+      return { success: false, message: 'You have no deleted character that can still be restored.' };
+    }
+    await this.database.updatePlayerRecord(characterId, { deletedAt: null });
+    this.logger.info(`Character ${record.name} restored`);
+    return { success: true, message: `${record.name} has been restored.` };
+  }
+  async purgeDeletedCharacters() {
+    const cutoff = this.clock.now() - this.configSystem.get('CHARACTER_RECOVERY_PERIOD');
+    const removed = await this.database.removePlayers(record => AccountManager.isDeleted(record) && record.deletedAt <= cutoff);
+    if (removed.length > 0) {
+      this.logger.info(`Removed ${removed.length} deleted character(s) past recovery: ${removed.map(record => record.name).join(', ')}`);
+    }
+    return removed.length;
   }
 }
 /**************************************************************************************************
 AntiCheat System Class
 ***************************************************************************************************/
 class AntiCheatSystem {
-  constructor() {
+  static MAX_REPORTS_PER_PLAYER = 100;
+  constructor(configSystem, clock = new SystemClock()) {
+    this.clock = clock;
+    this.rateLimiter = new RateLimiter(configSystem, clock);
     this.suspiciousActivities = new Map();
+    this.logger = new LogSystem();
   }
   validateAction(player, action, data) {
     // Validate a player action
@@ -1415,11 +6759,96 @@ class AntiCheatSystem {
   detectImpossibleActions(player, action) {
     // Detect actions that should be impossible
   }
-  applyRateLimit(player, action) {
-    // Apply rate limiting to player actions
+  applyRateLimit(connectionId, eventClass) {
+    return this.rateLimiter.check(connectionId, eventClass);
+  }
+  penalize(connectionId) {
+    return this.rateLimiter.addStrike(connectionId);
+  }
+  removeConnection(connectionId) {
+    this.rateLimiter.removeConnection(connectionId);
   }
   reportSuspiciousActivity(player, reason) {
-    // Report suspicious activity for review
+    const key = player ? player.id : 'anonymous';
+    if (!this.suspiciousActivities.has(key)) {
+      this.suspiciousActivities.set(key, []);
+    }
+    const reports = this.suspiciousActivities.get(key);
+    reports.push({ time: this.clock.now(), playerName: player ? player.name : null, reason });
+    if (reports.length > AntiCheatSystem.MAX_REPORTS_PER_PLAYER) {
+      reports.shift();
+    }
+    this.logger.warn(`Suspicious activity by ${player ? player.name : 'an unauthenticated client'}: ${reason}`);
+  }
+  getSuspiciousActivity(playerId) {
+    return this.suspiciousActivities.get(playerId) || [];
+  }
+}
+/**************************************************************************************************
+Rate Limiter Class
+Token buckets per connection and event class. Each message over budget is dropped and counts as a
+strike, and enough strikes in a row escalate from a warning to a mute and then a disconnect.
+***************************************************************************************************/
+class RateLimiter {
+  static ACTIONS = { ALLOW: 'allow', WARN: 'warn', DROP: 'drop', MUTE: 'mute', MUTED: 'muted', DISCONNECT: 'disconnect' };
+  constructor(configSystem, clock = new SystemClock()) {
+    this.configSystem = configSystem;
+    this.clock = clock;
+    this.connections = new Map();
+  }
+  getConnection(connectionId) {
+    if (!this.connections.has(connectionId)) {
+      this.connections.set(connectionId, { buckets: new Map(), strikes: 0, lastStrikeAt: 0, mutedUntil: 0 });
+    }
+    return this.connections.get(connectionId);
+  }
+  removeConnection(connectionId) {
+    this.connections.delete(connectionId);
+  }
+  check(connectionId, eventClass) {
+    const connection = this.getConnection(connectionId);
+    const now = this.clock.now();
+    if (!this.takeToken(connection, eventClass, now)) {
+      return this.addStrike(connectionId);
+    }
+    return connection.mutedUntil > now ? RateLimiter.ACTIONS.MUTED : RateLimiter.ACTIONS.ALLOW;
+  }
+  takeToken(connection, eventClass, now) {
+    const limits = this.configSystem.get('RATE_LIMITS');
+    const { capacity, refillRate } = limits[eventClass] || limits.general;
+    let bucket = connection.buckets.get(eventClass);
+    if (!bucket) {
+      bucket = { tokens: capacity, updatedAt: now };
+      connection.buckets.set(eventClass, bucket);
+    }
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * refillRate);
+    bucket.updatedAt = now;
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+  }
+  addStrike(connectionId) {
+    const {
+      RATE_LIMIT_WARN_STRIKES, RATE_LIMIT_MUTE_STRIKES, RATE_LIMIT_DISCONNECT_STRIKES, RATE_LIMIT_MUTE_DURATION, RATE_LIMIT_STRIKE_DECAY
+    } = this.configSystem.getAll();
+    const connection = this.getConnection(connectionId);
+    const now = this.clock.now();
+    if (now - connection.lastStrikeAt > RATE_LIMIT_STRIKE_DECAY) {
+      connection.strikes = 0;
+    }
+    connection.strikes++;
+    connection.lastStrikeAt = now;
+    if (connection.strikes >= RATE_LIMIT_DISCONNECT_STRIKES) {
+      return RateLimiter.ACTIONS.DISCONNECT;
+    }
+    if (connection.mutedUntil > now) {
+      return RateLimiter.ACTIONS.MUTED;
+    }
+    if (connection.strikes >= RATE_LIMIT_MUTE_STRIKES) {
+      connection.mutedUntil = now + RATE_LIMIT_MUTE_DURATION;
+      return RateLimiter.ACTIONS.MUTE;
+    }
+    return connection.strikes <= RATE_LIMIT_WARN_STRIKES ? RateLimiter.ACTIONS.WARN : RateLimiter.ACTIONS.DROP;
   }
 }
 /**************************************************************************************************
@@ -1446,14 +6875,89 @@ class CacheManager {
 Message Protocol Class
 ***************************************************************************************************/
 class MessageProtocol {
+  static EVENT = 'message';
+  static VERSION = CONFIG.PROTOCOL_VERSION;
+  static MIN_VERSION = CONFIG.MIN_PROTOCOL_VERSION;
   static encode(message) {
-    // Encode a message for transmission
+    return JSON.stringify(message);
   }
   static decode(data) {
-    // Decode a received message
+    let message = data;
+    if (typeof data === 'string') {
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        throw new Error('Malformed message: payload is not valid JSON');
+      }
+    }
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      throw new Error('Malformed message: expected an envelope object');
+    }
+    if (!Number.isInteger(message.v)) {
+      throw new Error('Malformed message: missing protocol version');
+    }
+    if (typeof message.type !== 'string' || message.type.length === 0) {
+      throw new Error('Malformed message: missing message type');
+    }
+    if (message.payload !== undefined && (message.payload === null || typeof message.payload !== 'object')) {
+      throw new Error(`Malformed message: payload of ${message.type} must be an object`);
+    }
+    return MessageProtocol.createMessage(message.type, message.payload, message.v, message.ts);
+  }
+  static createMessage(type, payload = {}, version = MessageProtocol.VERSION, timestamp = Date.now()) {
+    return { v: version, type, payload: payload ?? {}, ts: timestamp };
+  }
+  static negotiateVersion(offer = {}) {
+    const clientVersion = Number(offer.protocolVersion);
+    const clientMinVersion = Number(offer.minProtocolVersion ?? offer.protocolVersion);
+    if (!Number.isInteger(clientVersion) || !Number.isInteger(clientMinVersion)) {
+      return {
+        success: false,
+        message: 'Your client did not announce a protocol version. Please reload the page to get the latest client.'
+      };
+    }
+    const version = Math.min(clientVersion, MessageProtocol.VERSION);
+    if (version < Math.max(clientMinVersion, MessageProtocol.MIN_VERSION)) {
+      const supported = MessageProtocol.MIN_VERSION === MessageProtocol.VERSION
+        ? `${MessageProtocol.VERSION}`
+        : `${MessageProtocol.MIN_VERSION}-${MessageProtocol.VERSION}`;
+      return {
+        success: false,
+        message: `Your client speaks protocol version ${clientVersion} but this server supports version ${supported}. Please reload the page to get the latest client.`
+      };
+    }
+    return { success: true, version };
+  }
+}
+/**************************************************************************************************
+Format Message Manager Class
+***************************************************************************************************/
+class FormatMessageManager {
+  static wrap(cssId, content) {
+    return `<span id="${cssId}">${content}</span>`;
+  }
+  static formatPlayerName(name) {
+    return FormatMessageManager.wrap('player-name', name);
+  }
+  static formatMovement(type, { playerName, npcName, direction }) {
+    const name = playerName
+      ? FormatMessageManager.formatPlayerName(playerName)
+      : FormatMessageManager.wrap('npc-name', npcName);
+    if (type === 'playerLeft' || type === 'npcLeft') {
+      return direction ? `${name} leaves ${direction}.` : `${name} has left.`;
+    }
+    return direction ? `${name} arrives from the ${direction}.` : `${name} has arrived.`;
   }
-  static createMessage(type, payload) {
-    // Create a standardized message object
+  static formatLocation({ name, description, exits = [], items = [], npcs = [], players = [] }) {
+    const lines = [
+      FormatMessageManager.wrap('location-title', name),
+      FormatMessageManager.wrap('location-description', description),
+      FormatMessageManager.wrap('exits', `Exits: ${exits.length > 0 ? exits.join(', ') : 'none'}`)
+    ];
+    items.forEach(item => lines.push(FormatMessageManager.wrap('item-name', item)));
+    npcs.forEach(npc => lines.push(FormatMessageManager.wrap('npc-name', npc)));
+    players.forEach(player => lines.push(FormatMessageManager.formatPlayerName(player)));
+    return lines.join('<br>');
   }
 }
 /**************************************************************************************************
@@ -1472,12 +6976,335 @@ class LocationCoordinateManager {
   }
 }
 /**************************************************************************************************
+Simulation Class
+Runs the server in-process on a SimulationClock and SeededRandom, without opening any ports.
+Fake clients connect to it directly, so whole play sessions can be scripted and replayed exactly.
+Saves and a copy of the zone files go to a temporary directory, removed on stop, unless a dataPath is given.
+***************************************************************************************************/
+class Simulation {
+  constructor(config, { seed = 1, startTime = 0, dataPath = null } = {}) {
+    this.clock = new SimulationClock(startTime);
+    this.random = new SeededRandom(seed);
+    this.ownsDataPath = !dataPath;
+    this.dataPath = dataPath || mkdtempSync(path.join(os.tmpdir(), 'wulin-simulation-'));
+    this.server = new CoreServerSystem({ ...config, ...Simulation.prepareDataPath(config, this.dataPath) }, { clock: this.clock, random: this.random });
+    this.clients = [];
+    this.nextClientId = 1;
+  }
+  static prepareDataPath(config, dataPath) {
+    // Zone files are copied in too, since redit writes its changes back to them
+    const zonePaths = {};
+    Object.values(GameDataManager.DATA_PATH_KEYS).forEach(key => {
+      zonePaths[key] = path.join(dataPath, 'zones', path.basename(config[key]));
+      if (existsSync(config[key])) {
+        cpSync(config[key], zonePaths[key], { recursive: true, force: false });
+      }
+    });
+    return {
+      ...zonePaths,
+      PLAYER_DATA_PATH: dataPath,
+      WORLD_STATE_PATH: path.join(dataPath, 'world state.json'),
+      SQLITE_DATABASE_PATH: path.join(dataPath, 'wulin.db'),
+      JOURNAL_PATH: path.join(dataPath, 'journal.log'),
+      BACKUP_PATH: path.join(dataPath, 'backups')
+    };
+  }
+  async start({ loadGameData = true } = {}) {
+    if (loadGameData) {
+      await this.server.initialize();
+    } else {
+      // Accounts and characters still need somewhere to be stored
+      await this.server.databaseManager.initialize();
+    }
+    this.server.registerSocketEvents();
+    this.server.registerCommands();
+    this.server.startGameLoop();
+    return this;
+  }
+  connect(options) {
+    const client = new FakeClient(this.server, `sim-${this.nextClientId++}`, options);
+    this.clients.push(client);
+    client.connect();
+    return client;
+  }
+  async advance(milliseconds) {
+    this.clock.advance(milliseconds);
+    await this.settle();
+  }
+  async settle() {
+    await this.server.scheduler.whenIdle();
+    await Promise.all(this.clients.map(client => client.settle()));
+  }
+  async stop() {
+    // A server that has shut itself down, as a script may have it do, has already saved and stopped
+    if (!this.server.shuttingDown) {
+      this.clients.forEach(client => client.disconnect());
+      await this.server.stop();
+    }
+    if (this.ownsDataPath) {
+      rmSync(this.dataPath, { recursive: true, force: true });
+    }
+  }
+}
+/**************************************************************************************************
+Fake Client Class
+An in-process stand-in for a Socket.IO socket. Everything the server sends it is decoded and kept
+so a script can assert on it.
+***************************************************************************************************/
+class FakeClient {
+  constructor(server, id, { protocolVersion = MessageProtocol.VERSION, address = '127.0.0.1' } = {}) {
+    this.server = server;
+    this.id = id;
+    this.data = { protocolVersion };
+    this.handshake = { address, auth: { protocolVersion } };
+    this.rooms = new Set();
+    this.messages = [];
+    this.connected = false;
+  }
+  join(room) {
+    this.rooms.add(room);
+  }
+  leave(room) {
+    this.rooms.delete(room);
+  }
+  connect() {
+    this.connected = true;
+    this.server.handleNewConnection(this);
+    return this;
+  }
+  disconnect() {
+    if (!this.connected) return;
+    this.connected = false;
+    this.server.handleDisconnection(this);
+  }
+  emit(event, data) {
+    if (event !== MessageProtocol.EVENT) return;
+    this.messages.push(MessageProtocol.decode(data));
+  }
+  send(type, payload = {}) {
+    const message = MessageProtocol.createMessage(type, payload, this.data.protocolVersion, this.server.clock.now());
+    const data = MessageProtocol.encode(message);
+    this.server.limitRate(this, [MessageProtocol.EVENT, data], () => this.server.handleClientMessage(this, data));
+    return this.settle();
+  }
+  command(input) {
+    const [action, ...args] = input.split(' ').filter(Boolean);
+    return this.send('command', { action, args });
+  }
+  login(accountName, password) {
+    return this.send('login', { accountName, password });
+  }
+  verifyTwoFactor(code) {
+    return this.send('verifyTwoFactor', { code });
+  }
+  createAccount(data) {
+    return this.send('createAccount', { data });
+  }
+  createCharacter(data) {
+    return this.send('createNewCharacter', { data });
+  }
+  getCharacterId(characterName) {
+    const menu = this.getLastMessage('accountMenu');
+    const character = menu && menu.payload.characters.find(c => c.name.toLowerCase() === characterName.toLowerCase());
+    return character ? character.id : null;
+  }
+  play(characterName) {
+    return this.send('selectCharacter', { characterId: this.getCharacterId(characterName) });
+  }
+  async settle() {
+    // Wait for any commands this connection has queued to finish
+    const client = this.server.clientManager.getClient(this.id);
+    if (client && client.commandQueue) {
+      await client.commandQueue;
+    }
+  }
+  getMessages(type = null) {
+    return this.messages.filter(message => !type || message.type === type);
+  }
+  getLastMessage(type = null) {
+    const messages = this.getMessages(type);
+    return messages[messages.length - 1] || null;
+  }
+  clearMessages() {
+    this.messages = [];
+  }
+  getDisplayText() {
+    return this.getMessages('displayMessage')
+      .map(({ payload }) => String(payload.content).replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, ''))
+      .join('\n');
+  }
+  expectMessage(type, predicate = () => true) {
+    const message = this.messages.find(candidate => candidate.type === type && predicate(candidate.payload));
+    if (!message) {
+      const received = this.messages.map(candidate => candidate.type).join(', ') || 'nothing';
+      throw new Error(`${this.id} expected a matching ${type} message but received: ${received}`);
+    }
+    return message.payload;
+  }
+  expectText(text) {
+    const displayText = this.getDisplayText();
+    if (!displayText.includes(text)) {
+      throw new Error(`${this.id} expected to see "${text}" but saw:\n${displayText}`);
+    }
+  }
+}
+/**************************************************************************************************
+Exports
+***************************************************************************************************/
+export {
+  CoreServerSystem,
+  GameScheduler,
+  SystemClock,
+  SimulationClock,
+  RandomSource,
+  SeededRandom,
+  Simulation,
+  FakeClient,
+  MessageProtocol,
+  RestApi,
+  RateLimiter,
+  DatabaseManager,
+  JsonFileStorage,
+  BackupManager,
+  AuthenticationSystem,
+  TelnetConnection,
+  ZoneFileLoader,
+  WorldValidator,
+  RoomCsvConverter,
+  Roles,
+  Command,
+  NameRegistry,
+  SanctionManager,
+  Item,
+  Inventory
+};
+/**************************************************************************************************
 Start Server Code
 ***************************************************************************************************/
-const server = new CoreServerSystem(CONFIG);
-server.initialize().then(() => {
-  server.start();
-}).catch(error => {
-  console.error('Failed to start server:', error);
-  process.exit(1);
-});
\ No newline at end of file
+// Only start listening when run directly, so simulations can import the server
+const isMainModule = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+if (isMainModule && process.argv[2] === 'validate-world') {
+  const configSystem = new ConfigurationSystem(CONFIG);
+  configSystem.updateFromEnvironment();
+  new WorldValidator(configSystem).validateFiles().then(report => {
+    console.log(JSON.stringify(report, null, 2));
+    process.exitCode = report.valid ? 0 : 1;
+  }).catch(error => {
+    console.error('Failed to validate the world:', error);
+    process.exit(2);
+  });
+} else if (isMainModule && process.argv[2] === 'migrate-saves') {
+  // With --dry-run the saves are only read, and the report shows what importing and migrating them would change
+  const configSystem = new ConfigurationSystem(CONFIG);
+  configSystem.updateFromEnvironment();
+  const databaseManager = new DatabaseManager(configSystem);
+  const dryRun = process.argv.includes('--dry-run');
+  databaseManager.openStorage()
+    .then(() => (dryRun ? null : databaseManager.importLegacyFiles()))
+    .then(() => databaseManager.migrate({ dryRun }))
+    .then(async report => {
+      console.log(JSON.stringify(report, null, 2));
+      await databaseManager.disconnect();
+    }).catch(error => {
+      console.error('Failed to migrate the saves:', error);
+      process.exit(1);
+    });
+} else if (isMainModule && process.argv[2] === 'backup') {
+  // Restoring is for a stopped server, since a running one would save over what was restored
+  const [action = 'list', name, characterName] = process.argv.slice(3);
+  const configSystem = new ConfigurationSystem(CONFIG);
+  configSystem.updateFromEnvironment();
+  const databaseManager = new DatabaseManager(configSystem);
+  const backupManager = new BackupManager(configSystem, databaseManager);
+  const runBackupCommand = async () => {
+    await databaseManager.openStorage();
+    try {
+      switch (action) {
+        case 'list':
+          return await backupManager.listBackups();
+        case 'create':
+          return await backupManager.runScheduledBackup();
+        case 'verify':
+          await backupManager.readBackup(name);
+          return { name, verified: true };
+        case 'restore': {
+          if (!name) break;
+          const result = characterName
+            ? await backupManager.restoreCharacter(name, characterName)
+            : { success: true, backup: name, createdAt: (await backupManager.restoreServer(name)).createdAt };
+          if (result.success) {
+            // Journal entries left from before the restore would otherwise be replayed over it
+            const stateJournal = new StateJournal(configSystem);
+            await stateJournal.open();
+            await (characterName ? stateJournal.discard([result.record.id]) : stateJournal.clear());
+            await stateJournal.close();
+          } else {
+            process.exitCode = 1;
+          }
+          return result;
+        }
+        default:
+          break;
+      }
+      process.exitCode = 1;
+      return { error: 'Usage: node server.js backup [list|create|verify <backup>|restore <backup> [character]]' };
+    } finally {
+      await databaseManager.disconnect();
+    }
+  };
+  runBackupCommand().then(result => {
+    console.log(JSON.stringify(result, null, 2));
+  }).catch(error => {
+    console.error('Backup command failed:', error);
+    process.exit(1);
+  });
+} else if (isMainModule && ['import-rooms', 'export-rooms'].includes(process.argv[2])) {
+  // import-rooms <room.csv> <zone name> [start-end] writes a zone locations file, export-rooms <zone file> <room.csv> reverses it
+  const [command, source, target, rangeText] = process.argv.slice(2);
+  const configSystem = new ConfigurationSystem(CONFIG);
+  configSystem.updateFromEnvironment();
+  const directory = configSystem.get('LOCATIONS_DATA_PATH');
+  const converter = new RoomCsvConverter();
+  const runRoomCommand = async () => {
+    if (!source || !target) {
+      throw new Error('Usage: node server.js import-rooms <room.csv> <zone name> [start-end] or node server.js export-rooms <zone file> <room.csv>');
+    }
+    if (command === 'export-rooms') {
+      // A bare file name is looked for among the zone files
+      const zoneFilePath = path.dirname(source) === '.' ? path.join(directory, source) : source;
+      return await converter.exportFile(zoneFilePath, target);
+    }
+    const range = rangeText && /^(\d+)-(\d+)$/.exec(rangeText);
+    if (rangeText && !range) {
+      throw new Error(`The range should look like 0-99, not ${rangeText}`);
+    }
+    return await converter.importFile(source, target, directory, range ? { start: Number(range[1]), end: Number(range[2]) } : null);
+  };
+  runRoomCommand().then(result => {
+    console.log(JSON.stringify(result, null, 2));
+  }).catch(error => {
+    console.error(`Failed to ${command === 'export-rooms' ? 'export' : 'import'} rooms: ${error.message}`);
+    process.exit(1);
+  });
+} else if (isMainModule) {
+  const server = new CoreServerSystem(CONFIG);
+  server.initialize().then(() => {
+    server.start();
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+      process.on(signal, () => {
+        if (server.shuttingDown) {
+          // A second signal skips the remaining cleanup
+          exit(1);
+        }
+        server.logger.info(`Received ${signal}`);
+        server.shutdown({ reason: `Received ${signal}` }).catch(error => {
+          console.error('Failed to shut down cleanly:', error);
+          exit(1);
+        });
+      });
+    });
+  }).catch(error => {
+    console.error('Failed to start server:', error);
+    process.exit(1);
+  });
+}
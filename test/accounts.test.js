@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSimulation } from './helpers.js';
+
+const ACCOUNT = { accountName: 'Traveller', password: 'secret123', confirmPassword: 'secret123' };
+
+test('registration checks the details and keeps account names unique', async () => {
+  const simulation = await startSimulation(11);
+  const authentication = simulation.server.authenticationSystem;
+  try {
+    const invalid = await authentication.registerAccount({ accountName: 'ab', password: 'short', confirmPassword: 'short', email: 'nowhere' });
+    assert.deepEqual(invalid.errors, [
+      'Account name must be 3 to 20 letters or numbers.', 'Password must be 8 to 128 characters long.', 'Email address is not valid.'
+    ]);
+    assert.equal((await authentication.registerAccount({ ...ACCOUNT, confirmPassword: 'secret124' })).message, 'Passwords do not match.');
+    const { success, account } = await authentication.registerAccount(ACCOUNT);
+    assert.equal(success, true);
+    assert.notEqual(account.passwordHash, ACCOUNT.password);
+    assert.equal((await authentication.registerAccount({ ...ACCOUNT, accountName: 'TRAVELLER' })).success, false);
+  } finally {
+    await simulation.stop();
+  }
+});
+
+test('wrong passwords lock the account for a while, whatever is tried next', async () => {
+  const simulation = await startSimulation(11);
+  const { authenticationSystem: authentication, configSystem } = simulation.server;
+  try {
+    await authentication.registerAccount(ACCOUNT);
+    const unknown = await authentication.authenticateUser('Nobody', 'secret123');
+    const wrong = await authentication.authenticateUser('Traveller', 'secret124');
+    assert.equal(unknown.message, wrong.message);
+    for (let attempt = 2; attempt < configSystem.get('MAX_LOGIN_ATTEMPTS'); attempt++) {
+      assert.equal((await authentication.authenticateUser('Traveller', 'secret124')).locked, undefined);
+    }
+    assert.equal((await authentication.authenticateUser('Traveller', 'secret124')).locked, true);
+    assert.match((await authentication.authenticateUser('traveller', 'secret123')).message, /locked for 15 more minutes/);
+    await simulation.advance(configSystem.get('LOGIN_LOCKOUT_DURATION'));
+    const login = await authentication.authenticateUser('traveller', 'secret123');
+    assert.equal(login.success, true);
+    assert.equal(login.account.failedLoginAttempts, 0);
+  } finally {
+    await simulation.stop();
+  }
+});
+
+test('checking the password again in account settings counts towards the same lockout', async () => {
+  const simulation = await startSimulation(11);
+  const { authenticationSystem: authentication, configSystem } = simulation.server;
+  try {
+    const { account } = await authentication.registerAccount(ACCOUNT);
+    const change = { currentPassword: 'secret124', newPassword: 'secret456', confirmPassword: 'secret456' };
+    for (let attempt = 1; attempt < configSystem.get('MAX_LOGIN_ATTEMPTS'); attempt++) {
+      assert.equal((await authentication.changePassword(account.id, change)).message, 'Your current password is not correct.');
+    }
+    assert.equal((await authentication.changePassword(account.id, change)).locked, true);
+    assert.equal((await authentication.changePassword(account.id, { ...change, currentPassword: 'secret123' })).locked, true);
+    assert.equal((await authentication.authenticateUser('Traveller', 'secret123')).success, false);
+  } finally {
+    await simulation.stop();
+  }
+});
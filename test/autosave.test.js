@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { startSimulation, enterWorld } from './helpers.js';
+
+test('autosave stores changed characters and empties the journal of them', async () => {
+  const simulation = await startSimulation(21);
+  const { server } = simulation;
+  try {
+    await enterWorld(simulation, 'Traveller', 'Meilin');
+    const player = server.clientManager.getPlayerByName('Meilin');
+    player.adjustCurrency(50, 'found a purse');
+    assert.equal(server.stateJournal.entries.length, 1);
+    assert.equal((await server.databaseManager.getPlayer(player.id)).currency, 0);
+    await simulation.advance(server.configSystem.get('AUTOSAVE_INTERVAL'));
+    assert.equal((await server.databaseManager.getPlayer(player.id)).currency, 50);
+    assert.equal(player.unsaved, false);
+    assert.deepEqual(server.stateJournal.entries, []);
+  } finally {
+    await simulation.stop();
+  }
+});
+
+test('changes journaled before a crash are put back when the server starts again', async () => {
+  const dataPath = mkdtempSync(path.join(os.tmpdir(), 'wulin-journal-'));
+  try {
+    const crashed = await startSimulation(21, {}, { dataPath });
+    await crashed.server.recoverFromJournal();
+    await enterWorld(crashed, 'Traveller', 'Meilin');
+    const player = crashed.server.clientManager.getPlayerByName('Meilin');
+    player.adjustCurrency(50, 'found a purse');
+    player.gainExperience(crashed.server.configSystem.get('LEVEL_UP_XP'));
+    // Nothing is saved on the way down, as if the process had died
+    crashed.server.persistenceSuspended = true;
+    await crashed.stop();
+    assert.equal(readFileSync(path.join(dataPath, 'journal.log'), 'utf8').trim().split('\n').length, 2);
+
+    const restarted = await startSimulation(21, {}, { dataPath });
+    try {
+      assert.equal((await restarted.server.databaseManager.getPlayer(player.id)).currency, 0);
+      await restarted.server.recoverFromJournal();
+      const record = await restarted.server.databaseManager.getPlayer(player.id);
+      assert.deepEqual([record.currency, record.level], [50, 2]);
+      assert.equal(readFileSync(path.join(dataPath, 'journal.log'), 'utf8'), '');
+    } finally {
+      await restarted.stop();
+    }
+  } finally {
+    rmSync(dataPath, { recursive: true, force: true });
+  }
+});
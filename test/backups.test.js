@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BackupManager } from '../server.js';
+import { startSimulation } from './helpers.js';
+
+const HOUR = 3600000;
+const DAY = 86400000;
+
+function backupAt(isoTime) {
+  const time = Date.parse(isoTime);
+  return { name: BackupManager.formatFilename(time), time };
+}
+
+test('backup file names carry the time they were made', () => {
+  const time = Date.UTC(2024, 0, 10, 12, 30, 5);
+  assert.equal(BackupManager.formatFilename(time), 'backup-20240110T123005Z.json.gz');
+  assert.equal(BackupManager.parseFilename(BackupManager.formatFilename(time)), time);
+  assert.equal(BackupManager.parseFilename('backup-latest.json.gz'), null);
+});
+
+test('older backups are thinned to the newest in each hour, day and week', () => {
+  const backups = [
+    '2024-01-10T12:30:00Z', '2024-01-10T12:00:00Z', '2024-01-10T11:30:00Z', '2024-01-10T10:00:00Z', '2024-01-10T09:00:00Z',
+    '2024-01-09T23:00:00Z', '2024-01-08T01:00:00Z', '2024-01-07T12:00:00Z', '2024-01-03T12:00:00Z'
+  ].map(backupAt);
+  const [weekly] = BackupManager.RETENTION.slice(-1);
+  const retention = [
+    { count: 3, period: HOUR },
+    { count: 2, period: DAY },
+    { count: 2, period: weekly.period, offset: weekly.offset }
+  ];
+  const keep = BackupManager.selectBackupsToKeep(backups, retention);
+  // Weeks start on Monday, so Sunday the 7th is the newest backup of the week before
+  assert.deepEqual(backups.filter(backup => keep.has(backup.name)).map(backup => new Date(backup.time).toISOString()), [
+    '2024-01-10T12:30:00.000Z', '2024-01-10T11:30:00.000Z', '2024-01-10T10:00:00.000Z', '2024-01-09T23:00:00.000Z', '2024-01-07T12:00:00.000Z'
+  ]);
+});
+
+test('the newest backup is kept even when nothing is to be retained', () => {
+  const backups = [backupAt('2024-01-10T12:30:00Z'), backupAt('2024-01-10T12:00:00Z')];
+  assert.deepEqual(Array.from(BackupManager.selectBackupsToKeep(backups, [])), [backups[0].name]);
+});
+
+test('a backup missing a collection or with a bad zone file name is refused', () => {
+  const backup = {
+    format: BackupManager.FORMAT,
+    schemaVersion: 3,
+    collections: { accounts: [], players: [], sanctions: [], audit: [] },
+    zoneFiles: { locations: {}, npcs: {}, items: {} }
+  };
+  assert.doesNotThrow(() => BackupManager.verify(backup));
+  assert.throws(() => BackupManager.verify({ ...backup, collections: { ...backup.collections, players: undefined } }), /players collection is missing/);
+  assert.throws(() => BackupManager.verify({ ...backup, zoneFiles: { ...backup.zoneFiles, items: { '../items.json': '{}' } } }), /not a zone file name/);
+});
+
+test('stopping the server waits for a backup that is still being written', async () => {
+  const simulation = await startSimulation(23);
+  let finished = false;
+  simulation.server.backupManager.runScheduledBackup().then(() => {
+    finished = true;
+  });
+  await simulation.stop();
+  assert.equal(finished, true);
+});
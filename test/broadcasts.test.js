@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSimulation, enterWorld } from './helpers.js';
+
+function heard(clients, text) {
+  return clients.filter(client => client.getMessages('displayMessage').some(({ payload }) => payload.content === text)).map(client => client.id);
+}
+
+test('broadcasts reach a room, one player or everyone, following players as they move', async () => {
+  const simulation = await startSimulation(4);
+  try {
+    const clients = [
+      await enterWorld(simulation, 'Speaker', 'Meilin'),
+      await enterWorld(simulation, 'Listener', 'Bao'),
+      await enterWorld(simulation, 'Wanderer', 'Xiaoyu')
+    ];
+    const [speaker, listener, wanderer] = clients;
+    const { worldManager, clientManager } = simulation.server;
+    const playerId = client => clientManager.getClient(client.id).player.id;
+    await wanderer.command('north');
+    worldManager.broadcastToLocation('100', 'displayMessage', { type: 'info', content: 'room' }, { exclude: [playerId(speaker)] });
+    worldManager.broadcastToPlayer(playerId(wanderer), 'displayMessage', { type: 'info', content: 'private' });
+    worldManager.broadcastToAll('displayMessage', { type: 'info', content: 'everyone' });
+    assert.deepEqual(heard(clients, 'room'), [listener.id]);
+    assert.deepEqual(heard(clients, 'private'), [wanderer.id]);
+    assert.deepEqual(heard(clients, 'everyone'), clients.map(client => client.id));
+    await wanderer.command('south');
+    worldManager.broadcastToLocation('100', 'displayMessage', { type: 'info', content: 'back' });
+    worldManager.broadcastToLocation('101', 'displayMessage', { type: 'info', content: 'empty' });
+    assert.deepEqual(heard(clients, 'back'), clients.map(client => client.id));
+    assert.deepEqual(heard(clients, 'empty'), []);
+  } finally {
+    await simulation.stop();
+  }
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSimulation } from './helpers.js';
+
+const ACCOUNT = { accountName: 'Traveller', password: 'secret123', confirmPassword: 'secret123' };
+
+function character(playerName) {
+  return { playerName, sex: 'female', reputation: 'famous' };
+}
+
+test('an account owns several characters, up to the limit', async () => {
+  const simulation = await startSimulation(12, { MAX_CHARACTERS_PER_ACCOUNT: 2 });
+  const { authenticationSystem, accountManager } = simulation.server;
+  try {
+    const { account } = await authenticationSystem.registerAccount(ACCOUNT);
+    assert.equal((await accountManager.createCharacter(account.id, character('Meilin'))).success, true);
+    await simulation.advance(1000);
+    assert.equal((await accountManager.createCharacter(account.id, character('Bao'))).success, true);
+    assert.equal((await accountManager.createCharacter(account.id, character('Jun'))).message, 'An account can have at most 2 characters.');
+    assert.deepEqual((await accountManager.listCharacters(account.id)).map(summary => summary.name), ['Meilin', 'Bao']);
+    const { account: other } = await authenticationSystem.registerAccount({ ...ACCOUNT, accountName: 'Watcher' });
+    assert.equal((await accountManager.createCharacter(other.id, character('meilin'))).success, false);
+    const [meilin] = await accountManager.listCharacters(account.id);
+    assert.equal(await accountManager.getCharacter(other.id, meilin.id), null);
+  } finally {
+    await simulation.stop();
+  }
+});
+
+test('a deleted character still counts until the recovery period is over', async () => {
+  const simulation = await startSimulation(12, { MAX_CHARACTERS_PER_ACCOUNT: 1, CHARACTER_RECOVERY_PERIOD: 3600000 });
+  const { authenticationSystem, accountManager, configSystem } = simulation.server;
+  try {
+    const { account } = await authenticationSystem.registerAccount(ACCOUNT);
+    const { playerData } = await accountManager.createCharacter(account.id, character('Meilin'));
+    assert.equal((await accountManager.deleteCharacter(account.id, playerData.id)).success, true);
+    assert.equal((await accountManager.createCharacter(account.id, character('Bao'))).success, false);
+    assert.equal((await accountManager.restoreCharacter(account.id, playerData.id)).message, 'Meilin has been restored.');
+    await accountManager.deleteCharacter(account.id, playerData.id);
+    await simulation.advance(configSystem.get('CHARACTER_RECOVERY_PERIOD'));
+    assert.equal((await accountManager.restoreCharacter(account.id, playerData.id)).success, false);
+    assert.equal((await accountManager.createCharacter(account.id, character('Bao'))).success, true);
+  } finally {
+    await simulation.stop();
+  }
+});
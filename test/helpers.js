@@ -0,0 +1,31 @@
+import assert from 'node:assert/strict';
+import CONFIG from '../config.js';
+import { Simulation } from '../server.js';
+
+// Rooms 100 to 103 in a line running north, so each one only neighbours the rooms either side of it
+const STREET = [
+  { id: '100', name: 'South Gate', description: 'The city gate.', exits: { north: '101' } },
+  { id: '101', name: 'Main Street', description: 'A busy street.', exits: { south: '100', north: '102' } },
+  { id: '102', name: 'Market Square', description: 'Stalls everywhere.', exits: { south: '101', north: '103' } },
+  { id: '103', name: 'North Gate', description: 'The far gate.', exits: { south: '102' } }
+];
+
+export async function startSimulation(seed, config = {}, { dataPath = null } = {}) {
+  const simulation = new Simulation({ ...CONFIG, PASSWORD_SALT_ROUNDS: 4, ...config }, { seed, dataPath });
+  await simulation.start({ loadGameData: false });
+  const { locations } = simulation.server.worldManager;
+  STREET.forEach(location => locations.addLocation({ ...location, items: [], npcs: [] }));
+  return simulation;
+}
+
+export async function enterWorld(simulation, accountName, characterName) {
+  const client = simulation.connect();
+  await client.createAccount({ accountName, password: 'secret123', confirmPassword: 'secret123' });
+  assert.equal(client.getLastMessage('accountCreationResult').payload.success, true);
+  await client.login(accountName, 'secret123');
+  assert.equal(client.getLastMessage('loginResult').payload.success, true);
+  await client.createCharacter({ playerName: characterName, sex: 'female', reputation: 'famous' });
+  await client.play(characterName);
+  assert.equal(client.getLastMessage('characterSelected').payload.success, true);
+  return client;
+}
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Item, Inventory, SeededRandom } from '../server.js';
+
+const POTION = { id: 'potion', name: 'Health Potion', description: 'A red potion.', type: 'consumable' };
+const SWORD = { id: 'sword', name: 'Iron Sword', description: 'Sharp.', type: 'weapon', damage: 10, durability: 50 };
+
+test('every copy of a template has its own id and state, drawn from the random source', () => {
+  const [first, second] = [1, 1].map(seed => Item.create(POTION, {}, new SeededRandom(seed)));
+  assert.equal(first.id, second.id);
+  const random = new SeededRandom(1);
+  const sword = Item.create(SWORD, {}, random);
+  const other = Item.create(SWORD, { customName: 'Dragon Fang' }, random);
+  assert.notEqual(sword.id, other.id);
+  assert.equal(sword.damage, 10);
+  assert.equal(sword.durability, 50);
+  assert.equal(other.getDisplayName(), 'Dragon Fang');
+});
+
+test('copies that can stack share a slot, and others take one each', () => {
+  const random = new SeededRandom(2);
+  const inventory = new Inventory([], 2, 'player-1');
+  assert.equal(inventory.addItem(Item.create(POTION, { quantity: 2 }, random)), true);
+  assert.equal(inventory.addItem(Item.create(POTION, { quantity: 3 }, random)), true);
+  assert.equal(inventory.addItem(Item.create(SWORD, {}, random)), true);
+  const spare = Item.create(SWORD, {}, random);
+  assert.equal(inventory.addItem(spare), false);
+  assert.equal(spare.owner, null);
+  assert.equal(inventory.addItem(Item.create(POTION, {}, random)), true);
+  assert.deepEqual(inventory.getItems().map(item => item.getDisplayName()), ['Health Potion (6)', 'Iron Sword']);
+  assert.ok(inventory.getItems().every(item => item.owner === 'player-1'));
+});
+
+test('taking part of a stack splits off a new copy, and copies reload from their saved state', () => {
+  const random = new SeededRandom(3);
+  const inventory = new Inventory([Item.create(POTION, { quantity: 5 }, random)]);
+  const [stack] = inventory.getItems();
+  const taken = inventory.removeItem(stack.id, 2);
+  assert.notEqual(taken.id, stack.id);
+  assert.deepEqual([taken.quantity, stack.quantity], [2, 3]);
+  assert.equal(inventory.removeItem(stack.id, 4), null);
+  const gameDataManager = { getItem: id => (id === POTION.id ? POTION : null), random };
+  const reloaded = Item.fromData(taken.serialize(), gameDataManager);
+  assert.deepEqual(reloaded.serialize(), taken.serialize());
+  assert.equal(Item.fromData({ ...taken.serialize(), templateId: 'gone' }, gameDataManager), null);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, mkdirSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { JsonFileStorage } from '../server.js';
+
+function withStorage(callback) {
+  return async () => {
+    const directory = mkdtempSync(path.join(os.tmpdir(), 'wulin-storage-'));
+    const storage = new JsonFileStorage(path.join(directory, 'players'), path.join(directory, 'world.json'));
+    try {
+      await storage.initialize();
+      await callback(storage, directory);
+    } finally {
+      await storage.close();
+      rmSync(directory, { recursive: true, force: true });
+    }
+  };
+}
+
+test('a record is read from its own file by id', withStorage(async (storage, directory) => {
+  mkdirSync(path.join(directory, 'players', 'accounts'));
+  writeFileSync(path.join(directory, 'players', 'accounts', 'a-1.json'), JSON.stringify({ id: 'a-1', name: 'Meilin' }));
+  writeFileSync(path.join(directory, 'players', 'accounts', 'a-2.json'), 'not json');
+  assert.deepEqual(await storage.loadRecord('accounts', 'a-1'), { id: 'a-1', name: 'Meilin' });
+  assert.equal(await storage.loadRecord('accounts', 'a-3'), null);
+  assert.equal(await storage.loadRecord('accounts', '../a-1'), null);
+  assert.equal(storage.collections.has('accounts'), false);
+}));
+
+test('records are found by name after being saved, renamed and deleted', withStorage(async storage => {
+  await storage.saveRecords('players', [{ id: 'p-1', name: 'Meilin' }, { id: 'p-2', name: 'Bao' }]);
+  assert.equal((await storage.findRecordByName('players', 'meilin')).id, 'p-1');
+  await storage.saveRecords('players', [{ id: 'p-1', name: 'Xiaoyu' }]);
+  assert.equal(await storage.findRecordByName('players', 'Meilin'), null);
+  assert.equal((await storage.findRecordByName('players', 'XIAOYU')).id, 'p-1');
+  await storage.deleteRecords('players', ['p-2']);
+  assert.equal(await storage.findRecordByName('players', 'Bao'), null);
+  const found = await storage.findRecordByName('players', 'Xiaoyu');
+  found.name = 'Changed';
+  assert.equal((await storage.loadRecord('players', 'p-1')).name, 'Xiaoyu');
+}));
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MessageProtocol } from '../server.js';
+
+test('a message survives encoding and decoding in its envelope', () => {
+  const message = MessageProtocol.createMessage('command', { text: 'look' }, MessageProtocol.VERSION, 1000);
+  assert.deepEqual(MessageProtocol.decode(MessageProtocol.encode(message)), { v: MessageProtocol.VERSION, type: 'command', payload: { text: 'look' }, ts: 1000 });
+  assert.deepEqual(MessageProtocol.decode({ v: 1, type: 'ping' }).payload, {});
+});
+
+test('malformed envelopes are refused with the reason', () => {
+  assert.throws(() => MessageProtocol.decode('{"v":1,'), /not valid JSON/);
+  assert.throws(() => MessageProtocol.decode('[1]'), /expected an envelope object/);
+  assert.throws(() => MessageProtocol.decode({ type: 'command' }), /missing protocol version/);
+  assert.throws(() => MessageProtocol.decode({ v: 1, type: '' }), /missing message type/);
+  assert.throws(() => MessageProtocol.decode({ v: 1, type: 'command', payload: 'look' }), /payload of command must be an object/);
+});
+
+test('the handshake settles on the highest version both sides speak', () => {
+  const { VERSION, MIN_VERSION } = MessageProtocol;
+  assert.deepEqual(MessageProtocol.negotiateVersion({ protocolVersion: VERSION + 1, minProtocolVersion: MIN_VERSION }), { success: true, version: VERSION });
+  assert.deepEqual(MessageProtocol.negotiateVersion({ protocolVersion: VERSION }), { success: true, version: VERSION });
+  assert.equal(MessageProtocol.negotiateVersion({ protocolVersion: MIN_VERSION - 1 }).success, false);
+  assert.equal(MessageProtocol.negotiateVersion({ protocolVersion: VERSION + 2, minProtocolVersion: VERSION + 1 }).success, false);
+  assert.match(MessageProtocol.negotiateVersion({}).message, /did not announce a protocol version/);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync, existsSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import CONFIG from '../config.js';
+import { DatabaseManager, SeededRandom } from '../server.js';
+
+const OLD_CHARACTER = { id: 'p-1', name: 'Meilin', inventory: ['sword', { id: 'tea', quantity: 3 }] };
+
+test('items saved as template ids become copies with ids from the random source', () => {
+  const first = DatabaseManager.migrateDocument('players', OLD_CHARACTER, new SeededRandom(7)).migrated;
+  const second = DatabaseManager.migrateDocument('players', OLD_CHARACTER, new SeededRandom(7)).migrated;
+  assert.deepEqual(first, second);
+  assert.deepEqual(first.inventory.map(({ templateId, quantity, owner }) => ({ templateId, quantity, owner })), [
+    { templateId: 'sword', quantity: 1, owner: 'p-1' },
+    { templateId: 'tea', quantity: 3, owner: 'p-1' }
+  ]);
+  assert.notEqual(first.inventory[0].id, first.inventory[1].id);
+  assert.equal(first.schemaVersion, DatabaseManager.SCHEMA_VERSION);
+});
+
+test('a dry run reports what would change and leaves the saves as they are', async () => {
+  const directory = mkdtempSync(path.join(os.tmpdir(), 'wulin-migrations-'));
+  const dataPath = path.join(directory, 'players');
+  const settings = { ...CONFIG, STORAGE_BACKEND: 'json', PLAYER_DATA_PATH: dataPath, WORLD_STATE_PATH: path.join(directory, 'world.json') };
+  const databaseManager = new DatabaseManager({ get: key => settings[key], getAll: () => settings }, new SeededRandom(7));
+  try {
+    mkdirSync(path.join(dataPath, 'players'), { recursive: true });
+    const characterPath = path.join(dataPath, 'players', 'p-1.json');
+    writeFileSync(characterPath, JSON.stringify({ ...OLD_CHARACTER, schemaVersion: 1, currency: 5 }));
+    writeFileSync(path.join(dataPath, 'accounts.json'), JSON.stringify([{ id: 'a-1', name: 'Traveller' }]));
+    await databaseManager.openStorage();
+    const report = await databaseManager.migrate({ dryRun: true });
+    assert.equal(report.dryRun, true);
+    assert.equal(report.documentsChanged, 2);
+    assert.deepEqual(report.collections.players.changes, [
+      { id: 'p-1', fromVersion: 1, migrations: [2, 3], fields: ['inventory', 'schemaVersion', 'level', 'experience'] }
+    ]);
+    assert.equal(report.collections.accounts.pendingImport, path.join(dataPath, 'accounts.json'));
+    assert.equal(JSON.parse(readFileSync(characterPath, 'utf8')).schemaVersion, 1);
+    assert.ok(existsSync(path.join(dataPath, 'accounts.json')));
+    assert.equal((await databaseManager.migrate()).documentsChanged, 1);
+    assert.equal(JSON.parse(readFileSync(characterPath, 'utf8')).schemaVersion, DatabaseManager.SCHEMA_VERSION);
+  } finally {
+    await databaseManager.disconnect();
+    rmSync(directory, { recursive: true, force: true });
+  }
+});
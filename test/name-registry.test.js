@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NameRegistry } from '../server.js';
+import { startSimulation } from './helpers.js';
+
+function createRegistry(npcs = []) {
+  const settings = { RESERVED_NAMES: ['admin', 'gamemaster'], BLOCKED_NAME_WORDS: ['rot'] };
+  const configSystem = { get: key => settings[key], getAll: () => settings };
+  return new NameRegistry(configSystem, { npcs: new Map(npcs.map(npc => [npc.id, npc])) });
+}
+
+test('names are compared without case, tone marks or punctuation', () => {
+  assert.equal(NameRegistry.normalize('Wǔdāng'), 'wudang');
+  assert.equal(NameRegistry.normalize('Game-Master'), 'gamemaster');
+  assert.equal(NameRegistry.normalize('Ｍｅｉｌｉｎ'), 'meilin');
+});
+
+test('reserved names, blocked words and NPC names cannot be taken', () => {
+  const registry = createRegistry([{ id: 'npc-1', name: 'Old Zhang', aliases: ['innkeeper'] }]);
+  assert.deepEqual(registry.checkName('Ádmin'), ['The name Ádmin is reserved.']);
+  assert.deepEqual(registry.checkName('Carrot'), ['The name Carrot is not allowed.']);
+  assert.deepEqual(registry.checkName('Zhang'), ['The name Zhang is too close to the name of someone in the world.']);
+  assert.deepEqual(registry.checkName('Innkeeper'), ['The name Innkeeper is too close to the name of someone in the world.']);
+  assert.deepEqual(registry.checkName('Meilin'), []);
+});
+
+test('a character name with tone marks blocks the same name without them', async () => {
+  const simulation = await startSimulation(15);
+  const { authenticationSystem, accountManager } = simulation.server;
+  try {
+    const { account } = await authenticationSystem.registerAccount({ accountName: 'Traveller', password: 'secret123', confirmPassword: 'secret123' });
+    const character = { sex: 'male', reputation: 'famous' };
+    assert.equal((await accountManager.createCharacter(account.id, { ...character, playerName: 'Wǔdāng' })).success, true);
+    assert.equal((await accountManager.createCharacter(account.id, { ...character, playerName: 'wudang' })).message, 'The name wudang is already taken.');
+  } finally {
+    await simulation.stop();
+  }
+});
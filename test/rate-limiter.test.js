@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CONFIG from '../config.js';
+import { RateLimiter, SimulationClock } from '../server.js';
+
+const { ALLOW, WARN, DROP, MUTE, MUTED, DISCONNECT } = RateLimiter.ACTIONS;
+
+function createLimiter() {
+  const settings = {
+    ...CONFIG,
+    RATE_LIMITS: { general: { capacity: 2, refillRate: 1 } },
+    RATE_LIMIT_WARN_STRIKES: 1,
+    RATE_LIMIT_MUTE_STRIKES: 3,
+    RATE_LIMIT_DISCONNECT_STRIKES: 5,
+    RATE_LIMIT_MUTE_DURATION: 10000,
+    RATE_LIMIT_STRIKE_DECAY: 60000
+  };
+  const clock = new SimulationClock();
+  return { limiter: new RateLimiter({ get: key => settings[key], getAll: () => settings }, clock), clock };
+}
+
+test('messages within the burst are allowed and refill over time', () => {
+  const { limiter, clock } = createLimiter();
+  assert.deepEqual([1, 2, 3].map(() => limiter.check('c1', 'general')), [ALLOW, ALLOW, WARN]);
+  clock.advance(1000);
+  assert.equal(limiter.check('c1', 'general'), ALLOW);
+  assert.equal(limiter.check('c2', 'general'), ALLOW);
+});
+
+test('strikes escalate from a warning to dropping, a mute and a disconnect', () => {
+  const { limiter } = createLimiter();
+  assert.deepEqual([1, 2, 3, 4, 5].map(() => limiter.addStrike('c1')), [WARN, DROP, MUTE, MUTED, DISCONNECT]);
+});
+
+test('a mute runs out, and strikes are forgotten after a quiet spell', () => {
+  const { limiter, clock } = createLimiter();
+  [1, 2, 3].forEach(() => limiter.addStrike('c1'));
+  clock.advance(1000);
+  assert.equal(limiter.check('c1', 'general'), MUTED);
+  clock.advance(9000);
+  assert.equal(limiter.check('c1', 'general'), ALLOW);
+  clock.advance(60001);
+  assert.equal(limiter.addStrike('c1'), WARN);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSimulation, enterWorld } from './helpers.js';
+
+function getPlayerUpdates(client, playerName) {
+  return client.getMessages('worldDelta').flatMap(({ payload }) => payload.updated)
+    .filter(state => state.kind === 'player' && state.name === playerName);
+}
+
+test('players are told only what changed about others in the rooms around them', async () => {
+  const simulation = await startSimulation(3);
+  try {
+    const watcher = await enterWorld(simulation, 'Watcher', 'Bao');
+    const traveller = await enterWorld(simulation, 'Traveller', 'Meilin');
+    await simulation.advance(100);
+    assert.equal(getPlayerUpdates(watcher, 'Meilin').length, 1);
+    watcher.clearMessages();
+    await traveller.command('north');
+    await simulation.advance(100);
+    const [moved] = watcher.getMessages('worldDelta').flatMap(({ payload }) => payload.updated);
+    assert.deepEqual(Object.keys(moved).sort(), ['id', 'kind', 'location']);
+    assert.equal(moved.location, '101');
+    await simulation.advance(100);
+    assert.equal(watcher.getMessages('worldDelta').length, 1);
+    await traveller.command('north');
+    await simulation.advance(100);
+    assert.deepEqual(watcher.getLastMessage('worldDelta').payload.removed, [{ kind: 'player', id: moved.id }]);
+    // A traveller's own updates carry the fields other players are not shown
+    const [ownMove] = traveller.getMessages('worldDelta').flatMap(({ payload }) => payload.updated).filter(state => state.id === moved.id);
+    assert.deepEqual(Object.keys(ownMove).sort(), ['coordinates', 'id', 'kind', 'location']);
+  } finally {
+    await simulation.stop();
+  }
+});
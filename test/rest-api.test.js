@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { RestApi } from '../server.js';
+import { startSimulation, enterWorld } from './helpers.js';
+
+test('the API answers only requests with a valid key, and shows who is where', async () => {
+  const simulation = await startSimulation(9, { API_KEYS: ['site-key'] });
+  const app = express();
+  app.use('/api', new RestApi(simulation.server, simulation.server.configSystem).createRouter());
+  const listener = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => listener.once('listening', resolve));
+  const request = (route, headers = {}) => fetch(`http://127.0.0.1:${listener.address().port}/api${route}`, { headers });
+  try {
+    await enterWorld(simulation, 'Traveller', 'Meilin');
+    assert.equal((await request('/status')).status, 401);
+    assert.equal((await request('/status', { 'x-api-key': 'wrong-key' })).status, 401);
+    const status = await (await request('/status', { 'x-api-key': 'site-key' })).json();
+    assert.equal(status.playersOnline, 1);
+    assert.ok(status.scheduler.jobs.some(job => job.name === 'replication'));
+    assert.deepEqual(await (await request('/who', { authorization: 'Bearer site-key' })).json(), {
+      count: 1, players: [{ name: 'Meilin', location: '100', linkDead: false }]
+    });
+    const location = await (await request('/locations/101', { 'x-api-key': 'site-key' })).json();
+    assert.deepEqual(location.exits, { south: '100', north: '102' });
+    const missing = await request('/npcs/nobody', { 'x-api-key': 'site-key' });
+    assert.equal(missing.status, 404);
+    assert.deepEqual(await missing.json(), { error: 'NPC not found' });
+  } finally {
+    await new Promise(resolve => listener.close(resolve));
+    await simulation.stop();
+  }
+});
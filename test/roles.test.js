@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Roles, Command } from '../server.js';
+import { startSimulation, enterWorld } from './helpers.js';
+
+test('roles are ranked, and found by name or short name', () => {
+  assert.equal(Roles.find('Game Master'), Roles.GAME_MASTER);
+  assert.equal(Roles.find('admin'), Roles.ADMINISTRATOR);
+  assert.equal(Roles.find('emperor'), null);
+  assert.equal(Roles.isAtLeast(Roles.ADMINISTRATOR, Roles.BUILDER), true);
+  assert.equal(Roles.isAtLeast(Roles.BUILDER, Roles.GAME_MASTER), false);
+  // Accounts saved before roles existed are players
+  assert.equal(Roles.normalize(undefined), Roles.PLAYER);
+});
+
+test('a command above the player\'s role answers as if it did not exist', async () => {
+  const command = new Command('goto', () => ({ success: true, message: 'Whoosh.' }), 1, 1, { minRole: Roles.BUILDER });
+  assert.deepEqual(await command.execute({ role: Roles.PLAYER }, ['103']), { success: false, message: Command.UNKNOWN_COMMAND_MESSAGE });
+  assert.equal((await command.execute({ role: Roles.GAME_MASTER }, ['103'])).message, 'Whoosh.');
+  assert.equal((await command.execute({ role: Roles.BUILDER }, [])).message, 'Usage: goto');
+});
+
+test('staff hand out roles below their own, which wait for two-factor authentication', async () => {
+  const simulation = await startSimulation(14);
+  const { server } = simulation;
+  const administrator = { name: 'Laozi', accountId: 'staff', role: Roles.ADMINISTRATOR };
+  try {
+    const traveller = await enterWorld(simulation, 'Traveller', 'Meilin');
+    const watcher = await enterWorld(simulation, 'Watcher', 'Bao');
+    await traveller.command('goto 103');
+    traveller.expectText(Command.UNKNOWN_COMMAND_MESSAGE);
+    assert.equal((await server.handleRoleCommand(administrator, 'Bao', 'gm')).message, 'Bao\'s role is now Game Master.');
+    assert.equal((await server.databaseManager.getAccountByName('Watcher')).role, Roles.GAME_MASTER);
+    watcher.expectText('Turn on two-factor authentication from the account menu to use it.');
+    await watcher.command('goto 103');
+    watcher.expectText(Command.UNKNOWN_COMMAND_MESSAGE);
+    assert.equal((await server.handleRoleCommand(administrator, 'Bao', 'admin')).message, 'You cannot give Bao the Administrator role.');
+    assert.equal((await server.handleRoleCommand(administrator, 'Meilin')).message, 'Meilin\'s role is Player.');
+  } finally {
+    await simulation.stop();
+  }
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { RoomCsvConverter } from '../server.js';
+
+test('notes/room.csv comes back byte for byte after an import and export', async () => {
+  const directory = mkdtempSync(path.join(os.tmpdir(), 'wulin-rooms-'));
+  try {
+    const converter = new RoomCsvConverter();
+    const { filename, rooms } = await converter.importFile('notes/room.csv', 'Shaolin Temple', directory, { start: 0, end: 99 });
+    assert.equal(filename, '0-99 Shaolin Temple locations.json');
+    const csvPath = path.join(directory, 'rooms.csv');
+    const exported = await converter.exportFile(path.join(directory, filename), csvPath);
+    assert.equal(exported.rooms, rooms);
+    assert.deepEqual(exported.warnings, []);
+    assert.equal(readFileSync(csvPath, 'utf8'), readFileSync('notes/room.csv', 'utf8'));
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('rows become locations with their exits, flag and blank cells', () => {
+  const [location] = RoomCsvConverter.toLocations('7,"The ""Old"" Gate","Dusty, and quiet.",8,0,,0,0,0,1\n');
+  assert.deepEqual(location, {
+    id: '7', name: 'The "Old" Gate', description: 'Dusty, and quiet.', exits: { north: '8' }, flag: 1, blankColumns: ['west']
+  });
+  assert.equal(RoomCsvConverter.toCsv([location]).text, '7,"The ""Old"" Gate","Dusty, and quiet.",8,0,,0,0,0,1\n');
+});
+
+test('rows that do not fit the format are refused with their row number', () => {
+  assert.throws(() => RoomCsvConverter.toLocations('1,"A","B",0,0,0,0,0,0\n'), /Row 1 has 9 columns/);
+  assert.throws(() => RoomCsvConverter.toLocations('1,"A","B",0,0,0,0,0,0,0\n1,"A","B",0,0,0,0,0,0,0\n'), /Row 2 repeats room 1/);
+  assert.throws(() => RoomCsvConverter.toLocations('1,"A","B",x,0,0,0,0,0,0\n'), /"x" for its north exit/);
+  assert.throws(() => RoomCsvConverter.toLocations('1,"A,B'), /ends inside a quoted cell/);
+});
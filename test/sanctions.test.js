@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SanctionManager, Roles } from '../server.js';
+import { startSimulation, enterWorld } from './helpers.js';
+
+const ADMINISTRATOR = { name: 'Laozi', accountId: 'staff', role: Roles.ADMINISTRATOR };
+
+test('durations are read from short forms, and perm means no end', () => {
+  assert.equal(SanctionManager.parseDuration('30m'), 1800000);
+  assert.equal(SanctionManager.parseDuration('2W'), 1209600000);
+  assert.equal(SanctionManager.parseDuration('perm'), null);
+  assert.equal(SanctionManager.parseDuration('0d'), undefined);
+  assert.equal(SanctionManager.parseDuration('soon'), undefined);
+  assert.equal(SanctionManager.formatDuration(172800000), 'for 2 days');
+  assert.equal(SanctionManager.formatDuration(null), 'permanently');
+});
+
+test('address bans match whole addresses and ranges, including IPv4-mapped ones', () => {
+  assert.equal(SanctionManager.isAddressPattern('203.0.113.*'), true);
+  assert.equal(SanctionManager.isAddressPattern('Meilin'), false);
+  assert.equal(SanctionManager.matchesAddress('203.0.113.', '::ffff:203.0.113.9'), false);
+  assert.equal(SanctionManager.matchesAddress('203.0.113.*', '::ffff:203.0.113.9'), true);
+  assert.equal(SanctionManager.matchesAddress('203.0.113.9', '203.0.113.90'), false);
+});
+
+test('a mute stops a player talking until it runs out', async () => {
+  const simulation = await startSimulation(17);
+  const { server } = simulation;
+  try {
+    const watcher = await enterWorld(simulation, 'Watcher', 'Bao');
+    const mute = await server.handleSanctionCommand(ADMINISTRATOR, 'mutePlayer', 'Bao', '30m', 'spam');
+    assert.equal(mute.message, 'Bao has been muted for 30 minutes.');
+    await watcher.command('say Hello?');
+    watcher.expectText('You are muted until');
+    await simulation.advance(SanctionManager.parseDuration('30m') + server.configSystem.get('SANCTION_CHECK_INTERVAL'));
+    watcher.expectText('You are no longer muted.');
+    await watcher.command('say Hello?');
+    watcher.expectText('You say, "Hello?"');
+    assert.deepEqual((await server.sanctionManager.getAuditLog('Bao')).map(entry => entry.action), ['mute', 'mute expired']);
+  } finally {
+    await simulation.stop();
+  }
+});
+
+test('a banned account is sent out of the game and cannot log back in until unbanned', async () => {
+  const simulation = await startSimulation(17);
+  const { server } = simulation;
+  try {
+    await enterWorld(simulation, 'Traveller', 'Meilin');
+    assert.equal((await server.handleSanctionCommand(ADMINISTRATOR, 'banPlayer', 'Meilin', 'perm', 'cheating')).success, true);
+    assert.equal(server.clientManager.getPlayerByName('Meilin'), null);
+    const client = simulation.connect();
+    await client.login('Traveller', 'secret123');
+    assert.equal(client.getLastMessage('loginResult').payload.message, 'This account is banned permanently. Reason: cheating');
+    assert.equal((await server.handleLiftSanctionCommand(ADMINISTRATOR, 'unbanPlayer', 'Meilin', '')).success, true);
+    await client.login('Traveller', 'secret123');
+    assert.equal(client.getLastMessage('loginResult').payload.success, true);
+  } finally {
+    await simulation.stop();
+  }
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameScheduler, SimulationClock } from '../server.js';
+
+function createScheduler() {
+  const clock = new SimulationClock();
+  return { scheduler: new GameScheduler(clock), clock };
+}
+
+test('jobs run at their own rates with the time since their last run', () => {
+  const { scheduler, clock } = createScheduler();
+  const runs = { fast: [], slow: [], once: [] };
+  scheduler.schedulePeriodic('fast', 100, deltaTime => runs.fast.push(deltaTime));
+  scheduler.schedulePeriodic('slow', 250, () => runs.slow.push(clock.now()));
+  scheduler.scheduleOnce('once', 150, () => runs.once.push(clock.now()));
+  scheduler.start();
+  clock.advance(1000);
+  assert.deepEqual(runs.fast, Array(10).fill(0.1));
+  assert.deepEqual(runs.slow, [250, 500, 750, 1000]);
+  assert.deepEqual(runs.once, [150]);
+  assert.equal(scheduler.hasJob('once'), false);
+  assert.throws(() => scheduler.schedulePeriodic('fast', 100, () => {}), /already scheduled/);
+  assert.throws(() => scheduler.schedulePeriodic('never', 0, () => {}), /Invalid interval/);
+});
+
+test('a job that falls behind skips the missed runs and stays on its beat', () => {
+  const { scheduler, clock } = createScheduler();
+  const runs = [];
+  scheduler.schedulePeriodic('tick', 100, () => {
+    runs.push(clock.now());
+    // The first run holds everything up for 350 ms
+    if (runs.length === 1) clock.currentTime += 350;
+  });
+  scheduler.start();
+  clock.advance(550);
+  assert.deepEqual(runs, [100, 450, 500]);
+  const [stats] = scheduler.getStats();
+  assert.equal(stats.runs, 3);
+  assert.equal(stats.skipped, 2);
+  assert.equal(stats.nextRunIn, 50);
+});
+
+test('pausing holds the world still while other jobs carry on, and can step it', () => {
+  const { scheduler, clock } = createScheduler();
+  const runs = { world: 0, replication: 0 };
+  scheduler.schedulePeriodic('world', 100, () => runs.world++);
+  scheduler.schedulePeriodic('replication', 100, () => runs.replication++, { pausable: false });
+  scheduler.start();
+  clock.advance(150);
+  scheduler.pause();
+  clock.advance(1000);
+  assert.deepEqual(runs, { world: 1, replication: 11 });
+  assert.deepEqual(scheduler.step(), ['world']);
+  assert.equal(runs.world, 2);
+  scheduler.resume();
+  // The world's next run was due 50 ms after the pause began, so it comes 50 ms after the resume
+  clock.advance(49);
+  assert.equal(runs.world, 2);
+  clock.advance(1);
+  assert.equal(runs.world, 3);
+});
+
+test('work a job leaves running is waited for, and counted if it fails', async () => {
+  const { scheduler, clock } = createScheduler();
+  const saved = [];
+  scheduler.schedulePeriodic('save', 100, async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    saved.push(clock.now());
+  });
+  scheduler.schedulePeriodic('fail', 200, () => Promise.reject(new Error('disk full')));
+  scheduler.start();
+  clock.advance(200);
+  assert.deepEqual(saved, []);
+  await scheduler.whenIdle();
+  assert.deepEqual(saved, [200, 200]);
+  assert.deepEqual(scheduler.getStats().map(job => job.errors), [0, 1]);
+});
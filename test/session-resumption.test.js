@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSimulation, enterWorld } from './helpers.js';
+
+test('a dropped player stays link-dead and gets what they missed on reconnecting', async () => {
+  const simulation = await startSimulation(5);
+  try {
+    const traveller = await enterWorld(simulation, 'Traveller', 'Meilin');
+    const watcher = await enterWorld(simulation, 'Watcher', 'Bao');
+    const { sessionToken } = traveller.getLastMessage('characterSelected').payload;
+    traveller.disconnect();
+    await watcher.command('who');
+    watcher.expectText('Meilin (link-dead)');
+    await watcher.command('say Are you still there?');
+    const reconnected = simulation.connect();
+    await reconnected.send('restoreSession', { token: sessionToken });
+    const restored = reconnected.expectMessage('sessionRestored');
+    assert.equal(restored.playerName, 'Meilin');
+    assert.ok(restored.missedMessages > 0);
+    reconnected.expectText('Bao says, "Are you still there?"');
+    watcher.expectText('Meilin has reconnected.');
+  } finally {
+    await simulation.stop();
+  }
+});
+
+test('after the grace period the character leaves the world and the token only opens the account menu', async () => {
+  const simulation = await startSimulation(5);
+  try {
+    const traveller = await enterWorld(simulation, 'Traveller', 'Meilin');
+    const watcher = await enterWorld(simulation, 'Watcher', 'Bao');
+    const { sessionToken } = traveller.getLastMessage('characterSelected').payload;
+    traveller.disconnect();
+    await simulation.advance(simulation.server.configSystem.get('LINK_DEAD_GRACE_PERIOD'));
+    watcher.expectMessage('playerLeft', payload => payload.playerName === 'Meilin');
+    const reconnected = simulation.connect();
+    await reconnected.send('restoreSession', { token: sessionToken });
+    assert.equal(reconnected.getLastMessage('sessionRestored'), null);
+    assert.equal(reconnected.expectMessage('loginResult').success, true);
+    reconnected.expectMessage('accountMenu');
+  } finally {
+    await simulation.stop();
+  }
+});
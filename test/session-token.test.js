@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CONFIG from '../config.js';
+import { AuthenticationSystem, SimulationClock } from '../server.js';
+
+function createAuthentication(config = {}) {
+  const settings = { ...CONFIG, SESSION_SECRET: 'current-secret', PREVIOUS_SESSION_SECRETS: [], ...config };
+  const accounts = new Map([['account-1', { id: 'account-1', name: 'Traveller', sessionGeneration: 0 }]]);
+  const database = {
+    getAccount: async id => accounts.get(id) || null,
+    updateAccount: async (id, changes) => Object.assign(accounts.get(id), changes)
+  };
+  const configSystem = { get: key => settings[key], getAll: () => settings };
+  const clock = new SimulationClock(Date.UTC(2024, 0, 1));
+  return { authentication: new AuthenticationSystem(database, configSystem, clock), accounts, clock, settings };
+}
+
+test('a signed token names its account until it expires', async () => {
+  const { authentication, accounts, clock, settings } = createAuthentication();
+  const token = authentication.generateToken(accounts.get('account-1'));
+  const session = await authentication.verifyToken(token);
+  assert.equal(session.accountId, 'account-1');
+  assert.equal(session.expiresAt, clock.now() + settings.SESSION_TOKEN_LIFETIME);
+  clock.advance(settings.SESSION_TOKEN_LIFETIME - 1);
+  assert.ok(await authentication.verifyToken(token));
+  clock.advance(1);
+  assert.equal(await authentication.verifyToken(token), null);
+});
+
+test('a token that was changed after signing is refused', async () => {
+  const { authentication, accounts } = createAuthentication();
+  const [body, signature] = authentication.generateToken(accounts.get('account-1')).split('.');
+  const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  const forged = Buffer.from(JSON.stringify({ ...payload, exp: payload.exp + 1 })).toString('base64url');
+  assert.equal(await authentication.verifyToken(`${forged}.${signature}`), null);
+  assert.equal(await authentication.verifyToken(`${body}.${signature.slice(1)}`), null);
+  assert.equal(await authentication.verifyToken(`${body}.${authentication.signToken(body, 'another-secret')}`), null);
+  assert.equal(await authentication.verifyToken(body), null);
+});
+
+test('revoking sessions retires tokens issued before it', async () => {
+  const { authentication, accounts } = createAuthentication();
+  const token = authentication.generateToken(accounts.get('account-1'));
+  await authentication.revokeSessions('account-1');
+  assert.equal(await authentication.verifyToken(token), null);
+  assert.ok(await authentication.verifyToken(authentication.generateToken(accounts.get('account-1'))));
+});
+
+test('tokens signed with a retired secret work only while it is listed', async () => {
+  const { authentication, accounts, settings } = createAuthentication();
+  const token = authentication.generateToken(accounts.get('account-1'));
+  settings.SESSION_SECRET = 'rotated-secret';
+  assert.equal(await authentication.verifyToken(token), null);
+  settings.PREVIOUS_SESSION_SECRETS = ['current-secret'];
+  assert.ok(await authentication.verifyToken(token));
+  settings.PREVIOUS_SESSION_SECRETS = [];
+  assert.equal(await authentication.verifyToken(token), null);
+});
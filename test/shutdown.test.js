@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'fs';
+import path from 'path';
+import { startSimulation, enterWorld } from './helpers.js';
+
+function countdown(client) {
+  return client.getMessages('displayMessage').map(({ payload }) => payload.content).filter(content => content.startsWith('The server will'));
+}
+
+test('a scheduled reboot counts down, saves everything and then exits', async () => {
+  const simulation = await startSimulation(6);
+  const { server } = simulation;
+  const exited = new Promise(resolve => {
+    server.exitProcess = resolve;
+  });
+  try {
+    const traveller = await enterWorld(simulation, 'Traveller', 'Meilin');
+    await traveller.command('north');
+    server.scheduleShutdown({ minutes: 1, reboot: true, reason: 'Test reboot' });
+    await simulation.advance(59000);
+    assert.deepEqual(countdown(traveller), [
+      'The server will reboot in 1 minute.', 'The server will reboot in 30 seconds.', 'The server will reboot in 10 seconds.',
+      'The server will reboot in 5 seconds.', 'The server will reboot in 4 seconds.', 'The server will reboot in 3 seconds.',
+      'The server will reboot in 2 seconds.', 'The server will reboot in 1 second.'
+    ]);
+    await simulation.advance(1000);
+    assert.equal(await exited, true);
+    traveller.expectText('The server is rebooting now.');
+    const snapshot = JSON.parse(readFileSync(path.join(simulation.dataPath, 'world state.json'), 'utf8'));
+    assert.ok(snapshot.savedAt);
+    const [characterFile] = readdirSync(path.join(simulation.dataPath, 'players'));
+    assert.equal(JSON.parse(readFileSync(path.join(simulation.dataPath, 'players', characterFile), 'utf8')).location, '101');
+  } finally {
+    await simulation.stop();
+  }
+});
+
+test('a cancelled shutdown does not happen', async () => {
+  const simulation = await startSimulation(6);
+  const { server } = simulation;
+  let exited = false;
+  server.exitProcess = () => {
+    exited = true;
+  };
+  try {
+    const traveller = await enterWorld(simulation, 'Traveller', 'Meilin');
+    server.scheduleShutdown({ minutes: 5 });
+    await simulation.advance(60000);
+    assert.equal(server.cancelShutdown(), true);
+    await simulation.advance(300000);
+    assert.equal(exited, false);
+    assert.deepEqual(countdown(traveller), ['The server will shut down in 5 minutes.', 'The server will shut down in 4 minutes.']);
+    await traveller.command('look');
+    traveller.expectText('South Gate');
+  } finally {
+    await simulation.stop();
+  }
+});
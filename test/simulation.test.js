@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSimulation, enterWorld } from './helpers.js';
+
+async function playSession(seed) {
+  const simulation = await startSimulation(seed);
+  try {
+    const traveller = await enterWorld(simulation, 'Traveller', 'Meilin');
+    const watcher = await enterWorld(simulation, 'Watcher', 'Bao');
+    await traveller.command('north');
+    traveller.expectText('Main Street');
+    watcher.expectMessage('playerLeft', payload => payload.playerName === 'Meilin' && payload.direction === 'north');
+    await traveller.command('say Is anyone here?');
+    traveller.expectText('You say, "Is anyone here?"');
+    assert.ok(!watcher.getDisplayText().includes('Is anyone here?'));
+    await watcher.command('north');
+    await watcher.command('say I am.');
+    traveller.expectText('Bao says, "I am."');
+    return [traveller.getDisplayText(), watcher.getDisplayText()];
+  } finally {
+    await simulation.stop();
+  }
+}
+
+test('a new player creates an account and a character, then moves and talks', async () => {
+  await playSession(1);
+});
+
+test('a session replayed with the same seed sees the same thing', async () => {
+  assert.deepEqual(await playSession(42), await playSession(42));
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CONFIG from '../config.js';
+import { TelnetConnection } from '../server.js';
+
+const { IAC, SB, SE, WILL, WONT, DO, DONT, OPT_ECHO, OPT_NAWS } = TelnetConnection;
+
+function connect() {
+  const written = [];
+  const netSocket = { remoteAddress: '127.0.0.1', write: data => written.push(Buffer.from(data)), on() {} };
+  const connection = new TelnetConnection('telnet-1', netSocket, { get: key => CONFIG[key] });
+  const lines = [];
+  connection.onLine = line => lines.push(line);
+  return { connection, written, lines };
+}
+
+function send(connection, ...chunks) {
+  for (const chunk of chunks) {
+    connection.handleData(Buffer.from(chunk));
+  }
+}
+
+test('a window size split across chunks still sets the width', () => {
+  const { connection, lines } = connect();
+  send(connection, [IAC], [SB, OPT_NAWS, 0], [132, 0, 40, IAC], [SE], Buffer.from('look\r\n'));
+  assert.equal(connection.width, 132);
+  assert.deepEqual(lines, ['look']);
+});
+
+test('a window size with an escaped 255 byte is read as data', () => {
+  const { connection } = connect();
+  send(connection, [IAC, SB, OPT_NAWS, 1, IAC], [IAC, 0, 24, IAC, SE]);
+  assert.equal(connection.width, 511);
+});
+
+test('option negotiation split across chunks is not taken as input', () => {
+  const { connection, lines } = connect();
+  send(connection, Buffer.from('ab'), [IAC], [DO], [OPT_ECHO, IAC, DONT], [OPT_ECHO, IAC, WONT, OPT_ECHO], Buffer.from('c\n'));
+  send(connection, [IAC, WILL], [OPT_NAWS], Buffer.from('next\n'));
+  assert.deepEqual(lines, ['abc', 'next']);
+});
+
+test('password prompts turn off local echo and turn it back on afterwards', () => {
+  const { connection, written } = connect();
+  connection.promptForPassword();
+  assert.ok(written.some(data => data.equals(Buffer.from([IAC, WILL, OPT_ECHO]))));
+  connection.endPasswordPrompt();
+  assert.ok(written.some(data => data.equals(Buffer.from([IAC, WONT, OPT_ECHO]))));
+});
+
+test('html output is rendered as ANSI colored text', () => {
+  const { connection } = connect();
+  assert.equal(
+    connection.htmlToAnsi('<span class="location-title">Main Street</span><br>A &lt;busy&gt; street.'),
+    '\x1b[1;93mMain Street\x1b[0m\nA <busy> street.'
+  );
+  assert.equal(
+    connection.htmlToAnsi('<span class="error-message">Careful, <span class="unknown">it</span> bites</span>'),
+    '\x1b[35mCareful, \x1b[35mit\x1b[0m\x1b[35m bites\x1b[0m'
+  );
+  assert.equal(connection.htmlToAnsi('<span class="tell-message">Hi'), '\x1b[93mHi\x1b[0m');
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CONFIG from '../config.js';
+import { AuthenticationSystem, SimulationClock } from '../server.js';
+
+// The SHA-1 test secret from RFC 6238 appendix B, whose 8 digit codes end in these 6 digits
+const RFC_SECRET = AuthenticationSystem.encodeBase32(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+function createAuthentication(time) {
+  return new AuthenticationSystem(null, { get: key => CONFIG[key] }, new SimulationClock(time * 1000));
+}
+
+test('codes match the RFC 6238 test vectors', () => {
+  for (const [time, code] of RFC_VECTORS) {
+    const authentication = createAuthentication(time);
+    const step = Math.floor(time / AuthenticationSystem.TOTP_PERIOD);
+    assert.equal(authentication.generateTotp(RFC_SECRET, step), code);
+    assert.equal(authentication.findTotpStep(RFC_SECRET, code), step);
+  }
+});
+
+test('codes are accepted one step either side of now and no further', () => {
+  const authentication = createAuthentication(1111111111);
+  const step = Math.floor(1111111111 / AuthenticationSystem.TOTP_PERIOD);
+  assert.equal(authentication.findTotpStep(RFC_SECRET, authentication.generateTotp(RFC_SECRET, step - 1)), step - 1);
+  assert.equal(authentication.findTotpStep(RFC_SECRET, authentication.generateTotp(RFC_SECRET, step + 1)), step + 1);
+  assert.equal(authentication.findTotpStep(RFC_SECRET, authentication.generateTotp(RFC_SECRET, step - 2)), null);
+  assert.equal(authentication.findTotpStep(RFC_SECRET, '50471'), null);
+});
+
+test('a code cannot be used again, nor one from an earlier step', () => {
+  const authentication = createAuthentication(1111111111);
+  const step = Math.floor(1111111111 / AuthenticationSystem.TOTP_PERIOD);
+  const twoFactor = { secret: RFC_SECRET, lastUsedStep: null, backupCodes: [] };
+  const match = authentication.matchSecondFactor(twoFactor, '050471');
+  assert.deepEqual(match, { changes: { lastUsedStep: step }, usedBackupCode: false });
+  const used = { ...twoFactor, ...match.changes };
+  assert.equal(authentication.matchSecondFactor(used, '050471'), null);
+  assert.equal(authentication.matchSecondFactor(used, authentication.generateTotp(RFC_SECRET, step - 1)), null);
+  assert.ok(authentication.matchSecondFactor(used, authentication.generateTotp(RFC_SECRET, step + 1)));
+});
+
+test('a backup code works exactly once', () => {
+  const authentication = createAuthentication(59);
+  const { codes, hashes } = authentication.generateBackupCodes();
+  const twoFactor = { secret: RFC_SECRET, lastUsedStep: null, backupCodes: hashes };
+  const match = authentication.matchSecondFactor(twoFactor, codes[0].toUpperCase());
+  assert.equal(match.usedBackupCode, true);
+  assert.deepEqual(match.changes.backupCodes, hashes.slice(1));
+  const used = { ...twoFactor, ...match.changes };
+  assert.equal(authentication.matchSecondFactor(used, codes[0]), null);
+  assert.equal(authentication.matchSecondFactor(used, codes[1]).usedBackupCode, true);
+});
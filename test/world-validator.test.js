@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CONFIG from '../config.js';
+import { WorldValidator } from '../server.js';
+
+function createValidator() {
+  const settings = { ...CONFIG, STARTING_LOCATION: '100', JAIL_LOCATION: '900' };
+  return new WorldValidator({ get: key => settings[key], getAll: () => settings });
+}
+
+function createWorld({ locations = [], npcs = [], items = [] }) {
+  const collection = records => ({ records: new Map(records.map(record => [record.id, record])), sources: new Map() });
+  return { locations: collection(locations), npcs: collection(npcs), items: collection(items) };
+}
+
+function findProblems(problems, check) {
+  return problems.filter(problem => problem.check === check).map(({ severity, id }) => ({ severity, id }));
+}
+
+test('the shipped zone files have no errors', async () => {
+  const report = await createValidator().validateFiles();
+  assert.equal(report.errors, 0, JSON.stringify(report.problems));
+});
+
+test('references to rooms, NPCs and items that do not exist are errors', () => {
+  const problems = createValidator().validate(createWorld({
+    locations: [
+      { id: '100', name: 'Gate', description: 'A gate.', exits: { north: '101', east: '199', sideways: '100' }, items: ['sword', 'lamp'], npcs: ['guard', 'ghost'] },
+      { id: '101', name: 'Street', description: 'A street.', exits: {} }
+    ],
+    npcs: [{ id: 'guard', name: 'Guard', type: 'static', currentLocation: '555' }],
+    items: [{ id: 'sword', name: 'Sword', description: 'Sharp.', type: 'weapon' }, { id: 'cup', name: 'Cup', description: 'A cup.', type: 'mug' }]
+  }));
+  assert.deepEqual(findProblems(problems, 'missingExitTarget'), [{ severity: 'error', id: '100' }]);
+  assert.deepEqual(findProblems(problems, 'unknownDirection'), [{ severity: 'error', id: '100' }]);
+  assert.deepEqual(findProblems(problems, 'missingItem'), [{ severity: 'error', id: '100' }]);
+  assert.deepEqual(findProblems(problems, 'missingNPC'), [{ severity: 'error', id: '100' }]);
+  assert.deepEqual(findProblems(problems, 'missingNPCLocation'), [{ severity: 'error', id: 'guard' }]);
+  assert.deepEqual(findProblems(problems, 'unknownItemType'), [{ severity: 'error', id: 'cup' }]);
+  assert.deepEqual(findProblems(problems, 'oneWayExit'), [{ severity: 'warning', id: '100' }]);
+});
+
+test('missing fields, a missing start and rooms no one can walk to are reported', () => {
+  const problems = createValidator().validate(createWorld({
+    locations: [
+      { id: '101', name: 'Street', description: '', exits: {} },
+      { id: '900', name: 'Jail', description: 'Bars.', exits: {} }
+    ]
+  }));
+  assert.deepEqual(findProblems(problems, 'missingStartingLocation'), [{ severity: 'error', id: '100' }]);
+  assert.deepEqual(findProblems(problems, 'missingField'), [{ severity: 'error', id: '101' }]);
+  const unreachable = createValidator().validate(createWorld({
+    locations: [
+      { id: '100', name: 'Gate', description: 'A gate.', exits: {} },
+      { id: '101', name: 'Street', description: 'A street.', exits: {} },
+      { id: '900', name: 'Jail', description: 'Bars.', exits: {} }
+    ]
+  }));
+  assert.deepEqual(findProblems(unreachable, 'unreachable'), [{ severity: 'warning', id: '101' }]);
+});
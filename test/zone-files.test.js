@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { ZoneFileLoader } from '../server.js';
+
+function withZoneFiles(files, run) {
+  const directory = mkdtempSync(path.join(os.tmpdir(), 'wulin-zones-'));
+  Object.entries(files).forEach(([filename, data]) => {
+    writeFileSync(path.join(directory, filename), typeof data === 'string' ? data : JSON.stringify(data));
+  });
+  return run(directory).finally(() => rmSync(directory, { recursive: true, force: true }));
+}
+
+test('zone file names carry the id range, zone and kind of data', () => {
+  const zoneFile = ZoneFileLoader.parseFilename('100-199 Chang\'an City locations.json');
+  assert.deepEqual(zoneFile, { start: 100, end: 199, zone: 'Chang\'an City', dataType: 'locations' });
+  assert.equal(ZoneFileLoader.formatFilename(zoneFile), '100-199 Chang\'an City locations.json');
+  assert.equal(ZoneFileLoader.parseFilename('locations.json'), null);
+});
+
+test('records from every zone file are loaded with their ids', () => withZoneFiles({
+  '100-199 Chang\'an City locations.json': { 100: { name: 'South Gate' }, 101: { name: 'Main Street' } },
+  '200-299 Wudang locations.json': { 200: { name: 'Mountain Path' } }
+}, async directory => {
+  const { records, sources, errors } = await new ZoneFileLoader().loadDirectory(directory, 'locations');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(records.map(record => `${record.id} ${record.name}`), ['100 South Gate', '101 Main Street', '200 Mountain Path']);
+  assert.equal(sources.get('200'), '200-299 Wudang locations.json');
+}));
+
+test('bad names, ids out of range and duplicate ids are all reported in one pass', () => withZoneFiles({
+  '100-199 Chang\'an City locations.json': { 100: { name: 'South Gate' }, 250: { name: 'Stray Room' } },
+  '100-149 Old Town locations.json': { 100: { name: 'Other Gate' }, 120: ['not', 'an', 'object'] },
+  '300-399 Broken locations.json': '{ "300": ',
+  '400-499 Emei npcs.json': {},
+  'extra rooms.json': {}
+}, async directory => {
+  const { records, errors } = await new ZoneFileLoader().loadDirectory(directory, 'locations');
+  // Files are read in name order, so the first file to give an id keeps it
+  assert.deepEqual(records.map(record => `${record.id} ${record.name}`), ['100 Other Gate']);
+  assert.deepEqual(errors.filter(error => !error.includes('could not be read')), [
+    'Location 120 in "100-149 Old Town locations.json" is not an object',
+    'Location 100 is in both "100-149 Old Town locations.json" and "100-199 Chang\'an City locations.json"',
+    'Location 250 in "100-199 Chang\'an City locations.json" is outside the range 100-199',
+    '"400-499 Emei npcs.json" should be named like "100-199 Zone Name locations.json"',
+    '"extra rooms.json" should be named like "100-199 Zone Name locations.json"'
+  ]);
+  assert.ok(errors.some(error => error.startsWith('"300-399 Broken locations.json" could not be read')));
+}));